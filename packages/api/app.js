@@ -0,0 +1,2201 @@
+/***************************************
+ * app.js
+ * The Express app. It is exported without listening (see index.js), so tests can
+ * drive it directly, e.g. with STORAGE_BACKEND=memory and AUTH_LOCAL_SECRET set.
+ **************************************/
+import express from "express";
+import dotenv from "dotenv";
+import admin from "firebase-admin";
+import speakeasy from "speakeasy";
+import qrcode from "qrcode";
+import cors from "cors";
+import { ethers } from "ethers";
+import { fileURLToPath } from "url";
+
+import { API_ROUTES, openApiDocument, publicPaths } from "./utils/apiSpec.js";
+import { createAuditLog } from "./utils/audit.js";
+import { buildAction, buildActions, CalldataError, describeAction } from "./utils/calldata.js";
+import { CircuitError, createCircuitRegistry } from "./utils/circuits.js";
+import { createAuthMiddleware, createLocalTokenIssuer, publicUserDoc } from "./utils/auth.js";
+import { isEnrollmentActive } from "./utils/enrollment.js";
+import { errorHandler, notFoundHandler, sendError } from "./utils/errors.js";
+import { factoryAddressForChain, getProvider, ZKOTP_WALLET_ABI } from "./utils/chain.js";
+import { createChainIndexer } from "./utils/indexer.js";
+import { createNonceTracker } from "./utils/nonces.js";
+import { createProofJobs, ProofQueueFullError, ProofWorkerPool } from "./utils/proofPool.js";
+import { createOtpGuard } from "./utils/otpGuard.js";
+import {
+    addSpending,
+    evaluatePolicy,
+    normalizePolicy,
+    PolicyError,
+    refundSpending,
+    spentToday,
+    totalValue,
+} from "./utils/policy.js";
+import {
+    burnRecoveryCode,
+    generateRecoveryCodes,
+    matchRecoveryCode,
+    recoveryCodeToField,
+    remainingRecoveryCodes,
+} from "./utils/recoveryCodes.js";
+import { createRelayer, RelayerError } from "./utils/relayer.js";
+import { validateRequest } from "./utils/schema.js";
+import { createStorage } from "./utils/storage.js";
+import { verifyTotpProof } from "./utils/verifier.js";
+import { createWalletProvisioner } from "./utils/wallets.js";
+
+import {
+    encryptWithSalt,
+    decryptWithSalt,
+    needsReencryption,
+    secretToField,
+    computePoseidonHash,
+    computeActionHash,
+    computeBatchActionHash,
+    computeTOTP,
+    findTOTPTimeStep,
+    normalizeTotpParams,
+    totpTimeStep,
+    DEFAULT_TOTP_PARAMS,
+} from "./utils/utils.js";
+
+// Load environment variables
+dotenv.config();
+
+// Number of time steps of clock drift tolerated on each side of the current step
+const OTP_DRIFT_WINDOW = parseInt(process.env.OTP_DRIFT_WINDOW ?? "1", 10);
+// How far back to look when telling an expired OTP apart from a wrong one
+const OTP_STALE_LOOKBACK = parseInt(process.env.OTP_STALE_LOOKBACK ?? "10", 10);
+// Issuer and account label shown in authenticator apps (label defaults to the user's email or uid)
+const OTP_ISSUER = process.env.OTP_ISSUER || "zkotp";
+const OTP_LABEL = process.env.OTP_LABEL;
+// How long a secret from /otp/create can be confirmed through /user/register
+const ENROLLMENT_TTL_MS = parseInt(process.env.ENROLLMENT_TTL_MS ?? "600000", 10);
+// How long the replaced secret keeps working after /user/secret/confirm
+const SECRET_GRACE_MS = parseInt(process.env.SECRET_GRACE_MS ?? "86400000", 10);
+// How many time steps old a proof may be and still pass /proof/verify
+const PROOF_MAX_AGE_STEPS = parseInt(process.env.PROOF_MAX_AGE_STEPS ?? "2", 10);
+
+// Users, replay ledger, attempt counters, pending enrollments, nonce counters and indexed
+// chain events all live in STORAGE_BACKEND ("firestore", "sqlite" at SQLITE_PATH, or
+// "memory" for local runs). OTP_GUARD_STORE, ENROLLMENT_STORE, NONCE_STORE and
+// INDEXER_STORE move a single store to another backend.
+// The audit log follows STORAGE_BACKEND too, unless AUDIT_SINK names another sink
+// ("jsonl" appends to AUDIT_LOG_PATH).
+const storage = createStorage({
+    backend: process.env.STORAGE_BACKEND || "firestore",
+    sqlitePath: process.env.SQLITE_PATH,
+    projectId: process.env.GCLOUD_PROJECT,
+    overrides: {
+        guard: process.env.OTP_GUARD_STORE,
+        enrollments: process.env.ENROLLMENT_STORE,
+        nonces: process.env.NONCE_STORE,
+        events: process.env.INDEXER_STORE,
+    },
+    auditSink: process.env.AUDIT_SINK,
+    auditLogPath: process.env.AUDIT_LOG_PATH,
+});
+const users = storage.users;
+
+// Registrations, OTP checks, proofs and secret rotations, readable by each user at /user/audit
+const audit = createAuditLog(storage.audit);
+
+// Replay protection and brute-force lockout for every OTP-consuming route
+const otpGuard = createOtpGuard(
+    storage.guard,
+    {
+        maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS ?? "5", 10),
+        baseLockoutMs: parseInt(process.env.OTP_LOCKOUT_MS ?? "30000", 10),
+        driftWindow: OTP_DRIFT_WINDOW,
+    }
+);
+
+// Secrets handed out by /otp/create, waiting for their first OTP
+const enrollments = storage.enrollments;
+
+// Per-contract tx_nonce counters, cross-checked against usedNonces when an RPC is configured
+const nonceTracker = createNonceTracker(storage.nonces, { getProvider });
+
+// Proving artifact sets from CIRCUIT_MANIFEST; TOTP_CIRCUIT overrides the manifest's default.
+// Sets whose verification key does not match their zkey are refused here, at startup.
+const circuits = createCircuitRegistry({
+    manifestPath: process.env.CIRCUIT_MANIFEST || fileURLToPath(new URL("./utils/circuits.json", import.meta.url)),
+    defaultId: process.env.TOTP_CIRCUIT,
+});
+await circuits.load();
+
+// Proving runs on worker threads so snarkjs doesn't block the event loop
+const proofPool = new ProofWorkerPool({
+    size: parseInt(process.env.PROOF_WORKERS ?? "1", 10),
+    maxQueue: parseInt(process.env.PROOF_QUEUE_MAX ?? "50", 10),
+    workerData: () => ({ circuit: circuits.descriptor() }),
+});
+const proofJobs = createProofJobs(proofPool, {
+    maxPerUser: parseInt(process.env.PROOF_JOBS_PER_USER ?? "2", 10),
+});
+
+// Submits proofs on-chain from RELAYER_PRIVATE_KEY; the /relay routes answer 503 without it
+const relayer = createRelayer({
+    privateKey: process.env.RELAYER_PRIVATE_KEY,
+    getProvider,
+    confirmations: parseInt(process.env.RELAYER_CONFIRMATIONS ?? "1", 10),
+    waitMs: parseInt(process.env.RELAYER_WAIT_MS ?? "30000", 10),
+});
+
+// Deploys user wallets through zkOTPWalletFactory (WALLET_FACTORY_ADDRESS / WALLET_FACTORIES)
+// owned by the address in the request or WALLET_OWNER; never by the relayer
+const walletProvisioner = createWalletProvisioner({
+    relayer,
+    getProvider,
+    factoryAddressForChain,
+    owner: process.env.WALLET_OWNER,
+    admin: process.env.WALLET_ADMIN,
+});
+
+// Follows traffic light and wallet events on INDEXER_CHAINS (comma-separated, default
+// DEFAULT_CHAIN_ID) for /traffic-light and /wallet/:address/events. Chains without an RPC
+// are skipped; index.js starts the rest.
+const indexers = new Map();
+const indexedChains = (process.env.INDEXER_CHAINS ?? process.env.DEFAULT_CHAIN_ID ?? "").split(",").map((id) => id.trim());
+for (const chainId of indexedChains.filter(Boolean)) {
+    const provider = getProvider(chainId);
+    if (provider) {
+        indexers.set(chainId, createChainIndexer({
+            chainId,
+            provider,
+            store: storage.events,
+            startBlock: parseInt(process.env.INDEXER_START_BLOCK ?? "0", 10),
+            batchSize: parseInt(process.env.INDEXER_BATCH_SIZE ?? "2000", 10),
+            reorgDepth: parseInt(process.env.INDEXER_REORG_DEPTH ?? "64", 10),
+        }));
+    }
+}
+
+/**
+ * Decrypts a user's stored TOTP secret. Secrets written with an old key or in the
+ * unversioned format are re-encrypted with the active key on the way through.
+ *
+ * @param {{uid: string, data: Object, version: *}} user - The user record from the user store.
+ * @returns {Promise<string>} - The base32 TOTP secret.
+ */
+async function readUserSecret(user) {
+    const { uid } = user;
+    const { encrypted_secret } = user.data;
+    const secret = decryptWithSalt(encrypted_secret, uid);
+
+    if (needsReencryption(encrypted_secret)) {
+        try {
+            // Only rewrite if nobody changed the document since we read it
+            const written = await users.update(
+                uid,
+                { encrypted_secret: encryptWithSalt(secret, uid) },
+                { version: user.version }
+            );
+            if (written) {
+                console.info("Re-encrypted secret with the active key for user:", uid);
+            } else {
+                console.warn("Lazy re-encryption skipped for user:", uid, "- document changed");
+            }
+        } catch (err) {
+            console.warn("Lazy re-encryption skipped for user:", uid, "-", err.message);
+        }
+    }
+    return secret;
+}
+
+/**
+ * Who makes a user's proofs: "server" (the default) derives them from the stored secret,
+ * "client" users prove on their own device and the server only keeps their hashed secret.
+ *
+ * @param {{data: Object}} user - The user record from the user store.
+ * @returns {"server" | "client"}
+ */
+function provingMode(user) {
+    return user.data.proving_mode ?? "server";
+}
+
+/**
+ * Rejects routes that need the server-side secret for users who prove on their device.
+ *
+ * Sends a 409 and returns true if the user is in client proving mode.
+ */
+function rejectIfClientProving(res, user) {
+    if (provingMode(user) !== "client") {
+        return false;
+    }
+    console.warn("Server-side secret needed for client proving user:", user.uid);
+    sendError(res, 409, "client_proving", "This user proves on their own device; the server holds no secret for it");
+    return true;
+}
+
+/**
+ * Poseidon hash of the user's current secret, the value their wallets are bound to.
+ *
+ * @param {{uid: string, data: Object, version: *}} user - The user record from the user store.
+ * @returns {Promise<string>}
+ */
+async function currentHashedSecret(user) {
+    if (provingMode(user) === "client") {
+        return user.data.hashed_secret;
+    }
+    const { secretField } = secretToField(await readUserSecret(user));
+    return computePoseidonHash(secretField);
+}
+
+/**
+ * Generation of a user's current secret: how many rotations (or switches to client
+ * proving) replaced a secret before it. The enrolled secret is generation 0, a pending
+ * one the next generation. OTPs of different generations never share a replay ledger.
+ *
+ * @param {{data: Object}} user - The user record from the user store.
+ * @returns {number}
+ */
+function secretGeneration(user) {
+    return (user.data.secret_rotations ?? []).length;
+}
+
+/**
+ * The TOTP secrets an OTP may come from: the user's secret and, during the grace
+ * period after a rotation, the secret it replaced. Client proving users have no
+ * current secret on the server, only the previous one while it is in its grace period.
+ *
+ * @param {{uid: string, data: Object, version: *}} user - The user record from the user store.
+ * @param {number} [now=Date.now()] - The current time in epoch milliseconds.
+ * @returns {Promise<Array<{secret: string, version: "current" | "previous", generation: number}>>}
+ */
+async function userSecrets(user, now = Date.now()) {
+    const generation = secretGeneration(user);
+    const secrets = provingMode(user) === "client"
+        ? []
+        : [{
+            secret: await readUserSecret(user),
+            version: "current",
+            generation,
+            totp: user.data.totp ?? DEFAULT_TOTP_PARAMS,
+        }];
+    const previous = user.data.previous_secret;
+    if (previous && new Date(previous.grace_until).getTime() > now) {
+        secrets.push({
+            secret: decryptWithSalt(previous.encrypted_secret, user.uid),
+            version: "previous",
+            generation: generation - 1,
+            totp: previous.totp ?? DEFAULT_TOTP_PARAMS,
+        });
+    }
+    return secrets;
+}
+
+/**
+ * Checks an OTP against each secret, with that secret's TOTP parameters, within
+ * `window` steps of its current time step.
+ *
+ * @param {Array<{secret: string, version: string, generation: number, totp?: Object}>} secrets - Candidate
+ *        secrets, from userSecrets().
+ * @param {string | number} otp - The OTP entered by the user.
+ * @param {number} [window=OTP_DRIFT_WINDOW] - Steps of clock drift to tolerate on each side.
+ * @returns {{secret: string, version: string, generation: number, totp: Object, timeStep: number, currentStep: number} | null}
+ *          The matching secret with the step the OTP matched and the current step, or null.
+ */
+function matchOtp(secrets, otp, window = OTP_DRIFT_WINDOW) {
+    for (const candidate of secrets) {
+        const totp = candidate.totp ?? DEFAULT_TOTP_PARAMS;
+        const currentStep = totpTimeStep(Date.now(), totp);
+        const { secretBytes } = secretToField(candidate.secret);
+        const timeStep = findTOTPTimeStep(secretBytes, otp, currentStep, window, totp);
+        if (timeStep !== null) {
+            return { ...candidate, totp, timeStep, currentStep };
+        }
+    }
+    return null;
+}
+
+/**
+ * Burns an OTP from matchOtp() in the replay ledger of the secret it matched.
+ *
+ * @returns {Promise<boolean>} - False if the OTP had already been used.
+ */
+function consumeMatchedOtp(uid, match) {
+    return otpGuard.consumeOtp(uid, match.timeStep, { generation: match.generation, period: match.totp.period });
+}
+
+/**
+ * Reads the TOTP parameters (digits, algorithm, period) of a new secret from a query
+ * or body, falling back to `defaults`. Sends a 400 and returns null if they are invalid.
+ */
+function totpParamsFrom(source, res, defaults = DEFAULT_TOTP_PARAMS) {
+    try {
+        return normalizeTotpParams({
+            digits: source.digits ?? defaults.digits,
+            algorithm: source.algorithm ?? defaults.algorithm,
+            period: source.period ?? defaults.period,
+        });
+    } catch (error) {
+        console.warn("Invalid TOTP parameters:", error.message);
+        sendError(res, 400, "totp_params_invalid", error.message);
+        return null;
+    }
+}
+
+/**
+ * Creates a new TOTP secret with its otpauth URL and QR code for authenticator apps.
+ * The URL carries the TOTP parameters so the app generates matching codes.
+ *
+ * @param {{digits: number, algorithm: string, period: number}} totp - TOTP parameters.
+ * @returns {Promise<{base32: string, otpauth_url: string, qr_code_url: string, totp: Object}>}
+ */
+async function issueTotpSecret(req, uid, totp) {
+    const secret = speakeasy.generateSecret({ otpauth_url: false });
+    const otpauth_url = speakeasy.otpauthURL({
+        secret: secret.base32,
+        encoding: "base32",
+        label: `${OTP_ISSUER}:${OTP_LABEL || req.auth.email || uid}`,
+        issuer: OTP_ISSUER,
+        digits: totp.digits,
+        algorithm: totp.algorithm,
+        period: totp.period,
+    });
+
+    // Convert the otpauth_url into a QR code data URL
+    const qr_code_url = await qrcode.toDataURL(otpauth_url);
+    return { base32: secret.base32, otpauth_url, qr_code_url, totp };
+}
+
+/**
+ * Appends a wallet record to a user's `wallets`, retrying if the document changes
+ * between the read and the write.
+ *
+ * @param {string} uid - The user id.
+ * @param {Object} record - The wallet record.
+ * @param {number} [maxAttempts=5] - How many conflicting writes to tolerate.
+ * @returns {Promise<void>}
+ * @throws {Error} - If the user disappeared or every attempt conflicted.
+ */
+async function appendWallet(uid, record, maxAttempts = 5) {
+    for (let i = 0; i < maxAttempts; i++) {
+        const user = await users.get(uid);
+        if (!user) {
+            throw new Error(`User ${uid} no longer exists`);
+        }
+        const wallets = [...(user.data.wallets ?? []), record];
+        if (await users.update(uid, { wallets }, { version: user.version })) {
+            return;
+        }
+    }
+    throw new Error(`Could not record wallet for user ${uid}: too many concurrent updates`);
+}
+
+/**
+ * Burns the recovery code matching `code`, retrying if the document changes between
+ * the read and the write. Two concurrent requests with the same code cannot both win.
+ *
+ * @param {string} uid - The user id.
+ * @param {string} code - The recovery code as typed by the user.
+ * @param {number} [maxAttempts=5] - How many conflicting writes to tolerate.
+ * @returns {Promise<number | null>} - Codes left after burning, or null if no unused code matched.
+ * @throws {Error} - If every attempt conflicted.
+ */
+async function consumeRecoveryCode(uid, code, maxAttempts = 5) {
+    for (let i = 0; i < maxAttempts; i++) {
+        const user = await users.get(uid);
+        const index = user ? await matchRecoveryCode(user.data.recovery_codes, code) : -1;
+        if (index < 0) {
+            return null;
+        }
+        const recovery_codes = burnRecoveryCode(user.data.recovery_codes, index);
+        if (await users.update(uid, { recovery_codes }, { version: user.version })) {
+            return remainingRecoveryCodes(recovery_codes);
+        }
+    }
+    throw new Error(`Could not burn recovery code for user ${uid}: too many concurrent updates`);
+}
+
+/**
+ * Attempt counter keys charged for an OTP attempt: one per user and one per client IP.
+ */
+function otpGuardKeys(req, uid) {
+    return [`uid:${uid}`, `ip:${req.ip}`];
+}
+
+/**
+ * Route and client address of a request, merged into `details` for an audit event.
+ */
+function auditContext(req, details = {}) {
+    return { route: req.path, ip: req.ip, ...details };
+}
+
+/**
+ * Charges a failed OTP (or recovery code) to the attempt counters and audits it.
+ *
+ * @param {string} reason - Why it failed, e.g. "otp_invalid" or "otp_replayed".
+ * @param {string} [type="otp.failed"] - The audit event type.
+ */
+async function recordOtpFailure(req, uid, reason, type = "otp.failed") {
+    await otpGuard.recordFailure(otpGuardKeys(req, uid));
+    await audit.record(type, uid, auditContext(req, { reason }));
+}
+
+/**
+ * Resets the attempt counters after an accepted OTP (or recovery code) and audits it.
+ *
+ * @param {Object} [details] - Event fields, e.g. the matched time step.
+ * @param {string} [type="otp.succeeded"] - The audit event type.
+ */
+async function recordOtpSuccess(req, uid, details, type = "otp.succeeded") {
+    await otpGuard.recordSuccess(otpGuardKeys(req, uid));
+    await audit.record(type, uid, auditContext(req, details));
+}
+
+/**
+ * Sends a 429 if the caller is locked out. Returns true if the response was sent.
+ */
+async function rejectIfLockedOut(req, res, uid) {
+    const lockedUntil = await otpGuard.lockedUntil(otpGuardKeys(req, uid));
+    if (!lockedUntil) {
+        return false;
+    }
+    console.warn("OTP attempts locked out for user:", uid);
+    await audit.record("otp.locked_out", uid, auditContext(req, { locked_until: new Date(lockedUntil).toISOString() }));
+    res.set("Retry-After", String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+    sendError(res, 429, "locked_out", "Too many failed OTP attempts", {
+        locked_until: new Date(lockedUntil).toISOString(),
+    });
+    return true;
+}
+
+// 1) Create Express app
+const app = express();
+app.use(express.json()); // parse JSON bodies
+app.use(cors());
+// Number of reverse proxies in front of the app, so req.ip is the real client address
+app.set("trust proxy", parseInt(process.env.TRUST_PROXY_HOPS ?? "0", 10));
+
+// Every route is bound to the uid of a verified Firebase ID token, except proof
+// verification, action decoding and the OpenAPI document, which relayers and dApps call
+// without an account.
+// AUTH_LOCAL_SECRET swaps in a local token issuer for development and tests.
+// Firebase Admin is only initialized when it is actually used to verify tokens.
+if (!process.env.AUTH_LOCAL_SECRET) {
+    admin.initializeApp({
+        credential: admin.credential.applicationDefault(),
+    });
+}
+const verifyIdToken = process.env.AUTH_LOCAL_SECRET
+    ? createLocalTokenIssuer(process.env.AUTH_LOCAL_SECRET).verify
+    : (token) => admin.auth().verifyIdToken(token);
+app.use(createAuthMiddleware(verifyIdToken, { publicPaths: publicPaths() }));
+
+/**
+ * Middleware validating a request against its schema in API_ROUTES (key "METHOD /path").
+ * Every route must have one, so /openapi.json covers the whole API.
+ */
+function validated(key) {
+    if (!API_ROUTES[key]) {
+        throw new Error(`No schema for route ${key} in apiSpec.js`);
+    }
+    return validateRequest(API_ROUTES[key]);
+}
+
+console.info("Express app initialized.");
+
+//=============================
+//  USER
+//=============================
+app.get("/user", validated("GET /user"), async (req, res) => {
+    console.info("Received request to /user");
+    try {
+        const uid = req.uid;
+
+        // Check if the user is registered
+        const user = await users.get(uid);
+        if (user) {
+            console.info("User found:", uid);
+            const otp_status = await otpGuard.status(uid);
+            return res.status(200).json({
+                uid: uid,
+                user_doc: publicUserDoc(user.data),
+                registered: true,
+                proving_mode: provingMode(user),
+                otp_status,
+                recovery_codes_remaining: remainingRecoveryCodes(user.data.recovery_codes),
+            });
+        } else {
+            console.info("User not found:", uid);
+            return sendError(res, 404, "user_not_found", "User not registered", { registered: false });
+        }
+    } catch (err) {
+        console.error("Error in /user:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+app.post("/user/register", validated("POST /user/register"), async (req, res) => {
+    console.info("Received request to /registerUser");
+    try {
+        const uid = req.uid;
+        const { otp } = req.body;
+
+        if (await rejectIfLockedOut(req, res, uid)) {
+            return;
+        }
+
+        if (await users.get(uid)) {
+            console.warn("User already registered:", uid);
+            return sendError(res, 409, "user_exists", "User already registered");
+        }
+
+        // The secret must come from a pending /otp/create enrollment, never from the client
+        const pending = await enrollments.get(uid);
+        if (!isEnrollmentActive(pending)) {
+            console.warn("No active enrollment for user:", uid);
+            return sendError(
+                res,
+                409,
+                pending ? "enrollment_expired" : "enrollment_missing",
+                "No pending enrollment; call /otp/create first"
+            );
+        }
+
+        // Confirm the authenticator app was set up by checking its first OTP
+        const secret = decryptWithSalt(pending.encrypted_secret, uid);
+        const totp = pending.totp ?? DEFAULT_TOTP_PARAMS;
+        const match = matchOtp([{ secret, version: "pending", generation: 0, totp }], otp);
+        if (!match) {
+            await recordOtpFailure(req, uid, "otp_invalid");
+            console.warn("Invalid enrollment OTP for user:", uid);
+            return sendError(res, 401, "otp_invalid", "Invalid OTP code");
+        }
+
+        const timeStep = match.timeStep;
+        if (!(await consumeMatchedOtp(uid, match))) {
+            await recordOtpFailure(req, uid, "otp_replayed");
+            return sendError(res, 401, "otp_replayed", "OTP code has already been used");
+        }
+        await recordOtpSuccess(req, uid, { timeStep, secret_version: match.version });
+
+        // The pending secret is already encrypted with the uid as salt, so commit it as-is.
+        // Recovery codes are only returned here; the user document keeps their hashes.
+        const { codes, record } = await generateRecoveryCodes();
+        const created = await users.create(uid, {
+            encrypted_secret: pending.encrypted_secret,
+            totp,
+            recovery_codes: record,
+        });
+        if (!created) {
+            console.warn("User registered concurrently:", uid);
+            return sendError(res, 409, "user_exists", "User already registered");
+        }
+        await enrollments.delete(uid);
+        await audit.record("user.registered", uid, auditContext(req, { totp }));
+
+        console.info("User registered successfully:", uid);
+        return res.status(200).json({ message: "User registered successfully", recovery_codes: codes });
+    } catch (err) {
+        console.error("Error in /user/register:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Registration for client-side proving: the secret is generated on the user's device and
+// only its Poseidon hash is sent, so the server can never prove on the user's behalf.
+// There are no recovery codes, since they only pay for server-side proofs.
+app.post("/user/register/client", validated("POST /user/register/client"), async (req, res) => {
+    console.info("Received request to /user/register/client");
+    try {
+        const uid = req.uid;
+        const { hashedSecret } = req.body;
+        const totp = totpParamsFrom(req.body, res);
+        if (!totp) {
+            return;
+        }
+
+        const created = await users.create(uid, {
+            proving_mode: "client",
+            hashed_secret: hashedSecret,
+            totp,
+        });
+        if (!created) {
+            console.warn("User already registered:", uid);
+            return sendError(res, 409, "user_exists", "User already registered");
+        }
+        // A server-side enrollment started earlier no longer applies
+        await enrollments.delete(uid);
+        await audit.record("user.registered", uid, auditContext(req, { totp, proving_mode: "client" }));
+
+        console.info("Client proving user registered successfully:", uid);
+        return res.status(200).json({ message: "User registered successfully", proving_mode: "client" });
+    } catch (err) {
+        console.error("Error in /user/register/client:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Moves a server proving user to client-side proving after an OTP from their current secret.
+// The server secret becomes the previous secret for SECRET_GRACE_MS, exactly as after a
+// rotation, so wallets can be re-bound to the device's hashed secret with /user/secret/rebind;
+// after that the server holds nothing it can prove with. There is no way back short of a new
+// account, since the server never sees the device's secret.
+app.post("/user/proving-mode", validated("POST /user/proving-mode"), async (req, res) => {
+    console.info("Received request to /user/proving-mode");
+    try {
+        const uid = req.uid;
+        const { otp, hashedSecret } = req.body;
+
+        if (await rejectIfLockedOut(req, res, uid)) {
+            return;
+        }
+
+        const user = await users.get(uid);
+        if (!user) {
+            console.warn("User not found:", uid);
+            return sendError(res, 404, "user_not_found", "User not found");
+        }
+        if (provingMode(user) === "client") {
+            console.warn("User already proves on their device:", uid);
+            return sendError(res, 409, "client_proving", "This user already proves on their own device");
+        }
+
+        // Only the current secret can authorize the switch, not one that is being phased out
+        const [current] = await userSecrets(user);
+        const match = matchOtp([current], otp);
+        if (!match) {
+            await recordOtpFailure(req, uid, "otp_invalid");
+            console.warn("Invalid OTP for proving mode switch:", uid);
+            return sendError(res, 401, "otp_invalid", "Invalid OTP code");
+        }
+
+        const timeStep = match.timeStep;
+        if (!(await consumeMatchedOtp(uid, match))) {
+            await recordOtpFailure(req, uid, "otp_replayed");
+            return sendError(res, 401, "otp_replayed", "OTP code has already been used");
+        }
+        await recordOtpSuccess(req, uid, { timeStep, secret_version: match.version });
+
+        const now = new Date();
+        const grace_until = new Date(now.getTime() + SECRET_GRACE_MS).toISOString();
+        const rotation = {
+            confirmed_at: now.toISOString(),
+            grace_until,
+            hashed_secret: hashedSecret,
+            previous_hashed_secret: await computePoseidonHash(secretToField(current.secret).secretField),
+            proving_mode: "client",
+        };
+        const written = await users.update(uid, {
+            proving_mode: "client",
+            hashed_secret: hashedSecret,
+            encrypted_secret: null,
+            previous_secret: {
+                encrypted_secret: user.data.encrypted_secret,
+                totp: current.totp,
+                retired_at: now.toISOString(),
+                grace_until,
+            },
+            pending_secret: null,
+            recovery_codes: null,
+            secret_rotations: [...(user.data.secret_rotations ?? []), rotation],
+        }, { version: user.version });
+        if (!written) {
+            console.warn("User changed during proving mode switch:", uid);
+            return sendError(res, 409, "conflict", "User changed during the switch, try again");
+        }
+
+        await audit.record("proving_mode.changed", uid, auditContext(req, rotation));
+
+        console.info("User switched to client proving:", uid);
+        return res.status(200).json({
+            message: "Proving moved to the device",
+            proving_mode: "client",
+            rotation,
+            // Wallets still check previous_hashed_secret until they are re-bound
+            wallets: user.data.wallets ?? [],
+        });
+    } catch (err) {
+        console.error("Error in /user/proving-mode:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// The caller's own audit trail, newest first. Page with ?before=<id of the last event>.
+app.get("/user/audit", validated("GET /user/audit"), async (req, res) => {
+    console.info("Received request to /user/audit");
+    try {
+        const limit = req.query.limit == null ? 50 : Number(req.query.limit);
+        const { before } = req.query;
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200 || (before != null && typeof before !== "string")) {
+            console.warn("Invalid audit query.");
+            return sendError(res, 400, "invalid_request", "Invalid limit or before");
+        }
+
+        const events = await audit.listForUser(req.uid, { before, limit });
+        return res.status(200).json({
+            events,
+            next_before: events.length === limit ? events[events.length - 1].id : null,
+        });
+    } catch (err) {
+        console.error("Error in /user/audit:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Replaces the whole set of recovery codes (burned or not) after a valid OTP
+app.post("/user/recovery-codes", validated("POST /user/recovery-codes"), async (req, res) => {
+    console.info("Received request to /user/recovery-codes");
+    try {
+        const uid = req.uid;
+        const { otp } = req.body;
+
+        if (await rejectIfLockedOut(req, res, uid)) {
+            return;
+        }
+
+        const user = await users.get(uid);
+        if (!user) {
+            console.warn("User not found:", uid);
+            return sendError(res, 404, "user_not_found", "User not found");
+        }
+        // Recovery codes pay for server-side proofs, which client proving users cannot get
+        if (rejectIfClientProving(res, user)) {
+            return;
+        }
+
+        // Only the current secret can issue recovery codes, not one that is being phased out
+        const [current] = await userSecrets(user);
+        const match = matchOtp([current], otp);
+        if (!match) {
+            await recordOtpFailure(req, uid, "otp_invalid");
+            console.warn("Invalid OTP for recovery code regeneration:", uid);
+            return sendError(res, 401, "otp_invalid", "Invalid OTP code");
+        }
+
+        const timeStep = match.timeStep;
+        if (!(await consumeMatchedOtp(uid, match))) {
+            await recordOtpFailure(req, uid, "otp_replayed");
+            return sendError(res, 401, "otp_replayed", "OTP code has already been used");
+        }
+        await recordOtpSuccess(req, uid, { timeStep, secret_version: match.version });
+
+        // The OTP is spent, so the write is unconditional: the new set replaces whatever is stored
+        const { codes, record } = await generateRecoveryCodes();
+        await users.update(uid, { recovery_codes: record });
+        await audit.record("recovery_codes.regenerated", uid, auditContext(req, { count: codes.length }));
+
+        console.info("Recovery codes regenerated for user:", uid);
+        return res.status(200).json({ recovery_codes: codes });
+    } catch (err) {
+        console.error("Error in /user/recovery-codes:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+/**
+ * Loads the user whose policy is being changed, after the lockout check.
+ *
+ * Sends the error response itself and returns null if the user is locked out, does not
+ * exist or proves on their own device.
+ */
+async function loadPolicyUser(req, res, uid) {
+    if (await rejectIfLockedOut(req, res, uid)) {
+        return null;
+    }
+    const user = await users.get(uid);
+    if (!user) {
+        console.warn("User not found:", uid);
+        sendError(res, 404, "user_not_found", "User not found");
+        return null;
+    }
+    if (rejectIfClientProving(res, user)) {
+        return null;
+    }
+    return user;
+}
+
+/**
+ * Checks and consumes the OTP of a policy change. Only the current secret counts, not
+ * one that is being phased out, so a rotated-out secret cannot lift the limits (or the
+ * cooldown) that guard against it.
+ *
+ * Sends the error response itself and returns null if the OTP is rejected.
+ */
+async function checkPolicyOtp(req, res, user, otp) {
+    const [current] = await userSecrets(user);
+    return checkProofOtp(req, res, user.uid, [current], otp);
+}
+
+// Transaction policy: rules every server-made proof is checked against (see utils/policy.js).
+// Reading it is free, since /user shows it too; replacing or removing it takes an OTP, so a
+// stolen ID token alone cannot lift the limits. Client proving users make their own proofs,
+// so the server has nothing to enforce a policy on.
+app.get("/user/policy", validated("GET /user/policy"), async (req, res) => {
+    console.info("Received request to /user/policy");
+    try {
+        const uid = req.uid;
+        const user = await users.get(uid);
+        if (!user) {
+            console.warn("User not found:", uid);
+            return sendError(res, 404, "user_not_found", "User not found");
+        }
+
+        const spending = user.data.policy_spending;
+        const now = Date.now();
+        const spent_today = Object.fromEntries(
+            Object.keys(spending?.chains ?? {}).map((chainId) => [chainId, spentToday(spending, chainId, now).toString()])
+        );
+        return res.status(200).json({ policy: user.data.policy ?? null, spent_today });
+    } catch (err) {
+        console.error("Error in GET /user/policy:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+app.put("/user/policy", validated("PUT /user/policy"), async (req, res) => {
+    console.info("Received request to PUT /user/policy");
+    try {
+        const uid = req.uid;
+        const { otp } = req.body;
+
+        // Check the policy before the OTP is spent on it
+        let policy;
+        try {
+            policy = normalizePolicy(req.body.policy);
+        } catch (error) {
+            if (!(error instanceof PolicyError)) {
+                throw error;
+            }
+            console.warn("Invalid policy:", error.message);
+            return sendError(res, 400, error.code, error.message);
+        }
+
+        const user = await loadPolicyUser(req, res, uid);
+        if (!user || !(await checkPolicyOtp(req, res, user, otp))) {
+            return;
+        }
+
+        // The OTP is spent, so the write is unconditional; the day's spending carries over
+        policy.updated_at = new Date().toISOString();
+        await users.update(uid, { policy });
+        await audit.record("policy.updated", uid, auditContext(req, { policy, previous: user.data.policy ?? null }));
+
+        console.info("Policy updated for user:", uid);
+        return res.status(200).json({ policy });
+    } catch (err) {
+        console.error("Error in PUT /user/policy:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+app.delete("/user/policy", validated("DELETE /user/policy"), async (req, res) => {
+    console.info("Received request to DELETE /user/policy");
+    try {
+        const uid = req.uid;
+        const user = await loadPolicyUser(req, res, uid);
+        if (!user || !(await checkPolicyOtp(req, res, user, req.body.otp))) {
+            return;
+        }
+
+        await users.update(uid, { policy: null });
+        await audit.record("policy.deleted", uid, auditContext(req, { previous: user.data.policy ?? null }));
+
+        console.info("Policy removed for user:", uid);
+        return res.status(200).json({ policy: null });
+    } catch (err) {
+        console.error("Error in DELETE /user/policy:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Secret rotation: /user/secret/rotate hands out a new secret after an OTP from the current
+// one, /user/secret/confirm switches to it after its first OTP, and the old secret keeps
+// working for SECRET_GRACE_MS. Wallets still bound to the old secret are moved over with a
+// proof from /user/secret/rebind.
+app.post("/user/secret/rotate", validated("POST /user/secret/rotate"), async (req, res) => {
+    console.info("Received request to /user/secret/rotate");
+    try {
+        const uid = req.uid;
+        const { otp } = req.body;
+
+        if (await rejectIfLockedOut(req, res, uid)) {
+            return;
+        }
+
+        const user = await users.get(uid);
+        if (!user) {
+            console.warn("User not found:", uid);
+            return sendError(res, 404, "user_not_found", "User not found");
+        }
+        // Client proving users rotate on their device and re-bind their wallets themselves
+        if (rejectIfClientProving(res, user)) {
+            return;
+        }
+
+        // The new secret keeps the current TOTP parameters unless the body changes them
+        const [current] = await userSecrets(user);
+        const totp = totpParamsFrom(req.body, res, current.totp);
+        if (!totp) {
+            return;
+        }
+
+        // Only the current secret can start a rotation, not one that is being phased out
+        const match = matchOtp([current], otp);
+        if (!match) {
+            await recordOtpFailure(req, uid, "otp_invalid");
+            console.warn("Invalid OTP for secret rotation:", uid);
+            return sendError(res, 401, "otp_invalid", "Invalid OTP code");
+        }
+
+        const timeStep = match.timeStep;
+        if (!(await consumeMatchedOtp(uid, match))) {
+            await recordOtpFailure(req, uid, "otp_replayed");
+            return sendError(res, 401, "otp_replayed", "OTP code has already been used");
+        }
+        await recordOtpSuccess(req, uid, { timeStep, secret_version: match.version });
+
+        // Park the new secret on the user until /user/secret/confirm sees its first OTP
+        const issued = await issueTotpSecret(req, uid, totp);
+        const now = Date.now();
+        const expires_at = new Date(now + ENROLLMENT_TTL_MS);
+        await users.update(uid, {
+            pending_secret: {
+                encrypted_secret: encryptWithSalt(issued.base32, uid),
+                totp,
+                created_at: new Date(now).toISOString(),
+                expires_at: expires_at.toISOString(),
+            },
+        });
+
+        await audit.record("secret.rotation_started", uid, auditContext(req, {
+            totp,
+            expires_at: expires_at.toISOString(),
+        }));
+
+        console.info("Secret rotation started for user:", uid);
+        return res.status(200).json({ ...issued, expires_at: expires_at.toISOString() });
+    } catch (err) {
+        console.error("Error in /user/secret/rotate:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+app.post("/user/secret/confirm", validated("POST /user/secret/confirm"), async (req, res) => {
+    console.info("Received request to /user/secret/confirm");
+    try {
+        const uid = req.uid;
+        const { otp } = req.body;
+
+        if (await rejectIfLockedOut(req, res, uid)) {
+            return;
+        }
+
+        const user = await users.get(uid);
+        if (!user) {
+            console.warn("User not found:", uid);
+            return sendError(res, 404, "user_not_found", "User not found");
+        }
+        const pending = user.data.pending_secret;
+        if (!isEnrollmentActive(pending)) {
+            console.warn("No active secret rotation for user:", uid);
+            return sendError(
+                res,
+                409,
+                pending ? "rotation_expired" : "rotation_missing",
+                "No pending rotation; call /user/secret/rotate first"
+            );
+        }
+
+        // Confirm the authenticator app has the new secret by checking its first OTP
+        const newSecret = decryptWithSalt(pending.encrypted_secret, uid);
+        const match = matchOtp([{
+            secret: newSecret,
+            version: "pending",
+            generation: secretGeneration(user) + 1,
+            totp: pending.totp,
+        }], otp);
+        if (!match) {
+            await recordOtpFailure(req, uid, "otp_invalid");
+            console.warn("Invalid OTP for the new secret of user:", uid);
+            return sendError(res, 401, "otp_invalid", "Invalid OTP code");
+        }
+
+        // The new secret is the next generation with its own replay ledger, so confirming in
+        // the same time step as /user/secret/rotate works, and this OTP stays burned once the
+        // new secret becomes the current one
+        const timeStep = match.timeStep;
+        if (!(await consumeMatchedOtp(uid, match))) {
+            await recordOtpFailure(req, uid, "otp_replayed");
+            return sendError(res, 401, "otp_replayed", "OTP code has already been used");
+        }
+        await recordOtpSuccess(req, uid, { timeStep, secret_version: match.version });
+
+        const now = new Date();
+        const grace_until = new Date(now.getTime() + SECRET_GRACE_MS).toISOString();
+        const hashedSecret = await computePoseidonHash(secretToField(newSecret).secretField);
+        // Plain decrypt: a lazy re-encryption here would bump the version we write against
+        const previousHashedSecret = await computePoseidonHash(
+            secretToField(decryptWithSalt(user.data.encrypted_secret, uid)).secretField
+        );
+        const rotation = {
+            started_at: pending.created_at,
+            confirmed_at: now.toISOString(),
+            grace_until,
+            hashed_secret: hashedSecret,
+            previous_hashed_secret: previousHashedSecret,
+        };
+
+        // The pending secret is already encrypted with the uid as salt, so swap it in as-is
+        const written = await users.update(uid, {
+            encrypted_secret: pending.encrypted_secret,
+            totp: pending.totp ?? DEFAULT_TOTP_PARAMS,
+            previous_secret: {
+                encrypted_secret: user.data.encrypted_secret,
+                totp: user.data.totp ?? DEFAULT_TOTP_PARAMS,
+                retired_at: now.toISOString(),
+                grace_until,
+            },
+            pending_secret: null,
+            secret_rotations: [...(user.data.secret_rotations ?? []), rotation],
+        }, { version: user.version });
+        if (!written) {
+            console.warn("User changed during secret rotation:", uid);
+            return sendError(res, 409, "conflict", "User changed during rotation, try again");
+        }
+
+        await audit.record("secret.rotated", uid, auditContext(req, rotation));
+
+        console.info("Secret rotated for user:", uid);
+        return res.status(200).json({
+            message: "Secret rotated",
+            rotation,
+            // Wallets still check previous_hashed_secret until they are re-bound
+            wallets: user.data.wallets ?? [],
+        });
+    } catch (err) {
+        console.error("Error in /user/secret/confirm:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Proof from the previous secret (derived server-side, authorized by an OTP from the current
+// secret) for a call of the wallet's own setHashedSecretConfig with the current hashed secret.
+// Relay it through /relay/execute with the action it returns. After a switch to client
+// proving the server has no current secret, so the OTP comes from the previous one.
+app.post("/user/secret/rebind", validated("POST /user/secret/rebind"), async (req, res) => {
+    console.info("Received request to /user/secret/rebind");
+    try {
+        const uid = req.uid;
+        const { otp, chainId } = req.body;
+        const contract = req.body.contract || process.env.DEFAULT_CONTRACT_ADDRESS;
+
+        const user = await users.get(uid);
+        if (!user) {
+            console.warn("User not found:", uid);
+            return sendError(res, 404, "user_not_found", "User not found");
+        }
+        const previous = user.data.previous_secret;
+        if (!previous || new Date(previous.grace_until).getTime() <= Date.now()) {
+            console.warn("No secret in its grace period for user:", uid);
+            return sendError(res, 409, "rotation_missing", "No rotated secret in its grace period");
+        }
+
+        const hashedSecret = await currentHashedSecret(user);
+        req.body = {
+            otp,
+            contract,
+            chainId,
+            circuit: req.body.circuit,
+            to: contract,
+            value: 0,
+            call: { abi: ZKOTP_WALLET_ABI, functionName: "setHashedSecretConfig", args: [hashedSecret] },
+        };
+
+        const prepared = await prepareProofRequest(req, res, { rebind: true });
+        if (!prepared) {
+            return;
+        }
+        return sendProof(req, res, prepared);
+    } catch (err) {
+        console.error("Error in /user/secret/rebind:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+//=============================
+//  GENERATE PROOF
+//=============================
+/**
+ * Reads the action (to, value, data) and its target contract and chain from a request
+ * body, with the defaults the proof routes and the relayer must agree on. The action
+ * may be given as raw data, as `call: {abi, functionName, args}` or as `erc20Transfer`.
+ * A body with `actions` describes an ordered batch instead, returned as `actions`.
+ *
+ * Sends a 400 and returns null if the action cannot be encoded.
+ */
+function actionFields(req, res) {
+    const body = req.body;
+    let action = null;
+    let actions = null;
+    try {
+        if (body.actions != null) {
+            if (body.to || body.value != null || body.data || body.call || body.erc20Transfer) {
+                throw new CalldataError("Give either actions or a single action, not both");
+            }
+            actions = buildActions(body.actions);
+        } else {
+            action = buildAction(body);
+        }
+    } catch (error) {
+        if (!(error instanceof CalldataError)) {
+            throw error;
+        }
+        console.warn("Invalid action in request body:", error.message);
+        sendError(res, 400, error.code, error.message);
+        return null;
+    }
+
+    // The contract (wallet or traffic light) the proof is for, and its chain
+    const target = {
+        contract: body.contract || process.env.DEFAULT_CONTRACT_ADDRESS,
+        chainId: body.chainId ?? process.env.DEFAULT_CHAIN_ID,
+    };
+    if (actions) {
+        return { actions, ...target };
+    }
+    return {
+        to: action.to || "0x0000000000000000000000000000000000000000",
+        value: action.value ?? 0,
+        data: action.data || "0x00",
+        ...target,
+    };
+}
+
+/**
+ * Checks the contract and chain an action is for. They may come from the
+ * DEFAULT_CONTRACT_ADDRESS / DEFAULT_CHAIN_ID defaults rather than the validated body.
+ *
+ * Sends a 400 and returns false if either is missing or invalid.
+ */
+function checkTarget(res, contract, chainId) {
+    if (!contract || chainId == null) {
+        console.warn("No contract or chainId in the request and no default configured.");
+        sendError(res, 400, "invalid_request", "Missing contract or chainId");
+        return false;
+    }
+    if (!ethers.utils.isAddress(contract) || !/^\d+$/.test(String(chainId))) {
+        console.warn("Invalid contract or chainId.");
+        sendError(res, 400, "invalid_request", "Invalid contract address or chainId");
+        return false;
+    }
+    return true;
+}
+
+/**
+ * The action hash a proof for these fields commits to (a batch hash for `actions`).
+ */
+function actionHashFor(fields) {
+    const { to, value, data, actions, chainId, contract } = fields;
+    return actions
+        ? computeBatchActionHash(actions, chainId, contract)
+        : computeActionHash(to, value, data, chainId, contract);
+}
+
+/**
+ * Readable form of the action, or of each action in a batch, for responses.
+ * Calldata is decoded with the request's `abi` or the action's own `call.abi`.
+ */
+function describeFields(fields, body) {
+    const describe = (action, abi) => ({
+        to: action.to,
+        value: String(action.value),
+        data: action.data,
+        ...describeAction(action, abi),
+    });
+    if (fields.actions) {
+        return { actions: fields.actions.map((a, i) => describe(a, body.actions[i]?.call?.abi ?? body.abi)) };
+    }
+    return { action: describe(fields, body.call?.abi ?? body.abi) };
+}
+
+/**
+ * Validates a proof request (OTP, target contract, action) and builds the
+ * generateZKProof() input. Shared by /proof/generate, /proof/recover and /proof/jobs.
+ * The proof is made with the circuit named in `circuit`, or the default one.
+ *
+ * With `options.recovery`, a recovery code in `recoveryCode` is burned instead of
+ * checking an OTP, and the proof is built for the current time step.
+ *
+ * During the grace period after a rotation, OTPs from the previous secret are accepted
+ * too and yield a proof from that secret. With `options.rebind`, the OTP must come from
+ * the current secret and the proof is always built from the previous one.
+ *
+ * The action(s) must pass the user's policy (see enforcePolicy()), checked once before the
+ * OTP or recovery code is spent and again, counting the value sent, once it is. Re-binds
+ * are exempt: they are how wallets follow the secret change the cooldown is about. The
+ * value counted is returned as `reservation`, for releaseSpending() if no proof comes of it.
+ *
+ * Sends the error response itself and returns null if the request is rejected.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.recovery=false] - Authorize with a recovery code.
+ * @param {boolean} [options.rebind=false] - Prove with the previous secret.
+ * @returns {Promise<{input: Object, meta: Object, reservation: Object | null} | null>}
+ */
+async function prepareProofRequest(req, res, options = {}) {
+    const uid = req.uid;
+    const recovery = options.recovery === true;
+    const rebind = options.rebind === true;
+    // The OTP or recovery code was checked against the route's schema
+    const { otp, recoveryCode } = req.body;
+    const fields = actionFields(req, res);
+    if (!fields) {
+        return null;
+    }
+    const { contract, chainId } = fields;
+    if (!checkTarget(res, contract, chainId)) {
+        return null;
+    }
+    const circuit = resolveCircuit(res, req.body.circuit);
+    if (!circuit) {
+        return null;
+    }
+
+    if (recovery && recoveryCodeToField(recoveryCode) === null) {
+        console.warn("Malformed recovery code in request body.");
+        sendError(res, 400, "recovery_code_malformed", "Recovery code must be 16 digits");
+        return null;
+    }
+
+    if (await rejectIfLockedOut(req, res, uid)) {
+        return null;
+    }
+
+    // Fetch encrypted_secret from the user store
+    const user = await users.get(uid);
+    if (!user) {
+        console.warn("User not found:", uid);
+        sendError(res, 404, "user_not_found", "User not found");
+        return null;
+    }
+    // A re-bind still proves with the server's previous secret, whatever the proving mode
+    if (!rebind && rejectIfClientProving(res, user)) {
+        return null;
+    }
+    if (!rebind && !(await enforcePolicy(req, res, uid, fields))) {
+        return null;
+    }
+
+    // Reserve the nonce before spending the OTP or recovery code: it may query the chain,
+    // and an RPC failure or a wrong contract must not cost the caller a single-use credential
+    const txNonce = await nonceTracker.nextNonce(chainId, contract);
+
+    // Decrypt the secret(s)
+    const secrets = await userSecrets(user);
+    let proving = secrets[0];
+
+    let timeStep;
+    let recoveryCodesRemaining;
+    if (recovery) {
+        // Burn the recovery code before paying for a proof; the OTP is derived from the secret
+        console.info("Validating recovery code...");
+        recoveryCodesRemaining = await consumeRecoveryCode(uid, recoveryCode);
+        if (recoveryCodesRemaining === null) {
+            await recordOtpFailure(req, uid, "recovery_code_invalid", "recovery_code.failed");
+            console.warn("Invalid recovery code for user:", uid);
+            sendError(res, 401, "recovery_code_invalid", "Invalid or used recovery code");
+            return null;
+        }
+        await recordOtpSuccess(req, uid, { remaining: recoveryCodesRemaining }, "recovery_code.used");
+        timeStep = totpTimeStep(Date.now(), proving.totp);
+    } else {
+        const matched = await checkProofOtp(req, res, uid, rebind ? [proving] : secrets, otp);
+        if (!matched) {
+            return null;
+        }
+        ({ timeStep, secret: proving } = matched);
+    }
+    const reservation = rebind ? null : await enforcePolicy(req, res, uid, fields, { reserve: true });
+    if (!rebind && !reservation) {
+        return null;
+    }
+    if (rebind) {
+        // The OTP came from the current secret; the previous one's code is derived for its own step
+        proving = secrets.find((s) => s.version === "previous");
+        timeStep = totpTimeStep(Date.now(), proving.totp);
+    }
+
+    // Prepare secret bytes and the secret as a field element
+    console.info("Preparing secret bytes...");
+    const { secretBytes, secretField: secretIntMod } = secretToField(proving.secret);
+    const secret = secretIntMod.toString();
+    const computedOtp = computeTOTP(secretBytes, timeStep, proving.totp);
+
+    // Poseidon hashes
+    console.info("Computing Poseidon hashes...");
+    const hashedSecret = await computePoseidonHash(secretIntMod);
+    const hashedOtp = await computePoseidonHash(BigInt(computedOtp));
+    const actionHash = actionHashFor(fields);
+
+    const input = {
+        secret: secret,
+        computedOtp: computedOtp.toString(),
+        hashedSecret: hashedSecret.toString(),
+        hashedOtp: hashedOtp.toString(),
+        timeStep: timeStep.toString(),
+        actionHash: actionHash.toString(),
+        txNonce: txNonce.toString(),
+        secretBytes: secretBytes,
+        totp: proving.totp,
+        circuit: circuits.descriptor(circuit.id),
+    };
+
+    return {
+        input,
+        reservation,
+        meta: {
+            // The artifact set the proof is made with; verify it against the same id
+            circuitId: circuit.id,
+            timeStep,
+            chainId: String(chainId),
+            contract: ethers.utils.getAddress(contract),
+            txNonce,
+            actionHash,
+            // The exact action(s) the proof authorizes, to pass on to execute() unchanged
+            ...describeFields(fields, req.body),
+            ...(recovery ? { recovery_codes_remaining: recoveryCodesRemaining } : {}),
+            // A proof from the replaced secret only passes wallets that have not been re-bound yet
+            ...(proving.version === "previous" ? { secret_version: "previous" } : {}),
+        },
+    };
+}
+
+/**
+ * Looks up a circuit from the registry (the default one if `id` is not given).
+ *
+ * Sends a 400 and returns null if the id is unknown.
+ */
+function resolveCircuit(res, id) {
+    try {
+        return circuits.resolve(id);
+    } catch (error) {
+        if (!(error instanceof CircuitError)) {
+            throw error;
+        }
+        console.warn("Unknown circuit requested:", id);
+        sendError(res, 400, error.code, error.message);
+        return null;
+    }
+}
+
+/**
+ * Checks a proof request's OTP against the drift window of each secret and consumes it.
+ *
+ * Sends the error response itself and returns null if the OTP is rejected.
+ *
+ * @returns {Promise<{timeStep: number, secret: Object} | null>} - The time step the OTP
+ *          matched and the secret (from userSecrets()) it matched.
+ */
+async function checkProofOtp(req, res, uid, secrets, otp) {
+    // Validate the OTP against the drift window before paying for a proof
+    console.info("Validating TOTP...");
+    const match = matchOtp(secrets, otp);
+    if (!match) {
+        const stale = matchOtp(secrets, otp, OTP_STALE_LOOKBACK);
+        const expired = stale !== null && stale.timeStep < stale.currentStep;
+        await recordOtpFailure(req, uid, expired ? "otp_expired" : "otp_invalid");
+        if (expired) {
+            console.warn("Expired OTP for user:", uid);
+            sendError(res, 401, "otp_expired", "OTP code has expired");
+            return null;
+        }
+        console.warn("Invalid OTP for user:", uid);
+        sendError(res, 401, "otp_invalid", "Invalid OTP code");
+        return null;
+    }
+    if (!(await consumeMatchedOtp(uid, match))) {
+        await recordOtpFailure(req, uid, "otp_replayed");
+        console.warn("Replayed OTP for user:", uid);
+        sendError(res, 401, "otp_replayed", "OTP code has already been used");
+        return null;
+    }
+    await recordOtpSuccess(req, uid, { timeStep: match.timeStep, secret_version: match.version });
+    return { timeStep: match.timeStep, secret: match };
+}
+
+/**
+ * When a user's secret last changed (a confirmed rotation or a switch to client
+ * proving), in epoch milliseconds, or null if it never did.
+ */
+function lastSecretChange(user) {
+    const times = (user.data.secret_rotations ?? []).map((rotation) => new Date(rotation.confirmed_at).getTime());
+    return times.length ? Math.max(...times) : null;
+}
+
+/**
+ * Checks the action(s) of a proof request against the user's policy, if they have one.
+ * With `options.reserve`, the value they send is also added to the day's spending; the
+ * check and the write are conditional on the same version of the user document, so
+ * concurrent requests cannot both spend the last of the daily limit. Value counts from
+ * the moment the proof is issued, whether or not it is ever relayed; if proving fails,
+ * releaseSpending() gives it back.
+ *
+ * Sends a 403 listing every violation and returns null if the policy denies the request.
+ *
+ * @param {Object} fields - The request's action(s) and target, from actionFields().
+ * @param {Object} [options]
+ * @param {boolean} [options.reserve=false] - Record the value against the daily limit.
+ * @param {number} [maxAttempts=5] - How many conflicting writes to tolerate.
+ * @returns {Promise<{chainId: string, value: bigint, at: number} | null>} - The value
+ *          reserved (0n if none was) and when.
+ * @throws {Error} - If every attempt conflicted.
+ */
+async function enforcePolicy(req, res, uid, fields, options = {}, maxAttempts = 5) {
+    const actions = fields.actions ?? [fields];
+    const chainId = String(fields.chainId);
+    for (let i = 0; i < maxAttempts; i++) {
+        const now = Date.now();
+        const user = await users.get(uid);
+        const policy = user?.data.policy;
+        if (!policy) {
+            return { chainId, value: 0n, at: now };
+        }
+
+        const spending = user.data.policy_spending ?? null;
+        const violations = evaluatePolicy(policy, { actions, chainId }, {
+            now,
+            spent: spentToday(spending, chainId, now),
+            lastSecretChange: lastSecretChange(user),
+        });
+        if (violations.length) {
+            console.warn("Proof request denied by policy for user:", uid);
+            await audit.record("policy.denied", uid, auditContext(req, {
+                chainId,
+                contract: fields.contract,
+                violations,
+            }));
+            sendError(res, 403, "policy_denied", violations.map((v) => v.message).join("; "), { violations });
+            return null;
+        }
+
+        const value = totalValue(actions);
+        if (!options.reserve || policy.dailyValueLimit == null || value === 0n) {
+            return { chainId, value: 0n, at: now };
+        }
+        const policy_spending = addSpending(spending, chainId, value, now);
+        if (await users.update(uid, { policy_spending }, { version: user.version })) {
+            return { chainId, value, at: now };
+        }
+    }
+    throw new Error(`Could not record spending for user ${uid}: too many concurrent updates`);
+}
+
+/**
+ * Gives back the value enforcePolicy() reserved for a proof that was never issued (the
+ * queue was full or proving failed), retrying if the document changes in between.
+ * Failures are logged, not thrown: the caller is already reporting another error.
+ *
+ * @param {string} uid - The user id.
+ * @param {{chainId: string, value: bigint, at: number} | null} reservation - From enforcePolicy().
+ * @param {number} [maxAttempts=5] - How many conflicting writes to tolerate.
+ * @returns {Promise<void>}
+ */
+async function releaseSpending(uid, reservation, maxAttempts = 5) {
+    if (!reservation || reservation.value === 0n) {
+        return;
+    }
+    try {
+        for (let i = 0; i < maxAttempts; i++) {
+            const user = await users.get(uid);
+            const policy_spending = user && refundSpending(
+                user.data.policy_spending ?? null,
+                reservation.chainId,
+                reservation.value,
+                reservation.at
+            );
+            if (!policy_spending || await users.update(uid, { policy_spending }, { version: user.version })) {
+                return;
+            }
+        }
+        console.error(`Could not release spending for user ${uid}: too many concurrent updates`);
+    } catch (err) {
+        console.error(`Could not release spending for user ${uid}:`, err);
+    }
+}
+
+/**
+ * What a proof commits to, for its audit event.
+ */
+function proofAuditDetails(meta) {
+    const { circuitId, timeStep, actionHash, txNonce, chainId, contract, secret_version } = meta;
+    return { circuitId, timeStep, actionHash, txNonce, chainId, contract, ...(secret_version ? { secret_version } : {}) };
+}
+
+/**
+ * Generates the proof for a prepared request on the worker pool and sends it.
+ */
+async function sendProof(req, res, prepared) {
+    let proof;
+    try {
+        proof = await proofPool.run(prepared.input);
+    } catch (error) {
+        await releaseSpending(req.uid, prepared.reservation);
+        if (error instanceof ProofQueueFullError) {
+            console.warn("Proof queue full.");
+            return sendError(res, 503, error.code, error.message);
+        }
+        console.error("Failed to generate proof:", error);
+        await audit.record("proof.failed", req.uid, auditContext(req, proofAuditDetails(prepared.meta)));
+        return sendError(res, 400, "proof_failed", "Proof generation failed.");
+    }
+    console.info("ZK proof generated successfully.");
+    await audit.record("proof.generated", req.uid, auditContext(req, proofAuditDetails(prepared.meta)));
+    return res.status(200).json({ status: "ok", ...prepared.meta, proof });
+}
+
+app.post("/proof/generate", validated("POST /proof/generate"), async (req, res) => {
+    console.info("Received request to /proof/generate");
+    try {
+        const prepared = await prepareProofRequest(req, res);
+        if (!prepared) {
+            return;
+        }
+
+        return sendProof(req, res, prepared);
+    } catch (err) {
+        console.error("Error in /proof/generate:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Same as /proof/generate, authorized by burning a recovery code instead of a live OTP.
+// For users who lost their authenticator.
+app.post("/proof/recover", validated("POST /proof/recover"), async (req, res) => {
+    console.info("Received request to /proof/recover");
+    try {
+        const prepared = await prepareProofRequest(req, res, { recovery: true });
+        if (!prepared) {
+            return;
+        }
+
+        return sendProof(req, res, prepared);
+    } catch (err) {
+        console.error("Error in /proof/recover:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Checks a proof against the verification key without touching the chain.
+// Takes the {a, b, c, publicInput} object from /proof/generate or raw {proof, publicSignals},
+// with the `circuit` id the proof was tagged with.
+app.post("/proof/verify", validated("POST /proof/verify"), async (req, res) => {
+    console.info("Received request to /proof/verify");
+    try {
+        // Optional `period` (seconds) for proofs from secrets enrolled with a non-default one
+        const totp = totpParamsFrom({ period: req.body.period }, res);
+        if (!totp) {
+            return;
+        }
+
+        // Proofs are checked against the key of the circuit they name (default circuit if none)
+        const circuit = resolveCircuit(res, req.body.circuit);
+        if (!circuit) {
+            return;
+        }
+
+        let result;
+        try {
+            result = await verifyTotpProof(req.body, {
+                verificationKey: circuit.verificationKey,
+                maxAgeSteps: PROOF_MAX_AGE_STEPS,
+                maxSkewSteps: OTP_DRIFT_WINDOW,
+                period: totp.period,
+            });
+        } catch (error) {
+            console.warn("Malformed proof submitted:", error.message);
+            return sendError(res, 400, "proof_malformed", error.message);
+        }
+
+        console.info(`Proof checked: valid=${result.valid} fresh=${result.fresh}`);
+        return res.status(200).json({
+            status: result.valid && result.fresh ? "ok" : "rejected",
+            circuitId: circuit.id,
+            ...result,
+        });
+    } catch (err) {
+        console.error("Error in /proof/verify:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Shows what an action hash authorizes: recomputes the hash of the given action (or batch
+// of `actions`) and describes its calldata (with `abi` if given, otherwise as an ERC-20 call).
+app.post("/action/decode", validated("POST /action/decode"), async (req, res) => {
+    console.info("Received request to /action/decode");
+    try {
+        const fields = actionFields(req, res);
+        if (!fields) {
+            return;
+        }
+        const { contract, chainId } = fields;
+        const { actionHash: expected } = req.body;
+        if (!checkTarget(res, contract, chainId)) {
+            return;
+        }
+
+        let actionHash;
+        try {
+            actionHash = actionHashFor(fields);
+        } catch (error) {
+            console.warn("Cannot hash action:", error.message);
+            return sendError(res, 400, "calldata_invalid", error.message);
+        }
+
+        const body = {
+            actionHash,
+            chainId: String(chainId),
+            contract: ethers.utils.getAddress(contract),
+            ...describeFields(fields, req.body),
+        };
+        if (expected != null) {
+            // Proof public signals carry the masked hash as is
+            body.matches = /^(0x[0-9a-fA-F]+|\d+)$/.test(String(expected))
+                && BigInt(expected) === BigInt(actionHash);
+        }
+        return res.status(200).json(body);
+    } catch (err) {
+        console.error("Error in /action/decode:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// The circuits proofs can be requested with, and their artifact checksums
+app.get("/circuits", validated("GET /circuits"), (req, res) => {
+    console.info("Received request to /circuits");
+    try {
+        return res.status(200).json({ circuits: circuits.list() });
+    } catch (err) {
+        console.error("Error in /circuits:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Circuit artifacts for client-side proving. A circuit id never changes its artifacts,
+// so responses are cacheable forever; the ETag is the artifact's pinned SHA-256, which
+// clients should check the download against.
+app.get("/circuits/:id/:artifact", validated("GET /circuits/:id/:artifact"), (req, res) => {
+    console.info("Received request to /circuits/:id/:artifact");
+    try {
+        let descriptor;
+        try {
+            descriptor = circuits.descriptor(req.params.id);
+        } catch (error) {
+            if (!(error instanceof CircuitError)) {
+                throw error;
+            }
+            return sendError(res, 404, error.code, error.message);
+        }
+
+        const artifact = descriptor[req.params.artifact];
+        res.set("ETag", `"${artifact.sha256}"`);
+        return res.sendFile(artifact.path, { etag: false, lastModified: false, maxAge: "365d", immutable: true });
+    } catch (err) {
+        console.error("Error in /circuits/:id/:artifact:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Reserves the tx_nonce for a proof made on the user's device. Proofs made by the server
+// reserve theirs in /proof/generate.
+app.post("/proof/nonce", validated("POST /proof/nonce"), async (req, res) => {
+    console.info("Received request to /proof/nonce");
+    try {
+        const uid = req.uid;
+        const contract = req.body.contract || process.env.DEFAULT_CONTRACT_ADDRESS;
+        const chainId = req.body.chainId ?? process.env.DEFAULT_CHAIN_ID;
+        if (!checkTarget(res, contract, chainId)) {
+            return;
+        }
+        const circuit = resolveCircuit(res, req.body.circuit);
+        if (!circuit) {
+            return;
+        }
+
+        const user = await users.get(uid);
+        if (!user) {
+            console.warn("User not found:", uid);
+            return sendError(res, 404, "user_not_found", "User not found");
+        }
+
+        const txNonce = await nonceTracker.nextNonce(chainId, contract);
+        const reserved = {
+            circuitId: circuit.id,
+            chainId: String(chainId),
+            contract: ethers.utils.getAddress(contract),
+            txNonce,
+        };
+        await audit.record("nonce.reserved", uid, auditContext(req, reserved));
+
+        return res.status(200).json({
+            ...reserved,
+            // The step the server is in, for clients to check their clock against
+            currentTimeStep: totpTimeStep(Date.now(), user.data.totp ?? DEFAULT_TOTP_PARAMS),
+        });
+    } catch (err) {
+        console.error("Error in /proof/nonce:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+//=============================
+//  PROOF JOBS
+//=============================
+app.post("/proof/jobs", validated("POST /proof/jobs"), async (req, res) => {
+    console.info("Received request to /proof/jobs");
+    try {
+        const prepared = await prepareProofRequest(req, res);
+        if (!prepared) {
+            return;
+        }
+
+        // A job that fails later gives its reserved spending back, like sendProof()
+        const release = () => releaseSpending(req.uid, prepared.reservation);
+        let job;
+        try {
+            job = proofJobs.submit(req.uid, prepared.input, prepared.meta, release);
+        } catch (error) {
+            await release();
+            if (error instanceof ProofQueueFullError) {
+                console.warn("Proof job rejected:", error.message);
+                return sendError(res, 503, error.code, error.message);
+            }
+            throw error;
+        }
+        console.info("Proof job queued:", job.id);
+        await audit.record("proof.queued", req.uid, auditContext(req, {
+            jobId: job.id,
+            ...proofAuditDetails(prepared.meta),
+        }));
+        return res.status(202).json({ status: "queued", jobId: job.id, ...prepared.meta });
+    } catch (err) {
+        console.error("Error in /proof/jobs:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+app.get("/proof/jobs/:id", validated("GET /proof/jobs/:id"), (req, res) => {
+    console.info("Received request to /proof/jobs/:id");
+    try {
+        const job = proofJobs.get(req.params.id);
+        // Jobs of other users are reported as missing
+        if (!job || job.uid !== req.uid) {
+            return sendError(res, 404, "job_not_found", "Job not found");
+        }
+
+        const body = {
+            jobId: job.id,
+            status: job.status,
+            created_at: job.created_at,
+            finished_at: job.finished_at,
+        };
+        if (job.status === "succeeded") {
+            Object.assign(body, job.meta, { proof: job.result });
+        } else if (job.status === "failed") {
+            body.message = "Proof generation failed.";
+        }
+        return res.status(200).json(body);
+    } catch (err) {
+        console.error("Error in /proof/jobs/:id:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+
+
+//=============================
+//  RELAYER
+//=============================
+/**
+ * Sends the response for a failed relay. Returns true if the error was a RelayerError.
+ */
+function sendRelayerError(res, error) {
+    if (!(error instanceof RelayerError)) {
+        return false;
+    }
+    const status = { not_configured: 503, owner_required: 400, proof_malformed: 400, reverted: 422 }[error.code];
+    console.warn(`Relay rejected (${error.code}):`, error.message);
+    sendError(res, status, error.code, error.message, { revertReason: error.revertReason });
+    return true;
+}
+
+// Relays zkOTPWallet.execute, or executeBatch for a body with `actions`, with a proof from
+// /proof/generate. The action fields default the same way as there, so the action hash matches.
+app.post("/relay/execute", validated("POST /relay/execute"), async (req, res) => {
+    console.info("Received request to /relay/execute");
+    try {
+        const fields = actionFields(req, res);
+        if (!fields) {
+            return;
+        }
+        const { to, value, data, actions, contract, chainId } = fields;
+        if (!checkTarget(res, contract, chainId)) {
+            return;
+        }
+
+        try {
+            const tx = actions
+                ? await relayer.executeBatch({ uid: req.uid, chainId, contract, actions, proof: req.body.proof })
+                : await relayer.execute({ uid: req.uid, chainId, contract, to, value, data, proof: req.body.proof });
+            return res.status(tx.status === "pending" ? 202 : 200).json(tx);
+        } catch (error) {
+            if (sendRelayerError(res, error)) {
+                return;
+            }
+            throw error;
+        }
+    } catch (err) {
+        console.error("Error in /relay/execute:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Relays TrafficLightZkOTP.switchLight with a proof from /proof/generate
+app.post("/relay/switch-light", validated("POST /relay/switch-light"), async (req, res) => {
+    console.info("Received request to /relay/switch-light");
+    try {
+        const fields = actionFields(req, res);
+        if (!fields) {
+            return;
+        }
+        const { contract, chainId } = fields;
+        if (!checkTarget(res, contract, chainId)) {
+            return;
+        }
+
+        try {
+            const tx = await relayer.switchLight({ uid: req.uid, chainId, contract, proof: req.body.proof });
+            return res.status(tx.status === "pending" ? 202 : 200).json(tx);
+        } catch (error) {
+            if (sendRelayerError(res, error)) {
+                return;
+            }
+            throw error;
+        }
+    } catch (err) {
+        console.error("Error in /relay/switch-light:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+app.get("/relay/tx/:hash", validated("GET /relay/tx/:hash"), (req, res) => {
+    console.info("Received request to /relay/tx/:hash");
+    try {
+        const tx = relayer.get(req.params.hash);
+        // Transactions relayed for other users are reported as missing
+        if (!tx || tx.uid !== req.uid) {
+            return sendError(res, 404, "tx_not_found", "Transaction not found");
+        }
+        return res.status(200).json(tx);
+    } catch (err) {
+        console.error("Error in /relay/tx/:hash:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+//=============================
+//  WALLET
+//=============================
+/**
+ * Reads the wallet parameters shared by the /wallet routes from a body or query.
+ * Returns null if they are invalid.
+ */
+function walletParams(source) {
+    const chainId = source.chainId ?? process.env.DEFAULT_CHAIN_ID;
+    const index = source.index == null ? 0 : Number(source.index);
+    const owner = source.owner || undefined;
+    if (chainId == null || !/^\d+$/.test(String(chainId)) || !Number.isSafeInteger(index) || index < 0) {
+        return null;
+    }
+    if (owner && !ethers.utils.isAddress(owner)) {
+        return null;
+    }
+    return { chainId: String(chainId), index, owner };
+}
+
+app.get("/wallet", validated("GET /wallet"), async (req, res) => {
+    console.info("Received request to /wallet");
+    try {
+        const uid = req.uid;
+        const user = await users.get(uid);
+        if (!user) {
+            console.warn("User not found:", uid);
+            return sendError(res, 404, "user_not_found", "User not registered");
+        }
+
+        const wallets = await walletProvisioner.withBalances(user.data.wallets ?? []);
+        return res.status(200).json({ wallets });
+    } catch (err) {
+        console.error("Error in /wallet:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Counterfactual address of a wallet, whether or not it has been deployed yet
+app.get("/wallet/address", validated("GET /wallet/address"), async (req, res) => {
+    console.info("Received request to /wallet/address");
+    try {
+        const params = walletParams(req.query);
+        if (!params) {
+            console.warn("Invalid wallet query.");
+            return sendError(res, 400, "invalid_request", "Invalid chainId, index or owner");
+        }
+
+        try {
+            const wallet = await walletProvisioner.computeAddress(req.uid, params);
+            return res.status(200).json(wallet);
+        } catch (error) {
+            if (sendRelayerError(res, error)) {
+                return;
+            }
+            throw error;
+        }
+    } catch (err) {
+        console.error("Error in /wallet/address:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Deploys a wallet bound to the user's hashed secret and records it on the user document
+app.post("/wallet", validated("POST /wallet"), async (req, res) => {
+    console.info("Received request to /wallet");
+    try {
+        const uid = req.uid;
+        const params = walletParams(req.body);
+        if (!params) {
+            console.warn("Invalid wallet request body.");
+            return sendError(res, 400, "invalid_request", "Invalid chainId, index or owner");
+        }
+
+        const user = await users.get(uid);
+        if (!user) {
+            console.warn("User not found:", uid);
+            return sendError(res, 404, "user_not_found", "User not registered");
+        }
+        const existing = (user.data.wallets ?? [])
+            .find((w) => w.chainId === params.chainId && w.index === params.index);
+        if (existing) {
+            console.warn("Wallet already provisioned for user:", uid);
+            return sendError(res, 409, "wallet_exists", "Wallet already provisioned", { wallet: existing });
+        }
+
+        const hashedSecret = await currentHashedSecret(user);
+
+        let result;
+        try {
+            result = await walletProvisioner.deploy(uid, { ...params, hashedSecret });
+        } catch (error) {
+            if (sendRelayerError(res, error)) {
+                return;
+            }
+            throw error;
+        }
+
+        const { wallet, tx } = result;
+        if (tx && tx.status === "reverted") {
+            console.warn("Wallet deployment reverted for user:", uid);
+            return sendError(res, 422, "reverted", "Wallet deployment reverted", { revertReason: tx.revertReason });
+        }
+        const record = {
+            address: wallet.address,
+            chainId: wallet.chainId,
+            index: wallet.index,
+            owner: wallet.owner,
+            tx_hash: tx ? tx.hash : null,
+            created_at: new Date().toISOString(),
+        };
+        await appendWallet(uid, record);
+
+        console.info(`Wallet ${wallet.address} provisioned for user:`, uid);
+        return res.status(tx && tx.status === "pending" ? 202 : 201).json({ wallet: record, tx });
+    } catch (err) {
+        console.error("Error in /wallet:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+//=============================
+//  CHAIN EVENTS
+//=============================
+/**
+ * The indexer of the chain in ?chainId= (default DEFAULT_CHAIN_ID). Sends a 503 and
+ * returns null if that chain is not indexed.
+ */
+function indexerFor(req, res) {
+    const chainId = String(req.query.chainId ?? process.env.DEFAULT_CHAIN_ID ?? "");
+    const indexer = indexers.get(chainId);
+    if (!indexer) {
+        console.warn("Chain not indexed:", chainId);
+        sendError(res, 503, "not_configured", `Chain ${chainId || "(none)"} is not indexed`);
+        return null;
+    }
+    return indexer;
+}
+
+/**
+ * Reads ?limit= (default 50) and ?before= of an event page. Sends a 400 and returns
+ * null if the limit is out of range.
+ */
+function eventPage(req, res) {
+    const limit = req.query.limit == null ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        console.warn("Invalid event query.");
+        sendError(res, 400, "invalid_request", "Invalid limit");
+        return null;
+    }
+    return { limit, before: req.query.before };
+}
+
+// The light's current state and its toggles, newest first. The state is that of the
+// latest indexed toggle, or off (the constructor's) if there is none yet.
+app.get("/traffic-light", validated("GET /traffic-light"), async (req, res) => {
+    console.info("Received request to /traffic-light");
+    try {
+        const indexer = indexerFor(req, res);
+        const page = indexer && eventPage(req, res);
+        if (!page) {
+            return;
+        }
+        const address = req.query.address || process.env.TRAFFIC_LIGHT_ADDRESS || process.env.DEFAULT_CONTRACT_ADDRESS;
+        if (!address || !ethers.utils.isAddress(address)) {
+            console.warn("No traffic light address.");
+            return sendError(res, 400, "invalid_request", "Missing or invalid traffic light address");
+        }
+
+        const [latest] = await indexer.list({ address, event: "LightToggled", limit: 1 });
+        const toggles = await indexer.list({ address, event: "LightToggled", ...page });
+        return res.status(200).json({
+            chainId: indexer.chainId,
+            address: ethers.utils.getAddress(address),
+            greenLight: latest?.args.newState ?? false,
+            toggles,
+            next_before: toggles.length === page.limit ? toggles[toggles.length - 1].id : null,
+            ...(await indexer.status()),
+        });
+    } catch (err) {
+        console.error("Error in /traffic-light:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+// Owner, admin and hashed secret changes of a wallet, newest first
+app.get("/wallet/:address/events", validated("GET /wallet/:address/events"), async (req, res) => {
+    console.info("Received request to /wallet/:address/events");
+    try {
+        const indexer = indexerFor(req, res);
+        const page = indexer && eventPage(req, res);
+        if (!page) {
+            return;
+        }
+
+        const address = ethers.utils.getAddress(req.params.address);
+        const events = await indexer.list({ address, event: req.query.event, ...page });
+        return res.status(200).json({
+            chainId: indexer.chainId,
+            address,
+            events,
+            next_before: events.length === page.limit ? events[events.length - 1].id : null,
+            ...(await indexer.status()),
+        });
+    } catch (err) {
+        console.error("Error in /wallet/:address/events:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+//=============================
+//  OTP
+//=============================
+app.get("/otp/create", validated("GET /otp/create"), async (req, res) => {
+    console.info("Received request to /otp/create");
+    try {
+        const uid = req.uid;
+        // Optional ?digits=&algorithm=&period= for authenticators that need other than 6 digits, SHA-1 and 30s
+        const totp = totpParamsFrom(req.query, res);
+        if (!totp) {
+            return;
+        }
+        const issued = await issueTotpSecret(req, uid, totp);
+
+        // Park the secret server-side until /user/register confirms it with a first OTP
+        const now = Date.now();
+        const expires_at = new Date(now + ENROLLMENT_TTL_MS);
+        await enrollments.put(uid, {
+            encrypted_secret: encryptWithSalt(issued.base32, uid),
+            totp,
+            created_at: new Date(now),
+            expires_at,
+        });
+
+        console.info("Secret & QR code generated successfully.");
+        return res.status(200).json({ ...issued, expires_at: expires_at.toISOString() });
+    } catch (err) {
+        console.error("Error in /otp/create:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+app.post("/otp/verify", validated("POST /otp/verify"), async (req, res) => {
+    console.info("Received request to /otp/verify");
+    try {
+        const uid = req.uid;
+        const { otp } = req.body;
+
+        if (await rejectIfLockedOut(req, res, uid)) {
+            return;
+        }
+
+        // Fetch encrypted_secret from the user store
+        const user = await users.get(uid);
+        if (!user) {
+            console.warn("User not found:", uid);
+            return sendError(res, 404, "user_not_found", "User not found");
+        }
+        if (rejectIfClientProving(res, user)) {
+            return;
+        }
+
+        // Verify against the secret (and, after a rotation, the one it replaced) with its
+        // TOTP parameters; the match tells us which time step it was
+        const match = matchOtp(await userSecrets(user), otp);
+
+        if (!match) {
+            await recordOtpFailure(req, uid, "otp_invalid");
+            return sendError(res, 401, "otp_invalid", "Invalid OTP code", { match: false });
+        }
+
+        const timeStep = match.timeStep;
+        if (!(await consumeMatchedOtp(uid, match))) {
+            await recordOtpFailure(req, uid, "otp_replayed");
+            console.warn("Replayed OTP for user:", uid);
+            return sendError(res, 401, "otp_replayed", "OTP code has already been used", { match: false });
+        }
+
+        await recordOtpSuccess(req, uid, { timeStep, secret_version: match.version });
+        return res.status(200).json({ match: true, ...(match.version === "previous" ? { secret_version: "previous" } : {}) });
+
+    } catch (err) {
+        console.error("Error in /otp/verify:", err);
+        return sendError(res, 500, "internal_error", "Internal Server Error");
+    }
+});
+
+//=============================
+//  API DOCUMENT
+//=============================
+app.get("/openapi.json", validated("GET /openapi.json"), (req, res) => {
+    console.info("Received request to /openapi.json");
+    return res.status(200).json(openApiDocument());
+});
+
+// Unknown routes and errors thrown outside the route handlers (e.g. malformed JSON)
+// get the same error envelope as everything else
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+export { app, circuits, indexers, proofPool, storage };
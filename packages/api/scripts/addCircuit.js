@@ -0,0 +1,79 @@
+/***************************************
+ * addCircuit.js
+ * Adds an artifact set to the circuit manifest, pinning the SHA-256 of each file.
+ *
+ * Usage:
+ *   node scripts/addCircuit.js --id=totp@2 --name=totp --version=2 \
+ *       --wasm=utils/totp.wasm --zkey=utils/totp_0002.zkey --vkey=utils/totp_0002_vkey.json \
+ *       [--default] [--manifest=utils/circuits.json]
+ *
+ * The updated manifest is loaded and checked (checksums, verification key against the
+ * zkey) before it is written, so a running API only ever sees a manifest that loads.
+ **************************************/
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+import { createCircuitRegistry } from "../utils/circuits.js";
+
+const args = Object.fromEntries(
+    process.argv.slice(2).map((arg) => {
+        const [key, ...value] = arg.replace(/^--/, "").split("=");
+        return [key, value.length ? value.join("=") : true];
+    })
+);
+
+function fileEntry(manifestDir, file) {
+    return {
+        path: path.relative(manifestDir, path.resolve(file)),
+        sha256: crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex"),
+    };
+}
+
+async function main() {
+    const manifestPath = path.resolve(args.manifest || "utils/circuits.json");
+    for (const required of ["id", "name", "wasm", "zkey", "vkey"]) {
+        if (typeof args[required] !== "string") {
+            throw new Error(`Missing --${required}`);
+        }
+    }
+
+    const manifest = fs.existsSync(manifestPath)
+        ? JSON.parse(fs.readFileSync(manifestPath, "utf8"))
+        : { circuits: [] };
+    if (manifest.circuits.some((entry) => entry.id === args.id)) {
+        throw new Error(`Circuit ${args.id} is already in the manifest; ids are immutable, add a new version`);
+    }
+
+    const manifestDir = path.dirname(manifestPath);
+    manifest.circuits.push({
+        id: args.id,
+        name: args.name,
+        version: String(args.version ?? ""),
+        wasm: fileEntry(manifestDir, args.wasm),
+        zkey: fileEntry(manifestDir, args.zkey),
+        verificationKey: fileEntry(manifestDir, args.vkey),
+    });
+    if (args.default || !manifest.default) {
+        manifest.default = args.id;
+    }
+
+    // Check the result from a scratch copy next to the real one, so relative paths resolve the same
+    const scratchPath = path.join(manifestDir, `.circuits.${process.pid}.json`);
+    fs.writeFileSync(scratchPath, JSON.stringify(manifest, null, 4) + "\n");
+    try {
+        await createCircuitRegistry({ manifestPath: scratchPath }).load();
+        fs.renameSync(scratchPath, manifestPath);
+    } finally {
+        fs.rmSync(scratchPath, { force: true });
+    }
+    console.info(`Added ${args.id} to ${manifestPath}${manifest.default === args.id ? " as the default" : ""}.`);
+}
+
+// snarkjs leaves its curve worker threads running, so exit explicitly
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
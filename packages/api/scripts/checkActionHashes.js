@@ -0,0 +1,173 @@
+/***************************************
+ * checkActionHashes.js
+ * Property check for the action hash encoding: hashes random actions and batches and
+ * checks that every hash
+ *   - equals keccak256 of the wallet's encoding with the top 3 bits cleared,
+ *   - is a BN254 field element, so the circuit does not reduce it,
+ *   - comes back unchanged from the public signals (decimal string, calldata hex).
+ *
+ * Usage:
+ *   node scripts/checkActionHashes.js [--runs=5000] [--proofs=2]
+ *
+ * --proofs also proves that many random actions with the default circuit and checks
+ * the action_hash public signal of each proof.
+ **************************************/
+import crypto from "crypto";
+import { ethers } from "ethers";
+import speakeasy from "speakeasy";
+
+import { createCircuitRegistry, loadArtifactSet } from "../utils/circuits.js";
+import {
+    ACTION_HASH_MASK,
+    BATCH_ACTION_TAG,
+    BN254_PRIME,
+    computeActionHash,
+    computeBatchActionHash,
+    computePoseidonHash,
+    computeTOTP,
+    generateZKProof,
+    secretToField,
+} from "../utils/utils.js";
+import { decodePublicSignals, PUBLIC_SIGNAL_NAMES, toSolidityCallData } from "../utils/verifier.js";
+
+const args = process.argv.slice(2);
+const numberArg = (name, fallback) => {
+    const arg = args.find((a) => a.startsWith(`--${name}=`));
+    return arg ? parseInt(arg.split("=")[1], 10) : fallback;
+};
+const runs = numberArg("runs", 5000);
+const proofs = numberArg("proofs", 0);
+
+const ACTION_HASH_INDEX = PUBLIC_SIGNAL_NAMES.indexOf("actionHash");
+
+function randomUint(maxBytes) {
+    return BigInt("0x" + crypto.randomBytes(1 + crypto.randomInt(maxBytes)).toString("hex"));
+}
+
+function randomAction() {
+    return {
+        to: ethers.utils.getAddress(ethers.utils.hexlify(crypto.randomBytes(20))),
+        value: randomUint(32).toString(),
+        data: ethers.utils.hexlify(crypto.randomBytes(crypto.randomInt(200))),
+    };
+}
+
+function randomTarget() {
+    return {
+        chainId: randomUint(8).toString(),
+        wallet: ethers.utils.getAddress(ethers.utils.hexlify(crypto.randomBytes(20))),
+    };
+}
+
+/**
+ * The hash as zkOTPWallet computes it, written out independently of utils.js.
+ */
+function expectedHash(actions, { chainId, wallet }, batch) {
+    const digest = batch
+        ? ethers.utils.keccak256(
+            ethers.utils.defaultAbiCoder.encode(
+                ["bytes32", "uint256", "address", "address[]", "uint256[]", "bytes[]"],
+                [BATCH_ACTION_TAG, chainId, wallet, actions.map((a) => a.to), actions.map((a) => a.value), actions.map((a) => a.data)]
+            )
+        )
+        : ethers.utils.solidityKeccak256(
+            ["uint256", "address", "address", "uint256", "bytes"],
+            [chainId, wallet, actions[0].to, actions[0].value, actions[0].data]
+        );
+    return { raw: BigInt(digest), masked: BigInt(digest) & ACTION_HASH_MASK };
+}
+
+/**
+ * Checks one hash; returns a description of the first broken property, or null.
+ */
+function checkHash(actionHash, expected) {
+    const field = BigInt(actionHash);
+    if (field !== expected.masked) {
+        return `hash ${actionHash} is not the masked keccak256 ${expected.masked}`;
+    }
+    if (field >= BN254_PRIME || field % BN254_PRIME !== field) {
+        return `hash ${actionHash} is not a field element`;
+    }
+    if (!/^0x[0-9a-f]{64}$/.test(actionHash)) {
+        return `hash ${actionHash} is not a 32-byte hex string`;
+    }
+
+    const publicSignals = PUBLIC_SIGNAL_NAMES.map((_, i) => (i === ACTION_HASH_INDEX ? field.toString() : "1"));
+    const proof = { pi_a: ["1", "2"], pi_b: [["1", "2"], ["3", "4"]], pi_c: ["1", "2"] };
+    if (decodePublicSignals(publicSignals).actionHash !== actionHash) {
+        return `hash ${actionHash} does not survive decodePublicSignals()`;
+    }
+    if (toSolidityCallData({ proof, publicSignals }).publicInput[ACTION_HASH_INDEX] !== actionHash) {
+        return `hash ${actionHash} does not survive toSolidityCallData()`;
+    }
+    return null;
+}
+
+async function proveRandomAction(circuit) {
+    const { secretBytes, secretField } = secretToField(speakeasy.generateSecret({ otpauth_url: false }).base32);
+    const timeStep = Math.floor(Date.now() / 30000);
+    const otp = computeTOTP(secretBytes, timeStep);
+    const action = randomAction();
+    const target = randomTarget();
+    const actionHash = computeActionHash(action.to, action.value, action.data, target.chainId, target.wallet);
+
+    const { publicInput } = await generateZKProof(
+        {
+            secret: secretField.toString(),
+            computedOtp: otp.toString(),
+            hashedSecret: await computePoseidonHash(secretField),
+            hashedOtp: await computePoseidonHash(BigInt(otp)),
+            timeStep: timeStep.toString(),
+            actionHash,
+            txNonce: "1",
+            secretBytes,
+        },
+        circuit
+    );
+    return { actionHash, signal: publicInput[ACTION_HASH_INDEX] };
+}
+
+async function main() {
+    let aboveField = 0;
+    for (let run = 0; run < runs; run++) {
+        const batch = run % 2 === 1;
+        const actions = batch ? Array.from({ length: 1 + crypto.randomInt(16) }, randomAction) : [randomAction()];
+        const target = randomTarget();
+        const actionHash = batch
+            ? computeBatchActionHash(actions, target.chainId, target.wallet)
+            : computeActionHash(actions[0].to, actions[0].value, actions[0].data, target.chainId, target.wallet);
+
+        const expected = expectedHash(actions, target, batch);
+        if (expected.raw >= BN254_PRIME) {
+            aboveField++;
+        }
+        const failure = checkHash(actionHash, expected);
+        if (failure) {
+            throw new Error(`Run ${run}: ${failure}\n${JSON.stringify({ actions, ...target, batch })}`);
+        }
+    }
+    console.info(`${runs} action hashes round-trip (${aboveField} raw digests were above the field prime).`);
+
+    if (proofs > 0) {
+        const registry = createCircuitRegistry({
+            manifestPath: new URL("../utils/circuits.json", import.meta.url).pathname,
+        });
+        await registry.load();
+        const circuit = loadArtifactSet(registry.descriptor());
+        for (let i = 0; i < proofs; i++) {
+            const { actionHash, signal } = await proveRandomAction(circuit);
+            if (BigInt(signal) !== BigInt(actionHash)) {
+                throw new Error(`Proof ${i}: public signal ${signal} does not match action hash ${actionHash}`);
+            }
+        }
+        console.info(`${proofs} proofs carry their action hash unchanged.`);
+    }
+}
+
+// snarkjs leaves its curve worker threads running, so exit explicitly
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
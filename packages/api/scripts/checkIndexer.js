@@ -0,0 +1,107 @@
+/***************************************
+ * checkIndexer.js
+ * End-to-end check of the chain indexer against a local Anvil node. Toggles the traffic
+ * light and changes the wallet's hashed secret, checks that both events are indexed, then
+ * rolls the chain back with evm_revert, mines other blocks at the same heights and checks
+ * that the indexer drops the orphaned events and picks up the ones that replaced them.
+ *
+ * Usage:
+ *   anvil
+ *   export $(make -s -C ../foundry deploy-local)
+ *   node scripts/checkIndexer.js [--light=$TRAFFIC_LIGHT] [--wallet=$ZKOTP_WALLET]
+ *       [--rpc=http://127.0.0.1:8545] [--private-key=0x..] [--store=memory|sqlite]
+ *
+ * deploy-local runs against the mock verifier, so the light accepts any proof. The key
+ * must be the wallet's owner; it defaults to Anvil's first account, which deploy-local
+ * deploys from.
+ **************************************/
+import Database from "better-sqlite3";
+import { ethers } from "ethers";
+
+import { TRAFFIC_LIGHT_ABI, ZKOTP_WALLET_ABI } from "../utils/chain.js";
+import { createChainIndexer, MemoryEventStore, SqliteEventStore } from "../utils/indexer.js";
+
+const ANVIL_PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+const args = Object.fromEntries(
+    process.argv.slice(2).map((arg) => {
+        const [key, ...value] = arg.replace(/^--/, "").split("=");
+        return [key, value.join("=")];
+    })
+);
+const rpcUrl = args.rpc || process.env.RPC_URL || "http://127.0.0.1:8545";
+const lightAddress = args.light || process.env.TRAFFIC_LIGHT;
+const walletAddress = args.wallet || process.env.ZKOTP_WALLET;
+
+let failures = 0;
+function check(condition, message) {
+    console.log(`${condition ? "ok  " : "FAIL"} ${message}`);
+    if (!condition) {
+        failures++;
+    }
+}
+
+async function main() {
+    if (!ethers.utils.isAddress(lightAddress ?? "") || !ethers.utils.isAddress(walletAddress ?? "")) {
+        throw new Error("Set --light and --wallet (or TRAFFIC_LIGHT and ZKOTP_WALLET from make deploy-local)");
+    }
+    const provider = new ethers.providers.StaticJsonRpcProvider(rpcUrl);
+    const { chainId } = await provider.getNetwork();
+    const signer = new ethers.Wallet(args["private-key"] || ANVIL_PRIVATE_KEY, provider);
+    const light = new ethers.Contract(lightAddress, TRAFFIC_LIGHT_ABI, signer);
+    const wallet = new ethers.Contract(walletAddress, ZKOTP_WALLET_ABI, signer);
+
+    const store = args.store === "sqlite" ? new SqliteEventStore(new Database(":memory:")) : new MemoryEventStore();
+    // Small batches, so the check also covers indexing a range in several steps
+    const indexer = createChainIndexer({ chainId, provider, store, batchSize: 5 });
+
+    const latest = async (address, event) => (await indexer.list({ address, event, limit: 1 }))[0] ?? null;
+    const hashedSecrets = async () => (await indexer.list({ address: walletAddress, event: "HashedSecretConfigChanged", limit: 200 }))
+        .map((e) => e.args.newHashedSecretConfig);
+    // A dummy proof with a fresh tx_nonce; the mock verifier accepts it
+    const toggle = async () => (await light.switchLight([0, 0], [[0, 0], [0, 0]], [0, 0], [0, 0, 0, 0, Date.now()])).wait();
+    const setSecret = async (value) => (await wallet.setHashedSecretConfig(value)).wait();
+
+    await indexer.sync();
+    const greenBefore = await light.isGreenLight();
+    const toggleBefore = await latest(lightAddress, "LightToggled");
+    check((toggleBefore?.args.newState ?? false) === greenBefore, `indexed light state matches the chain (${greenBefore})`);
+
+    const snapshot = await provider.send("evm_snapshot", []);
+    const first = String(BigInt(ethers.utils.hexlify(ethers.utils.randomBytes(16))));
+    await toggle();
+    await setSecret(first);
+    const status = await indexer.sync();
+    check(status.indexedBlock === (await provider.getBlockNumber()), `indexed up to the head (${status.indexedBlock})`);
+
+    const toggled = await latest(lightAddress, "LightToggled");
+    check(toggled?.args.newState === !greenBefore, "the toggle is indexed");
+    check((await hashedSecrets()).includes(first), "the hashed secret change is indexed");
+    const indexedCount = (await indexer.list({ address: walletAddress, limit: 200 })).length;
+    await indexer.sync();
+    check((await indexer.list({ address: walletAddress, limit: 200 })).length === indexedCount, "a second sync adds nothing");
+
+    // Replace the two blocks with one other transaction and an empty block
+    check(await provider.send("evm_revert", [snapshot]), "reverted to the snapshot");
+    const second = String(BigInt(first) + 1n);
+    await setSecret(second);
+    await provider.send("evm_mine", []);
+    await indexer.sync();
+
+    check((await latest(lightAddress, "LightToggled"))?.id === toggleBefore?.id, "the orphaned toggle is gone");
+    const secrets = await hashedSecrets();
+    check(!secrets.includes(first), "the orphaned hashed secret change is gone");
+    check(secrets[0] === second, "the replacing hashed secret change is indexed");
+
+    if (failures) {
+        throw new Error(`${failures} check(s) failed`);
+    }
+    console.log("All checks passed.");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,99 @@
+/***************************************
+ * checkNonces.js
+ * End-to-end check of the nonce tracker against a local Anvil node. Reserves a nonce for
+ * the traffic light, consumes the next ones on-chain with switchLight, and checks that the
+ * tracker skips every nonce already in the light's usedNonces mapping, that a tracker
+ * without an RPC provider does not, and that it gives up after maxSkips used nonces.
+ * The chain is rolled back with evm_revert at the end.
+ *
+ * Usage:
+ *   anvil
+ *   export $(make -s -C ../foundry deploy-local)
+ *   node scripts/checkNonces.js [--light=$TRAFFIC_LIGHT] [--rpc=http://127.0.0.1:8545]
+ *       [--private-key=0x..] [--store=memory|sqlite]
+ *
+ * deploy-local runs against the mock verifier, so the light accepts any proof; input[4]
+ * is the tx_nonce it marks as used.
+ **************************************/
+import Database from "better-sqlite3";
+import { ethers } from "ethers";
+
+import { TRAFFIC_LIGHT_ABI, USED_NONCES_ABI } from "../utils/chain.js";
+import { createNonceTracker, MemoryNonceStore, SqliteNonceStore } from "../utils/nonces.js";
+
+const ANVIL_PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+const args = Object.fromEntries(
+    process.argv.slice(2).map((arg) => {
+        const [key, ...value] = arg.replace(/^--/, "").split("=");
+        return [key, value.join("=")];
+    })
+);
+const rpcUrl = args.rpc || process.env.RPC_URL || "http://127.0.0.1:8545";
+const lightAddress = args.light || process.env.TRAFFIC_LIGHT;
+
+let failures = 0;
+function check(condition, message) {
+    console.log(`${condition ? "ok  " : "FAIL"} ${message}`);
+    if (!condition) {
+        failures++;
+    }
+}
+
+async function main() {
+    if (!ethers.utils.isAddress(lightAddress ?? "")) {
+        throw new Error("Set --light (or TRAFFIC_LIGHT from make deploy-local)");
+    }
+    const provider = new ethers.providers.StaticJsonRpcProvider(rpcUrl);
+    const { chainId } = await provider.getNetwork();
+    const signer = new ethers.Wallet(args["private-key"] || ANVIL_PRIVATE_KEY, provider);
+    const light = new ethers.Contract(lightAddress, TRAFFIC_LIGHT_ABI, signer);
+    const usedNonces = new ethers.Contract(lightAddress, USED_NONCES_ABI, provider);
+
+    const newStore = () => (args.store === "sqlite" ? new SqliteNonceStore(new Database(":memory:")) : new MemoryNonceStore());
+    const getProvider = (id) => (id === String(chainId) ? provider : null);
+    // A dummy proof carrying `nonce` as tx_nonce; the mock verifier accepts it
+    const consume = async (nonce) => (await light.switchLight([0, 0], [[0, 0], [0, 0]], [0, 0], [0, 0, 0, 0, nonce])).wait();
+
+    const snapshot = await provider.send("evm_snapshot", []);
+    try {
+        const store = newStore();
+        const tracker = createNonceTracker(store, { getProvider });
+        // Nonces an earlier run or check already consumed are skipped here too
+        const first = Number(await tracker.nextNonce(chainId, lightAddress));
+        check(!(await usedNonces.usedNonces(first)), `the first nonce (${first}) is unused on-chain`);
+
+        await consume(first);
+        await consume(first + 1);
+        await consume(first + 2);
+        const next = Number(await tracker.nextNonce(chainId, lightAddress));
+        check(next === first + 3, `skips the nonces consumed on-chain (${first + 1} and ${first + 2}), got ${next}`);
+        check(!(await usedNonces.usedNonces(next)), `the returned nonce (${next}) is unused on-chain`);
+
+        // The counter is per chain, and a chain without an RPC provider is not checked on-chain
+        check((await tracker.nextNonce(chainId + 1, lightAddress)) === "1", "another chain has its own counter");
+        const offline = createNonceTracker(newStore());
+        check((await offline.nextNonce(chainId, lightAddress)) === "1", "without a provider only the counter is consulted");
+
+        const stuck = createNonceTracker(newStore(), { getProvider, maxSkips: 1 });
+        // A fresh counter starts at 1; either of the first two may already be used
+        await consume(1).catch(() => {});
+        await consume(2).catch(() => {});
+        const error = await stuck.nextNonce(chainId, lightAddress).then(() => null, (e) => e);
+        check(/after 1 attempts/.test(error?.message ?? ""), "gives up after maxSkips used nonces");
+    } finally {
+        await provider.send("evm_revert", [snapshot]);
+    }
+
+    if (failures) {
+        throw new Error(`${failures} check(s) failed`);
+    }
+    console.log("All checks passed.");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,74 @@
+/***************************************
+ * checkTotpVectors.js
+ * Checks computeTOTP() against the test vectors of RFC 6238 Appendix B for HMAC-SHA1,
+ * HMAC-SHA256 and HMAC-SHA512, and that findTOTPTimeStep() and the 6-digit codes
+ * authenticators show agree with them.
+ *
+ * Usage:
+ *   node scripts/checkTotpVectors.js
+ **************************************/
+import { computeTOTP, computeTOTP6, findTOTPTimeStep, totpTimeStep } from "../utils/utils.js";
+
+// The RFC's seeds: "1234567890" repeated to the length of each hash
+const SEEDS = {
+    sha1: "12345678901234567890",
+    sha256: "12345678901234567890123456789012",
+    sha512: "1234567890123456789012345678901234567890123456789012345678901234",
+};
+
+// Unix time in seconds, then the 8-digit codes for sha1, sha256 and sha512
+const VECTORS = [
+    [59, "94287082", "46119246", "90693936"],
+    [1111111109, "07081804", "68084774", "25091201"],
+    [1111111111, "14050471", "67062674", "99943326"],
+    [1234567890, "89005924", "91819424", "93441116"],
+    [2000000000, "69279037", "90698825", "38618901"],
+    [20000000000, "65353130", "77737706", "47863826"],
+];
+
+/**
+ * Checks one vector; returns a description of the first mismatch, or null.
+ */
+function checkVector(time, algorithm, expected) {
+    const secretBytes = Buffer.from(SEEDS[algorithm], "ascii");
+    const params = { digits: 8, algorithm, period: 30 };
+    const timeStep = totpTimeStep(time * 1000, params);
+
+    const otp = String(computeTOTP(secretBytes, timeStep, params)).padStart(8, "0");
+    if (otp !== expected) {
+        return `computeTOTP gave ${otp}, expected ${expected}`;
+    }
+    if (findTOTPTimeStep(secretBytes, expected, timeStep + 1, 1, params) !== timeStep) {
+        return `findTOTPTimeStep did not find step ${timeStep} for ${expected}`;
+    }
+    // Fewer digits are the same code truncated from the left
+    const six = computeTOTP(secretBytes, timeStep, { ...params, digits: 6 });
+    if (six !== Number(expected.slice(-6))) {
+        return `the 6-digit code ${six} is not the last 6 digits of ${expected}`;
+    }
+    if (algorithm === "sha1" && computeTOTP6(secretBytes, timeStep) !== six) {
+        return `computeTOTP6 disagrees with computeTOTP (${six})`;
+    }
+    return null;
+}
+
+async function main() {
+    let checked = 0;
+    for (const [time, ...codes] of VECTORS) {
+        for (const [i, algorithm] of ["sha1", "sha256", "sha512"].entries()) {
+            const failure = checkVector(time, algorithm, codes[i]);
+            if (failure) {
+                throw new Error(`${algorithm} at T=${time}: ${failure}`);
+            }
+            checked++;
+        }
+    }
+    console.info(`${checked} RFC 6238 test vectors match.`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
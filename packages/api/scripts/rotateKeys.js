@@ -0,0 +1,86 @@
+/***************************************
+ * rotateKeys.js
+ * Re-encrypts every stored TOTP secret with the active keyring key.
+ *
+ * Usage:
+ *   node scripts/rotateKeys.js [--dry-run] [--batch-size=200]
+ *
+ * Old keys must stay in the keyring until this has finished, since each record
+ * is decrypted with the key named in its envelope.
+ **************************************/
+import dotenv from "dotenv";
+
+import { encryptWithSalt, decryptWithSalt, needsReencryption } from "../utils/utils.js";
+import { getKeyring } from "../utils/keyring.js";
+import { createStorage } from "../utils/storage.js";
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const batchSizeArg = args.find((arg) => arg.startsWith("--batch-size="));
+const batchSize = batchSizeArg ? parseInt(batchSizeArg.split("=")[1], 10) : 200;
+
+async function main() {
+    // Same STORAGE_BACKEND / SQLITE_PATH as the API
+    const storage = createStorage({
+        backend: process.env.STORAGE_BACKEND || "firestore",
+        sqlitePath: process.env.SQLITE_PATH,
+        projectId: process.env.GCLOUD_PROJECT,
+    });
+
+    console.info(`Rotating secrets to key '${getKeyring().active}'${dryRun ? " (dry run)" : ""}...`);
+
+    let scanned = 0;
+    let rotated = 0;
+    let failed = 0;
+    let lastUid;
+
+    // Page through the users in uid order
+    for (;;) {
+        const page = await storage.users.list({ after: lastUid, limit: batchSize });
+        if (page.length === 0) {
+            break;
+        }
+
+        for (const user of page) {
+            scanned++;
+            const { uid } = user;
+            const { encrypted_secret } = user.data;
+            if (!encrypted_secret || !needsReencryption(encrypted_secret)) {
+                continue;
+            }
+
+            try {
+                const secret = decryptWithSalt(encrypted_secret, uid);
+                if (!dryRun) {
+                    const written = await storage.users.update(
+                        uid,
+                        { encrypted_secret: encryptWithSalt(secret, uid) },
+                        { version: user.version }
+                    );
+                    if (!written) {
+                        throw new Error("document changed during rotation, run again");
+                    }
+                }
+                rotated++;
+            } catch (err) {
+                failed++;
+                console.error("Failed to rotate secret for user:", uid, "-", err.message);
+            }
+        }
+
+        lastUid = page[page.length - 1].uid;
+    }
+    storage.close();
+
+    console.info(`Scanned ${scanned} users, ${dryRun ? "would rotate" : "rotated"} ${rotated}, failed ${failed}.`);
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
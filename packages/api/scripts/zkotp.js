@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/***************************************
+ * zkotp.js
+ * Offline command-line tool over the same functions the API uses: enroll a secret, print
+ * its current OTP, hash an action, prove it and verify the proof. Nothing here needs the
+ * network, a database or the API's environment.
+ *
+ * Usage:
+ *   zkotp secret [--digits=6] [--algorithm=sha1] [--period=30] [--label=me] [--issuer=zkotp] [--json]
+ *   zkotp otp --secret=BASE32 [--digits --algorithm --period] [--time=2026-01-01T00:00:00Z]
+ *   zkotp action-hash --contract=0x.. --chain-id=31337 (--to=0x.. [--value=0] [--data=0x] | --action=action.json)
+ *   zkotp prove --secret=BASE32 --contract=0x.. --chain-id=31337 [--nonce=1] (action as above)
+ *               [--circuit=totp@1] [--manifest=utils/circuits.json] [--time=..] [--format=json|calldata] [--out=proof.json]
+ *   zkotp verify --proof=proof.json [--public=public.json] [--vkey=verification_key.json | --circuit=totp@1]
+ *               [--manifest=utils/circuits.json] [--period=30] [--max-age-steps=2] [--time=..]
+ *
+ * Run from packages/api with `npm run zkotp -- <command> ...`, or as `zkotp` once the
+ * package is linked. action.json holds a request body's action: {to, value, data},
+ * {to, call: {abi, functionName, args}}, {erc20Transfer: {token, to, amount}} or
+ * {actions: [...]} for a batch. --time takes an ISO date or epoch milliseconds and
+ * defaults to now. `verify` exits with 1 if the proof is invalid.
+ **************************************/
+import fs from "fs";
+import path from "path";
+import qrcode from "qrcode";
+import speakeasy from "speakeasy";
+import { ethers } from "ethers";
+import { fileURLToPath } from "url";
+
+import { buildAction, buildActions } from "../utils/calldata.js";
+import { createCircuitRegistry, loadArtifactSet } from "../utils/circuits.js";
+import {
+    computeActionHash,
+    computeBatchActionHash,
+    computePoseidonHash,
+    computeTOTP,
+    generateZKProof,
+    normalizeTotpParams,
+    secretToField,
+    totpTimeStep,
+} from "../utils/utils.js";
+import { verifyTotpProof } from "../utils/verifier.js";
+
+const DEFAULT_MANIFEST = fileURLToPath(new URL("../utils/circuits.json", import.meta.url));
+
+const [command, ...rest] = process.argv.slice(2);
+const args = Object.fromEntries(
+    rest.map((arg) => {
+        const [key, ...value] = arg.replace(/^--/, "").split("=");
+        return [key, value.length ? value.join("=") : true];
+    })
+);
+
+function requireArg(name) {
+    if (typeof args[name] !== "string" || args[name] === "") {
+        throw new Error(`Missing --${name}`);
+    }
+    return args[name];
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function print(value) {
+    console.log(typeof value === "string" ? value : JSON.stringify(value, null, 2));
+}
+
+/**
+ * The moment --time names, in epoch milliseconds.
+ */
+function nowFromArgs() {
+    if (args.time == null) {
+        return Date.now();
+    }
+    const time = /^\d+$/.test(args.time) ? Number(args.time) : Date.parse(args.time);
+    if (!Number.isFinite(time)) {
+        throw new Error(`Invalid --time: ${args.time}`);
+    }
+    return time;
+}
+
+function totpFromArgs() {
+    return normalizeTotpParams({ digits: args.digits, algorithm: args.algorithm, period: args.period });
+}
+
+/**
+ * The action(s) and target from --action or --to/--value/--data, with the same defaults
+ * as the API's proof routes.
+ */
+function actionFromArgs() {
+    const contract = requireArg("contract");
+    const chainId = requireArg("chain-id");
+    if (!ethers.utils.isAddress(contract) || !/^\d+$/.test(chainId)) {
+        throw new Error("Invalid --contract or --chain-id");
+    }
+
+    const spec = args.action ? readJson(args.action) : { to: args.to, value: args.value, data: args.data };
+    if (spec.actions != null) {
+        return { actions: buildActions(spec.actions), contract, chainId };
+    }
+    const action = buildAction(spec);
+    return {
+        to: action.to || ethers.constants.AddressZero,
+        value: action.value ?? 0,
+        data: action.data || "0x00",
+        contract,
+        chainId,
+    };
+}
+
+function actionHashOf(fields) {
+    const { to, value, data, actions, chainId, contract } = fields;
+    return actions
+        ? computeBatchActionHash(actions, chainId, contract)
+        : computeActionHash(to, value, data, chainId, contract);
+}
+
+async function loadRegistry() {
+    // The registry reports its loads on stderr, so stdout carries only the command's output
+    const registry = createCircuitRegistry({
+        manifestPath: path.resolve(args.manifest || DEFAULT_MANIFEST),
+        logger: { info: console.error, error: console.error },
+    });
+    await registry.load();
+    return registry;
+}
+
+/**
+ * The proof in the bracketed form snarkjs prints with `zkey export soliditycalldata`,
+ * for pasting into a verifier call.
+ */
+function solidityCallData({ a, b, c, publicInput }) {
+    return [a, b, c, publicInput].map((part) => JSON.stringify(part)).join(",");
+}
+
+//=============================
+//  Commands
+//=============================
+const COMMANDS = {
+    async secret() {
+        const totp = totpFromArgs();
+        const issuer = args.issuer || "zkotp";
+        const secret = speakeasy.generateSecret({ otpauth_url: false });
+        const otpauth_url = speakeasy.otpauthURL({
+            secret: secret.base32,
+            encoding: "base32",
+            label: `${issuer}:${args.label || "zkotp"}`,
+            issuer,
+            digits: totp.digits,
+            algorithm: totp.algorithm,
+            period: totp.period,
+        });
+        const hashedSecret = await computePoseidonHash(secretToField(secret.base32).secretField);
+
+        if (args.json) {
+            return print({ base32: secret.base32, otpauth_url, hashedSecret, totp });
+        }
+        print(await qrcode.toString(otpauth_url, { type: "terminal", small: true }));
+        print(`secret:        ${secret.base32}`);
+        print(`otpauth url:   ${otpauth_url}`);
+        print(`hashed secret: ${hashedSecret}`);
+    },
+
+    async otp() {
+        const totp = totpFromArgs();
+        const now = nowFromArgs();
+        const timeStep = totpTimeStep(now, totp);
+        const { secretBytes } = secretToField(requireArg("secret"));
+        const otp = String(computeTOTP(secretBytes, timeStep, totp)).padStart(totp.digits, "0");
+        const expiresIn = Math.ceil(((timeStep + 1) * totp.period * 1000 - now) / 1000);
+        print({ otp, timeStep, expiresIn });
+    },
+
+    async "action-hash"() {
+        const fields = actionFromArgs();
+        const actionHash = actionHashOf(fields);
+        print({ actionHash, field: BigInt(actionHash).toString() });
+    },
+
+    async prove() {
+        const totp = totpFromArgs();
+        const secret = requireArg("secret");
+        const fields = actionFromArgs();
+        const txNonce = String(args.nonce ?? "1");
+        if (!/^\d+$/.test(txNonce)) {
+            throw new Error(`Invalid --nonce: ${txNonce}`);
+        }
+
+        const registry = await loadRegistry();
+        const circuitId = registry.resolve(args.circuit).id;
+        const circuit = loadArtifactSet(registry.descriptor(circuitId));
+
+        const timeStep = totpTimeStep(nowFromArgs(), totp);
+        const { secretBytes, secretField } = secretToField(secret);
+        const computedOtp = computeTOTP(secretBytes, timeStep, totp);
+        const actionHash = actionHashOf(fields);
+        const proof = await generateZKProof({
+            secret: secretField.toString(),
+            computedOtp: computedOtp.toString(),
+            hashedSecret: await computePoseidonHash(secretField),
+            hashedOtp: await computePoseidonHash(BigInt(computedOtp)),
+            timeStep: timeStep.toString(),
+            actionHash,
+            txNonce,
+            secretBytes,
+            totp,
+        }, circuit);
+
+        // Same fields as a /proof/generate response
+        const { actions, to, value, data } = fields;
+        const result = {
+            status: "ok",
+            circuitId,
+            timeStep,
+            chainId: fields.chainId,
+            contract: ethers.utils.getAddress(fields.contract),
+            txNonce,
+            actionHash,
+            ...(actions ? { actions } : { action: { to, value: String(value), data } }),
+            proof,
+        };
+        const output = args.format === "calldata" ? solidityCallData(proof) : JSON.stringify(result, null, 2);
+        if (args.out) {
+            fs.writeFileSync(args.out, output + "\n");
+            console.error(`Wrote ${args.out}`);
+        } else {
+            print(output);
+        }
+    },
+
+    async verify() {
+        const file = readJson(requireArg("proof"));
+        // A `prove` result, {a, b, c, publicInput}, or snarkjs proof.json with --public=public.json
+        const body = args.public
+            ? { proof: file, publicSignals: readJson(args.public) }
+            : file.proof?.publicInput ? file.proof : file;
+
+        let verificationKey;
+        if (args.vkey) {
+            verificationKey = readJson(args.vkey);
+        } else {
+            const registry = await loadRegistry();
+            verificationKey = registry.resolve(args.circuit ?? file.circuitId).verificationKey;
+        }
+
+        const result = await verifyTotpProof(body, {
+            verificationKey,
+            period: args.period == null ? undefined : Number(args.period),
+            maxAgeSteps: args["max-age-steps"] == null ? undefined : Number(args["max-age-steps"]),
+            now: nowFromArgs(),
+        });
+        print(result);
+        if (!result.valid) {
+            process.exitCode = 1;
+        }
+    },
+};
+
+async function main() {
+    const run = COMMANDS[command];
+    if (!run) {
+        throw new Error(`Usage: zkotp <${Object.keys(COMMANDS).join("|")}> [--options]`);
+    }
+    await run();
+}
+
+// snarkjs leaves its curve worker threads running, so exit explicitly
+main()
+    .then(() => process.exit(process.exitCode ?? 0))
+    .catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,126 @@
+/***************************************
+ * app.test.js
+ * Drives the Express app the way a client does, without index.js: enrollment, registration
+ * and proofs, on in-memory storage and the local token issuer. The proving artifacts of the
+ * manifest's default circuit must have been built (circuits/run.sh); without them the
+ * suite is skipped.
+ **************************************/
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { after, before, describe, it, mock } from "node:test";
+import * as snarkjs from "snarkjs";
+import request from "supertest";
+
+import { createLocalTokenIssuer, SECRET_USER_FIELDS } from "../utils/auth.js";
+import { computeTOTP6, secretToField, TOTP_PERIOD_MS } from "../utils/utils.js";
+
+Object.assign(process.env, {
+    STORAGE_BACKEND: "memory",
+    AUTH_LOCAL_SECRET: "app-test-secret",
+    ENCRYPTION_WORD: "app-test-word",
+    ENCRYPTION_ALGORITHM: "aes-256-gcm",
+    ENCRYPTION_ITERATIONS: "1000",
+    DEFAULT_CHAIN_ID: "31337",
+    DEFAULT_CONTRACT_ADDRESS: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+    // Every OTP burns its time step, so each user gets two steps either side of now
+    OTP_DRIFT_WINDOW: "2",
+    PROOF_WORKERS: "1",
+});
+
+const manifestUrl = new URL("../utils/circuits.json", import.meta.url);
+const manifest = JSON.parse(fs.readFileSync(manifestUrl, "utf8"));
+const circuit = manifest.circuits.find((entry) => entry.id === manifest.default);
+const missing = ["wasm", "zkey", "verificationKey"]
+    .map((artifact) => circuit[artifact].path)
+    .filter((file) => !fs.existsSync(new URL(file, manifestUrl)));
+
+const issuer = createLocalTokenIssuer(process.env.AUTH_LOCAL_SECRET);
+const RECIPIENT = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+describe("app", { skip: missing.length > 0 && `missing circuit artifacts: ${missing.join(", ")}` }, () => {
+    let server;
+
+    before(async () => {
+        server = await import("../app.js");
+    });
+
+    after(async () => {
+        await server.proofPool.close();
+        server.storage.close();
+        // The artifact check at import left snarkjs' shared bn128 thread pool running
+        await (await snarkjs.curves.getCurveFromName("bn128")).terminate();
+    });
+
+    /**
+     * Enrolls and registers a user. Returns a function that gives the OTP `offset`
+     * time steps from now.
+     */
+    async function register(uid) {
+        const auth = `Bearer ${issuer.issue(uid)}`;
+        const created = await request(server.app).get("/otp/create").set("Authorization", auth);
+        assert.equal(created.status, 200);
+
+        const { secretBytes } = secretToField(created.body.base32);
+        const otpAt = (offset) => {
+            const timeStep = Math.floor(Date.now() / TOTP_PERIOD_MS) + offset;
+            return String(computeTOTP6(secretBytes, timeStep)).padStart(6, "0");
+        };
+        const registered = await request(server.app).post("/user/register").set("Authorization", auth).send({ otp: otpAt(-2) });
+        assert.equal(registered.status, 200);
+        assert.equal(registered.body.recovery_codes.length > 0, true);
+        return { auth, otpAt };
+    }
+
+    it("returns the user without secret material", async () => {
+        const { auth } = await register("reader");
+        const res = await request(server.app).get("/user").set("Authorization", auth);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.registered, true);
+        for (const field of SECRET_USER_FIELDS) {
+            assert.equal(field in res.body.user_doc, false, field);
+        }
+    });
+
+    it("proves an action and refuses to reuse the OTP", async () => {
+        const { auth, otpAt } = await register("prover");
+        const body = { otp: otpAt(-1), to: RECIPIENT, value: "5" };
+
+        const res = await request(server.app).post("/proof/generate").set("Authorization", auth).send(body);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, "ok");
+        assert.equal(res.body.proof.publicInput.length, 5);
+
+        const replay = await request(server.app).post("/proof/generate").set("Authorization", auth).send(body);
+        assert.equal(replay.status, 401);
+        assert.equal(replay.body.reason, "otp_replayed");
+    });
+
+    it("releases the daily limit reserved by a proof that failed", async () => {
+        const { auth, otpAt } = await register("spender");
+        const policy = await request(server.app).put("/user/policy").set("Authorization", auth)
+            .send({ otp: otpAt(-1), policy: { dailyValueLimit: "100" } });
+        assert.equal(policy.status, 200);
+
+        const run = mock.method(server.proofPool, "run", async () => {
+            throw new Error("prover crashed");
+        });
+        try {
+            const failed = await request(server.app).post("/proof/generate").set("Authorization", auth)
+                .send({ otp: otpAt(0), to: RECIPIENT, value: "60" });
+            assert.equal(failed.status, 400);
+            assert.equal(failed.body.reason, "proof_failed");
+        } finally {
+            run.mock.restore();
+        }
+
+        const spent = await request(server.app).get("/user/policy").set("Authorization", auth);
+        assert.equal(spent.body.spent_today["31337"] ?? "0", "0");
+
+        // The whole limit is still there for the next proof
+        const res = await request(server.app).post("/proof/generate").set("Authorization", auth)
+            .send({ otp: otpAt(1), to: RECIPIENT, value: "100" });
+        assert.equal(res.status, 200);
+        const spentAfter = await request(server.app).get("/user/policy").set("Authorization", auth);
+        assert.equal(spentAfter.body.spent_today["31337"], "100");
+    });
+});
@@ -0,0 +1,86 @@
+/***************************************
+ * auth.test.js
+ * Bearer token checks of the auth middleware, with the local token issuer standing in for
+ * Firebase Auth, and the stripping of secret fields from user documents.
+ **************************************/
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import express from "express";
+import request from "supertest";
+
+import { createAuthMiddleware, createLocalTokenIssuer, publicUserDoc, SECRET_USER_FIELDS } from "../utils/auth.js";
+
+describe("createAuthMiddleware", () => {
+    const issuer = createLocalTokenIssuer("test-secret");
+    let app;
+
+    before(() => {
+        app = express();
+        app.use(express.json());
+        app.use(createAuthMiddleware(issuer.verify, { publicPaths: ["/health", "/circuits/:id"] }));
+        app.all("/{*path}", (req, res) => res.json({ uid: req.uid ?? null }));
+    });
+
+    it("binds the token's uid to req.uid", async () => {
+        const res = await request(app).get("/user").set("Authorization", `Bearer ${issuer.issue("alice")}`);
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { uid: "alice" });
+    });
+
+    it("rejects a request without a bearer token", async () => {
+        for (const header of [null, "alice", "Basic abc", "Bearer"]) {
+            const req = request(app).get("/user");
+            const res = await (header ? req.set("Authorization", header) : req);
+            assert.equal(res.status, 401);
+            assert.equal(res.body.reason, "unauthenticated");
+        }
+    });
+
+    it("rejects a token signed with another secret, a tampered one and an expired one", async () => {
+        const tokens = [
+            createLocalTokenIssuer("other-secret").issue("alice"),
+            issuer.issue("alice").replace(/\.[^.]+\./, `.${Buffer.from('{"uid":"bob"}').toString("base64url")}.`),
+            issuer.issue("alice", -1),
+            "not-a-token",
+        ];
+        for (const token of tokens) {
+            const res = await request(app).get("/user").set("Authorization", `Bearer ${token}`);
+            assert.equal(res.status, 401);
+            assert.equal(res.body.reason, "token_invalid");
+        }
+    });
+
+    it("rejects a uid in the body or query that is not the token's", async () => {
+        const auth = `Bearer ${issuer.issue("alice")}`;
+        const body = await request(app).post("/user").set("Authorization", auth).send({ uid: "bob" });
+        assert.equal(body.status, 403);
+        assert.equal(body.body.reason, "uid_mismatch");
+
+        const query = await request(app).get("/user?uid=bob").set("Authorization", auth);
+        assert.equal(query.status, 403);
+
+        const same = await request(app).get("/user?uid=alice").set("Authorization", auth);
+        assert.equal(same.status, 200);
+    });
+
+    it("serves public paths without a token", async () => {
+        assert.equal((await request(app).get("/health")).status, 200);
+        assert.equal((await request(app).get("/circuits/totp@1")).status, 200);
+        assert.equal((await request(app).get("/circuits/totp@1/wasm")).status, 401);
+    });
+});
+
+describe("createLocalTokenIssuer", () => {
+    it("needs a signing secret", () => {
+        assert.throws(() => createLocalTokenIssuer(""), /signing secret/);
+    });
+});
+
+describe("publicUserDoc", () => {
+    it("drops every secret field and keeps the rest", () => {
+        const data = Object.fromEntries(SECRET_USER_FIELDS.map((field) => [field, "secret"]));
+        const doc = publicUserDoc({ ...data, uid: "alice", hashed_secret: "0x01" });
+        assert.deepEqual(doc, { uid: "alice", hashed_secret: "0x01" });
+        assert.equal(data.encrypted_secret, "secret");
+    });
+});
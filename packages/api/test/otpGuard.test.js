@@ -0,0 +1,94 @@
+/***************************************
+ * otpGuard.test.js
+ * The replay ledger and the attempt lockout, against the in-memory and SQLite stores.
+ **************************************/
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import Database from "better-sqlite3";
+
+import { createOtpGuard, MemoryGuardStore, SqliteGuardStore } from "../utils/otpGuard.js";
+
+const STORES = {
+    memory: () => new MemoryGuardStore(),
+    sqlite: () => new SqliteGuardStore(new Database(":memory:")),
+};
+
+for (const [name, newStore] of Object.entries(STORES)) {
+    describe(`otpGuard with the ${name} store`, () => {
+        describe("replay ledger", () => {
+            it("accepts an OTP once per user and time step", async () => {
+                const guard = createOtpGuard(newStore());
+                assert.equal(await guard.consumeOtp("alice", 1000), true);
+                assert.equal(await guard.consumeOtp("alice", 1000), false);
+                assert.equal(await guard.consumeOtp("alice", 1001), true);
+                assert.equal(await guard.consumeOtp("bob", 1000), true);
+            });
+
+            it("keeps a ledger per secret generation", async () => {
+                const guard = createOtpGuard(newStore());
+                assert.equal(await guard.consumeOtp("alice", 1000, { generation: 0 }), true);
+                assert.equal(await guard.consumeOtp("alice", 1000, { generation: 1 }), true);
+                assert.equal(await guard.consumeOtp("alice", 1000, { generation: 1 }), false);
+            });
+
+            it("remembers a used OTP until the drift window no longer accepts it", async () => {
+                const store = newStore();
+                const expiries = [];
+                const markOtpUsed = store.markOtpUsed.bind(store);
+                store.markOtpUsed = (uid, generation, timeStep, expiresAt) => {
+                    expiries.push(expiresAt.getTime());
+                    return markOtpUsed(uid, generation, timeStep, expiresAt);
+                };
+                const guard = createOtpGuard(store, { driftWindow: 1, usedOtpTtlMs: 1000 });
+
+                const timeStep = Math.floor(Date.now() / 300000);
+                await guard.consumeOtp("alice", timeStep, { period: 300 });
+                // Accepted up to the end of step + 1, then kept one more period
+                assert.equal(expiries[0], (timeStep + 3) * 300000);
+            });
+
+            it("forgets used OTPs once they expire", async () => {
+                const guard = createOtpGuard(newStore(), { driftWindow: 0, usedOtpTtlMs: 0 });
+                // A step far enough in the past that its record is already expired
+                assert.equal(await guard.consumeOtp("alice", 10), true);
+                assert.equal(await guard.consumeOtp("alice", 10), true);
+            });
+        });
+
+        describe("lockout", () => {
+            it("locks a key out after maxAttempts failures", async () => {
+                const guard = createOtpGuard(newStore(), { maxAttempts: 3, baseLockoutMs: 60000 });
+                await guard.recordFailure(["uid:alice"]);
+                await guard.recordFailure(["uid:alice"]);
+                assert.equal(await guard.lockedUntil(["uid:alice"]), 0);
+
+                const before = Date.now();
+                await guard.recordFailure(["uid:alice"]);
+                const until = await guard.lockedUntil(["uid:alice", "ip:127.0.0.1"]);
+                assert.ok(until >= before + 60000 && until <= Date.now() + 60000);
+                assert.equal(await guard.lockedUntil(["uid:bob"]), 0);
+            });
+
+            it("doubles the lockout with every further failure, up to maxLockoutMs", async () => {
+                const guard = createOtpGuard(newStore(), { maxAttempts: 1, baseLockoutMs: 1000, maxLockoutMs: 3000 });
+                const lockout = async () => {
+                    await guard.recordFailure(["ip:10.0.0.1"]);
+                    return (await guard.lockedUntil(["ip:10.0.0.1"])) - Date.now();
+                };
+                assert.ok(Math.abs((await lockout()) - 1000) < 100);
+                assert.ok(Math.abs((await lockout()) - 2000) < 100);
+                assert.ok(Math.abs((await lockout()) - 3000) < 100);
+                assert.ok(Math.abs((await lockout()) - 3000) < 100);
+            });
+
+            it("clears the counters after a success", async () => {
+                const guard = createOtpGuard(newStore(), { maxAttempts: 1 });
+                await guard.recordFailure(["uid:alice"]);
+                assert.equal((await guard.status("alice")).locked, true);
+
+                await guard.recordSuccess(["uid:alice"]);
+                assert.deepEqual(await guard.status("alice"), { failed_attempts: 0, locked: false, locked_until: null });
+            });
+        });
+    });
+}
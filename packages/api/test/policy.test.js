@@ -0,0 +1,136 @@
+/***************************************
+ * policy.test.js
+ * Policy normalization, the policy rules and the daily spending record.
+ **************************************/
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+    addSpending,
+    evaluatePolicy,
+    normalizePolicy,
+    PolicyError,
+    refundSpending,
+    spentToday,
+} from "../utils/policy.js";
+
+const TOKEN = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const OTHER = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+const APPROVE = "0x095ea7b3";
+const NOON = Date.parse("2026-10-19T12:00:00Z");
+
+const action = (overrides = {}) => ({ to: TOKEN, value: "0", data: "0x", ...overrides });
+
+describe("normalizePolicy", () => {
+    it("fills in missing rules and normalizes the rest", () => {
+        const policy = normalizePolicy({
+            dailyValueLimit: 1000,
+            allowedContracts: [TOKEN.toLowerCase(), TOKEN],
+            deniedSelectors: ["0x095EA7B3"],
+        });
+        assert.deepEqual(policy, {
+            dailyValueLimit: "1000",
+            allowedContracts: [TOKEN],
+            deniedSelectors: [APPROVE],
+            secretChangeCooldown: 0,
+        });
+    });
+
+    it("rejects malformed rules", () => {
+        for (const input of [
+            { dailyValueLimit: "lots" },
+            { dailyValueLimit: -1 },
+            { allowedContracts: ["0x1234"] },
+            { allowedContracts: TOKEN },
+            { deniedSelectors: ["approve"] },
+            { secretChangeCooldown: 1.5 },
+            { secretChangeCooldown: 31 * 24 * 60 * 60 },
+        ]) {
+            assert.throws(() => normalizePolicy(input), PolicyError, JSON.stringify(input));
+        }
+    });
+});
+
+describe("evaluatePolicy", () => {
+    const request = (actions) => ({ actions, chainId: 31337 });
+
+    it("allows everything without a policy", () => {
+        assert.deepEqual(evaluatePolicy(null, request([action({ value: "1" })])), []);
+    });
+
+    it("allows only the listed contracts", () => {
+        const policy = normalizePolicy({ allowedContracts: [TOKEN] });
+        assert.deepEqual(evaluatePolicy(policy, request([action()])), []);
+
+        const violations = evaluatePolicy(policy, request([action(), action({ to: OTHER.toLowerCase() })]));
+        assert.equal(violations.length, 1);
+        assert.equal(violations[0].rule, "allowedContracts");
+        assert.equal(violations[0].action, 1);
+        assert.equal(violations[0].to, OTHER);
+    });
+
+    it("denies the listed selectors", () => {
+        const policy = normalizePolicy({ deniedSelectors: [APPROVE] });
+        const violations = evaluatePolicy(policy, request([action({ data: `${APPROVE}${"00".repeat(64)}` })]));
+        assert.deepEqual(violations.map((v) => [v.rule, v.selector]), [["deniedSelectors", APPROVE]]);
+        assert.deepEqual(evaluatePolicy(policy, request([action({ data: "0x1234" })])), []);
+    });
+
+    it("counts the day's spending against the daily limit", () => {
+        const policy = normalizePolicy({ dailyValueLimit: "100" });
+        const twoSends = request([action({ value: "30" }), action({ value: "30" })]);
+        assert.deepEqual(evaluatePolicy(policy, twoSends, { now: NOON, spent: 40n }), []);
+
+        const [violation] = evaluatePolicy(policy, twoSends, { now: NOON, spent: 41n });
+        assert.equal(violation.rule, "dailyValueLimit");
+        assert.equal(violation.requested, "60");
+        assert.equal(violation.spent, "41");
+        assert.equal(violation.resets_at, "2026-10-20T00:00:00.000Z");
+
+        // Calls that send nothing are never held back by the limit
+        assert.deepEqual(evaluatePolicy(policy, request([action()]), { now: NOON, spent: 500n }), []);
+    });
+
+    it("pauses proofs for the cooldown after a secret change", () => {
+        const policy = normalizePolicy({ secretChangeCooldown: 3600 });
+        const [violation] = evaluatePolicy(policy, request([action()]), { now: NOON, lastSecretChange: NOON - 1000 });
+        assert.equal(violation.rule, "secretChangeCooldown");
+        assert.equal(violation.until, new Date(NOON + 3599000).toISOString());
+
+        assert.deepEqual(evaluatePolicy(policy, request([action()]), { now: NOON, lastSecretChange: NOON - 3600000 }), []);
+        assert.deepEqual(evaluatePolicy(policy, request([action()]), { now: NOON }), []);
+    });
+
+    it("reports every violated rule at once", () => {
+        const policy = normalizePolicy({ allowedContracts: [TOKEN], deniedSelectors: [APPROVE], dailyValueLimit: "0" });
+        const violations = evaluatePolicy(policy, request([action({ to: OTHER, value: "1", data: APPROVE })]));
+        assert.deepEqual(violations.map((v) => v.rule), ["allowedContracts", "deniedSelectors", "dailyValueLimit"]);
+    });
+});
+
+describe("spending record", () => {
+    it("adds spending per chain and starts over each UTC day", () => {
+        let spending = addSpending(null, 1, 10n, NOON);
+        spending = addSpending(spending, 1, 5n, NOON);
+        spending = addSpending(spending, 10, 7n, NOON);
+        assert.deepEqual(spending, { day: "2026-10-19", chains: { 1: "15", 10: "7" } });
+
+        const tomorrow = NOON + 24 * 60 * 60 * 1000;
+        assert.equal(spentToday(spending, 1, tomorrow), 0n);
+        assert.deepEqual(addSpending(spending, 1, 1n, tomorrow), { day: "2026-10-20", chains: { 1: "1" } });
+    });
+
+    it("gives back a reservation made the same day", () => {
+        const spending = addSpending(null, 1, 15n, NOON);
+        assert.deepEqual(refundSpending(spending, 1, 10n, NOON, NOON + 1000), { day: "2026-10-19", chains: { 1: "5" } });
+        // Never below zero
+        assert.deepEqual(refundSpending(spending, 1, 20n, NOON, NOON), { day: "2026-10-19", chains: { 1: "0" } });
+    });
+
+    it("gives nothing back for a reservation from an earlier day", () => {
+        const yesterday = NOON - 24 * 60 * 60 * 1000;
+        const spending = addSpending(null, 1, 15n, NOON);
+        assert.equal(refundSpending(spending, 1, 10n, yesterday, NOON), null);
+        assert.equal(refundSpending(null, 1, 10n, NOON, NOON), null);
+    });
+});
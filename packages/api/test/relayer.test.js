@@ -0,0 +1,85 @@
+/***************************************
+ * relayer.test.js
+ * Relays switchLight transactions to a local Anvil node and checks the revert reasons of
+ * the ones the light rejects. Skipped unless TRAFFIC_LIGHT and VERIFIER are set:
+ *
+ *   anvil
+ *   export $(make -s -C ../foundry deploy-local)
+ *   npm test
+ *
+ * deploy-local runs against the mock verifier, so the light accepts any proof until the
+ * mock is told to reject them. The chain is rolled back with evm_revert at the end.
+ **************************************/
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { ethers } from "ethers";
+
+import { createRelayer, RelayerError } from "../utils/relayer.js";
+
+const ANVIL_PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const { TRAFFIC_LIGHT, VERIFIER } = process.env;
+const rpcUrl = process.env.RPC_URL || "http://127.0.0.1:8545";
+
+/**
+ * A dummy proof whose tx_nonce is `nonce`; only the mock verifier accepts it.
+ */
+function dummyProof(nonce) {
+    return {
+        a: ["1", "2"],
+        b: [["3", "4"], ["5", "6"]],
+        c: ["7", "8"],
+        publicInput: ["0", "0", "0", "0", String(nonce)],
+    };
+}
+
+describe("relayer against Anvil", { skip: !(TRAFFIC_LIGHT && VERIFIER) && "set TRAFFIC_LIGHT and VERIFIER (make deploy-local)" }, () => {
+    let provider;
+    let chainId;
+    let relayer;
+    let snapshot;
+    // Nonces no earlier run has used, since a failed run leaves its transactions behind
+    const nonce = BigInt(ethers.utils.hexlify(ethers.utils.randomBytes(8)));
+
+    before(async () => {
+        provider = new ethers.providers.StaticJsonRpcProvider(rpcUrl);
+        chainId = String((await provider.getNetwork()).chainId);
+        snapshot = await provider.send("evm_snapshot", []);
+        relayer = createRelayer({
+            privateKey: ANVIL_PRIVATE_KEY,
+            getProvider: (id) => (id === chainId ? provider : null),
+            waitMs: 10000,
+        });
+    });
+
+    after(async () => {
+        await provider?.send("evm_revert", [snapshot]);
+    });
+
+    const switchLight = (proof) => relayer.switchLight({ uid: "alice", chainId, contract: TRAFFIC_LIGHT, proof });
+
+    it("relays a valid proof", async () => {
+        const record = await switchLight(dummyProof(nonce));
+        assert.equal(record.status, "confirmed");
+        assert.equal(record.contract, ethers.utils.getAddress(TRAFFIC_LIGHT));
+        assert.equal(record.from, relayer.address);
+        assert.deepEqual(relayer.get(record.hash), record);
+    });
+
+    it("rejects a reused tx_nonce with the light's revert reason", async () => {
+        const error = await switchLight(dummyProof(nonce)).then(() => null, (e) => e);
+        assert.ok(error instanceof RelayerError);
+        assert.equal(error.code, "reverted");
+        assert.equal(error.revertReason, "Nonce already used");
+    });
+
+    it("rejects a proof the verifier refuses with the light's revert reason", async () => {
+        const signer = new ethers.Wallet(ANVIL_PRIVATE_KEY, provider);
+        const verifier = new ethers.Contract(VERIFIER, ["function setShouldVerify(bool)"], signer);
+        await (await verifier.setShouldVerify(false)).wait();
+
+        const error = await switchLight(dummyProof(nonce + 1n)).then(() => null, (e) => e);
+        assert.ok(error instanceof RelayerError);
+        assert.equal(error.code, "reverted");
+        assert.equal(error.revertReason, "Invalid ZK proof");
+    });
+});
@@ -0,0 +1,403 @@
+/***************************************
+ * apiSpec.js
+ * Request schemas for every route, keyed "METHOD /path" (Express path syntax). app.js
+ * validates requests against them and serves them as an OpenAPI 3 document at
+ * /openapi.json, so the two cannot drift apart.
+ **************************************/
+import { MAX_BATCH_ACTIONS } from "./calldata.js";
+import { INDEXED_EVENTS } from "./indexer.js";
+import { MAX_POLICY_ENTRIES, MAX_SECRET_CHANGE_COOLDOWN } from "./policy.js";
+import { Address, Bytes32, ChainId, FieldElement, HexBytes, object, Otp, Uint256 } from "./schema.js";
+import { TOTP_ALGORITHMS } from "./utils.js";
+
+const API_TITLE = "zkOTP API";
+const API_VERSION = "1.0.0";
+
+//=============================
+//  Shared schemas
+//=============================
+const Abi = {
+    anyOf: [{ type: "array" }, { type: "string" }],
+    description: "a JSON ABI or human-readable ABI fragments",
+};
+
+const Call = object(
+    {
+        abi: Abi,
+        functionName: { type: "string", minLength: 1, description: "a function name, or its full signature for overloads" },
+        args: { type: "array", description: "the function arguments" },
+    },
+    ["abi", "functionName"],
+    { description: "a contract call to ABI-encode as the action's data" }
+);
+
+const Erc20Transfer = object(
+    { token: Address, to: Address, amount: Uint256 },
+    ["token", "to", "amount"],
+    { description: "an ERC-20 transfer of `amount` base units of `token`" }
+);
+
+const ACTION_PROPERTIES = {
+    to: Address,
+    value: { ...Uint256, description: "an amount of wei, as a decimal string or as a JSON number up to 2^53 - 1" },
+    data: HexBytes,
+    call: Call,
+    erc20Transfer: Erc20Transfer,
+};
+
+// The contract (wallet or traffic light) a proof is for; both default from the environment
+const TARGET_PROPERTIES = {
+    contract: Address,
+    chainId: ChainId,
+};
+
+// Proofs are made with (and checked against) the default circuit if none is named
+const CircuitId = {
+    type: "string",
+    pattern: "^[\\w.@-]{1,64}$",
+    description: "a circuit id from /circuits, e.g. \"totp@1\"",
+};
+
+// A single action, or an ordered batch of them in `actions`
+const ACTION_BODY_PROPERTIES = {
+    ...ACTION_PROPERTIES,
+    ...TARGET_PROPERTIES,
+    actions: {
+        type: "array",
+        items: object(ACTION_PROPERTIES),
+        minItems: 1,
+        maxItems: MAX_BATCH_ACTIONS,
+        description: `a batch of 1 to ${MAX_BATCH_ACTIONS} actions`,
+    },
+    abi: { ...Abi, description: "an ABI used to describe the calldata in the response" },
+};
+
+const Proof = {
+    type: "object",
+    description: "{a, b, c, publicInput} as returned by /proof/generate, or raw snarkjs {proof, publicSignals}",
+};
+
+const TotpAlgorithm = {
+    type: "string",
+    pattern: `^(${TOTP_ALGORITHMS.join("|")}|${TOTP_ALGORITHMS.map((a) => a.toUpperCase()).join("|")})$`,
+    description: `one of ${TOTP_ALGORITHMS.join(", ")}`,
+};
+
+const TOTP_BODY_PROPERTIES = {
+    digits: { type: "integer", minimum: 6, maximum: 8 },
+    algorithm: TotpAlgorithm,
+    period: { type: "integer", minimum: 15, maximum: 300, description: "a time step in seconds" },
+};
+
+const TOTP_QUERY_PROPERTIES = {
+    digits: { type: "string", pattern: "^[678]$", description: "6, 7 or 8" },
+    algorithm: TotpAlgorithm,
+    period: { type: "string", pattern: "^\\d{2,3}$", description: "a time step in seconds (15 to 300)" },
+};
+
+const DigitString = { type: "string", pattern: "^\\d{1,20}$", description: "a decimal number" };
+
+const WALLET_PROPERTIES = {
+    chainId: ChainId,
+    index: {
+        anyOf: [{ type: "integer", minimum: 0, maximum: Number.MAX_SAFE_INTEGER }, DigitString],
+        description: "a wallet salt index, as a number or a decimal string",
+    },
+    owner: Address,
+};
+
+const OtpBody = object({ otp: Otp }, ["otp"]);
+
+// Paging and chain of the indexed event routes
+const EVENT_PAGE_PROPERTIES = {
+    chainId: DigitString,
+    limit: { type: "string", pattern: "^\\d{1,3}$", description: "a page size from 1 to 200 (default 50)" },
+    before: { type: "string", pattern: "^\\d+:\\d{12}:\\d{6}$", description: "the id of the last event of the previous page" },
+};
+
+// A transaction policy; rules left out (or null) do not apply
+const Policy = object(
+    {
+        dailyValueLimit: { ...Uint256, description: "most wei the proofs of one UTC day may send, on each chain" },
+        allowedContracts: {
+            type: "array",
+            items: Address,
+            maxItems: MAX_POLICY_ENTRIES,
+            description: "the only addresses actions may call",
+        },
+        deniedSelectors: {
+            type: "array",
+            items: { type: "string", pattern: "^0x[0-9a-fA-F]{8}$", description: "a 4-byte function selector" },
+            maxItems: MAX_POLICY_ENTRIES,
+            description: "function selectors actions may not call",
+        },
+        secretChangeCooldown: {
+            type: "integer",
+            minimum: 0,
+            maximum: MAX_SECRET_CHANGE_COOLDOWN,
+            description: "seconds after a secret change during which no proofs are issued",
+        },
+    },
+    [],
+    { additionalProperties: false, description: "a transaction policy" }
+);
+
+// Poseidon hash of a secret generated and kept on the user's device
+const HashedSecret = { ...FieldElement, description: "the Poseidon hash of the device's TOTP secret, as a decimal string" };
+
+//=============================
+//  Routes
+//=============================
+/**
+ * Route schemas. `public` routes are served without an ID token.
+ *
+ * @type {Object<string, {summary: string, tag: string, public?: boolean, params?: Object, query?: Object, body?: Object}>}
+ */
+export const API_ROUTES = {
+    "GET /openapi.json": { summary: "This document", tag: "meta", public: true },
+
+    "GET /user": { summary: "The caller's user document and OTP lockout status", tag: "user" },
+    "GET /user/audit": {
+        summary: "The caller's audit trail, newest first",
+        tag: "user",
+        query: object({
+            limit: { type: "string", pattern: "^\\d{1,3}$", description: "a page size from 1 to 200 (default 50)" },
+            before: { type: "string", pattern: "^[0-9a-z]{1,40}$", description: "the id of the last event of the previous page" },
+        }),
+    },
+    "POST /user/register": {
+        summary: "Registers the secret from /otp/create with its first OTP",
+        tag: "user",
+        body: OtpBody,
+    },
+    "POST /user/register/client": {
+        summary: "Registers a user who proves on their own device, with only the hash of their secret",
+        tag: "user",
+        body: object({ hashedSecret: HashedSecret, ...TOTP_BODY_PROPERTIES }, ["hashedSecret"]),
+    },
+    "POST /user/proving-mode": {
+        summary: "Moves proving to the user's device; the server secret is kept only for the rotation grace period",
+        tag: "user",
+        body: object(
+            {
+                otp: Otp,
+                mode: { type: "string", enum: ["client"], description: "the new proving mode" },
+                hashedSecret: HashedSecret,
+            },
+            ["otp", "mode", "hashedSecret"]
+        ),
+    },
+    "POST /user/recovery-codes": { summary: "Replaces the recovery codes", tag: "user", body: OtpBody },
+    "GET /user/policy": { summary: "The caller's transaction policy and today's spending per chain", tag: "user" },
+    "PUT /user/policy": {
+        summary: "Sets the transaction policy proofs are checked against",
+        tag: "user",
+        body: object({ otp: Otp, policy: Policy }, ["otp", "policy"]),
+    },
+    "DELETE /user/policy": { summary: "Removes the transaction policy", tag: "user", body: OtpBody },
+    "POST /user/secret/rotate": {
+        summary: "Starts a secret rotation",
+        tag: "user",
+        body: object({ otp: Otp, ...TOTP_BODY_PROPERTIES }, ["otp"]),
+    },
+    "POST /user/secret/confirm": {
+        summary: "Switches to the new secret with its first OTP",
+        tag: "user",
+        body: OtpBody,
+    },
+    "POST /user/secret/rebind": {
+        summary: "Proof from the previous secret that moves a wallet to the current one",
+        tag: "user",
+        body: object({ otp: Otp, ...TARGET_PROPERTIES, circuit: CircuitId }, ["otp"]),
+    },
+
+    "POST /proof/generate": {
+        summary: "Proof that authorizes an action",
+        tag: "proof",
+        body: object({ otp: Otp, circuit: CircuitId, ...ACTION_BODY_PROPERTIES }, ["otp"]),
+    },
+    "POST /proof/recover": {
+        summary: "Proof that authorizes an action, paid for with a recovery code",
+        tag: "proof",
+        body: object({
+            recoveryCode: { type: "string", pattern: "^[\\d\\s-]{16,32}$", description: "a 16-digit recovery code" },
+            circuit: CircuitId,
+            ...ACTION_BODY_PROPERTIES,
+        }, ["recoveryCode"]),
+    },
+    "POST /proof/verify": {
+        summary: "Checks a proof against the verification key",
+        tag: "proof",
+        public: true,
+        body: { ...Proof, properties: { period: TOTP_BODY_PROPERTIES.period, circuit: CircuitId } },
+    },
+    "GET /circuits": {
+        summary: "The circuits proofs can be made with, and their artifact checksums",
+        tag: "proof",
+        public: true,
+    },
+    "GET /circuits/:id/:artifact": {
+        summary: "A circuit artifact, for proving on the client; immutable per circuit id",
+        tag: "proof",
+        public: true,
+        params: object(
+            { id: CircuitId, artifact: { type: "string", enum: ["wasm", "zkey", "verificationKey"] } },
+            ["id", "artifact"]
+        ),
+    },
+    "POST /proof/nonce": {
+        summary: "Reserves a tx_nonce for a proof made on the client",
+        tag: "proof",
+        body: object({ ...TARGET_PROPERTIES, circuit: CircuitId }),
+    },
+    "POST /action/decode": {
+        summary: "Recomputes and describes an action hash",
+        tag: "proof",
+        public: true,
+        body: object({
+            ...ACTION_BODY_PROPERTIES,
+            actionHash: { type: "string", pattern: "^(0x[0-9a-fA-F]+|\\d+)$", description: "a hash to compare against" },
+        }),
+    },
+    "POST /proof/jobs": {
+        summary: "Queues a proof and returns its job id",
+        tag: "proof",
+        body: object({ otp: Otp, circuit: CircuitId, ...ACTION_BODY_PROPERTIES }, ["otp"]),
+    },
+    "GET /proof/jobs/:id": {
+        summary: "Status and result of a proof job",
+        tag: "proof",
+        params: object({ id: { type: "string", maxLength: 64 } }, ["id"]),
+    },
+
+    "POST /relay/execute": {
+        summary: "Relays zkOTPWallet.execute (or executeBatch) with a proof",
+        tag: "relay",
+        body: object({ proof: Proof, ...ACTION_BODY_PROPERTIES }, ["proof"]),
+    },
+    "POST /relay/switch-light": {
+        summary: "Relays TrafficLightZkOTP.switchLight with a proof",
+        tag: "relay",
+        body: object({ proof: Proof, ...ACTION_BODY_PROPERTIES }, ["proof"]),
+    },
+    "GET /relay/tx/:hash": {
+        summary: "Status of a relayed transaction",
+        tag: "relay",
+        params: object({ hash: Bytes32 }, ["hash"]),
+    },
+
+    "GET /wallet": { summary: "The caller's wallets with their balances", tag: "wallet" },
+    "GET /wallet/address": {
+        summary: "Counterfactual address of a wallet",
+        tag: "wallet",
+        query: object({ chainId: DigitString, index: DigitString, owner: Address }),
+    },
+    "POST /wallet": {
+        summary: "Deploys a wallet bound to the caller's hashed secret",
+        tag: "wallet",
+        body: object(WALLET_PROPERTIES),
+    },
+    "GET /wallet/:address/events": {
+        summary: "A wallet's indexed owner, admin and hashed secret changes, newest first",
+        tag: "wallet",
+        public: true,
+        params: object({ address: Address }, ["address"]),
+        query: object({
+            ...EVENT_PAGE_PROPERTIES,
+            event: { type: "string", enum: INDEXED_EVENTS, description: "only events with this name" },
+        }),
+    },
+
+    "GET /traffic-light": {
+        summary: "The traffic light's indexed state and toggle history, newest first",
+        tag: "traffic-light",
+        public: true,
+        query: object({ ...EVENT_PAGE_PROPERTIES, address: Address }),
+    },
+
+    "GET /otp/create": {
+        summary: "New TOTP secret and QR code, pending /user/register",
+        tag: "otp",
+        query: object(TOTP_QUERY_PROPERTIES),
+    },
+    "POST /otp/verify": { summary: "Checks an OTP", tag: "otp", body: OtpBody },
+};
+
+/**
+ * Paths of the routes served without an ID token.
+ *
+ * @returns {string[]}
+ */
+export function publicPaths() {
+    return Object.entries(API_ROUTES)
+        .filter(([, route]) => route.public)
+        .map(([key]) => key.split(" ")[1]);
+}
+
+function parametersFrom(schema, location) {
+    return Object.entries(schema?.properties ?? {}).map(([name, propertySchema]) => ({
+        name,
+        in: location,
+        required: location === "path" || (schema.required ?? []).includes(name),
+        schema: propertySchema,
+    }));
+}
+
+/**
+ * The OpenAPI 3 document for API_ROUTES.
+ *
+ * @returns {Object}
+ */
+export function openApiDocument() {
+    const paths = {};
+    for (const [key, route] of Object.entries(API_ROUTES)) {
+        const [method, expressPath] = key.split(" ");
+        const path = expressPath.replace(/:(\w+)/g, "{$1}");
+        const operation = {
+            summary: route.summary,
+            tags: [route.tag],
+            parameters: [...parametersFrom(route.params, "path"), ...parametersFrom(route.query, "query")],
+            responses: {
+                200: { description: "Success" },
+                default: {
+                    description: "Error",
+                    content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+                },
+            },
+        };
+        if (route.body) {
+            operation.requestBody = { required: true, content: { "application/json": { schema: route.body } } };
+        }
+        if (route.public) {
+            operation.security = [];
+        }
+        (paths[path] ??= {})[method.toLowerCase()] = operation;
+    }
+
+    return {
+        openapi: "3.0.3",
+        info: { title: API_TITLE, version: API_VERSION },
+        security: [{ bearerAuth: [] }],
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "Firebase ID token" },
+            },
+            schemas: {
+                Error: object(
+                    {
+                        status: { type: "string", enum: ["error"] },
+                        reason: { type: "string", description: "machine-readable error code" },
+                        message: { type: "string" },
+                        errors: {
+                            type: "array",
+                            items: object({ path: { type: "string" }, message: { type: "string" } }),
+                            description: "the failed checks, for reason \"invalid_request\"",
+                        },
+                    },
+                    ["status", "reason", "message"]
+                ),
+            },
+        },
+    };
+}
@@ -0,0 +1,249 @@
+/***************************************
+ * audit.js
+ * Structured audit log of security-relevant events (registrations, OTP checks, proofs,
+ * secret rotations), written to a pluggable sink: memory, SQLite, a JSONL file or a
+ * Firestore collection.
+ *
+ * Every entry is `{id, type, uid, at, ...details}`. Ids sort by creation time, so they
+ * double as the cursor for paging through a user's history newest first.
+ **************************************/
+import crypto from "crypto";
+import fs from "fs";
+import readline from "readline";
+
+export const AUDIT_SINKS = ["firestore", "sqlite", "memory", "jsonl"];
+
+// Detail keys whose values never reach the sink, at any depth
+const REDACTED_KEYS = new Set([
+    "otp",
+    "computedOtp",
+    "secret",
+    "secretBytes",
+    "encrypted_secret",
+    "base32",
+    "otpauth_url",
+    "qr_code_url",
+    "recoveryCode",
+    "recovery_codes",
+    "codes",
+    "token",
+    "authorization",
+]);
+
+/**
+ * Copy of `value` with every REDACTED_KEYS entry replaced by "[redacted]".
+ *
+ * @param {*} value - Event details.
+ * @returns {*} - The redacted copy.
+ */
+export function redact(value) {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (value === null || typeof value !== "object") {
+        return typeof value === "bigint" ? value.toString() : value;
+    }
+    return Object.fromEntries(
+        Object.entries(value).map(([key, v]) => [key, REDACTED_KEYS.has(key) ? "[redacted]" : redact(v)])
+    );
+}
+
+let lastIdMs = 0;
+let idSequence = 0;
+
+function newEntryId(now) {
+    // Base-36 milliseconds and a per-millisecond sequence, zero-padded so ids compare as
+    // strings in write order, then random bits to keep ids from other instances apart
+    idSequence = now === lastIdMs ? idSequence + 1 : 0;
+    lastIdMs = now;
+    return now.toString(36).padStart(10, "0") + idSequence.toString(36).padStart(4, "0")
+        + crypto.randomBytes(4).toString("hex");
+}
+
+function newestFirst(a, b) {
+    return a.id < b.id ? 1 : -1;
+}
+
+/**
+ * In-memory audit sink for local development and tests.
+ */
+export class MemoryAuditSink {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * @param {Object} entry - The audit entry.
+     */
+    async append(entry) {
+        this.entries.push(structuredClone(entry));
+    }
+
+    /**
+     * A user's entries, newest first.
+     *
+     * @param {string} uid - The user id.
+     * @param {Object} [options]
+     * @param {string} [options.before] - Only entries with a smaller id.
+     * @param {number} [options.limit=50] - Page size.
+     * @returns {Promise<Object[]>}
+     */
+    async list(uid, { before, limit = 50 } = {}) {
+        return this.entries
+            .filter((e) => e.uid === uid && (before == null || e.id < before))
+            .sort(newestFirst)
+            .slice(0, limit)
+            .map((e) => structuredClone(e));
+    }
+}
+
+/**
+ * SQLite audit sink. Entries are stored as JSON in the `audit_events` table.
+ */
+export class SqliteAuditSink {
+    /**
+     * @param {import("better-sqlite3").Database} db - An open better-sqlite3 database.
+     */
+    constructor(db) {
+        db.exec(`CREATE TABLE IF NOT EXISTS audit_events (
+            id TEXT PRIMARY KEY,
+            uid TEXT,
+            type TEXT NOT NULL,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS audit_events_uid ON audit_events (uid, id)`);
+        this.insertStmt = db.prepare("INSERT INTO audit_events (id, uid, type, data) VALUES (?, ?, ?, ?)");
+        this.pageStmt = db.prepare(
+            "SELECT data FROM audit_events WHERE uid = ? AND id < ? ORDER BY id DESC LIMIT ?"
+        );
+    }
+
+    async append(entry) {
+        this.insertStmt.run(entry.id, entry.uid, entry.type, JSON.stringify(entry));
+    }
+
+    async list(uid, { before, limit = 50 } = {}) {
+        // "~" sorts after every id character
+        return this.pageStmt.all(uid, before ?? "~", limit).map((row) => JSON.parse(row.data));
+    }
+}
+
+/**
+ * Audit sink appending one JSON object per line to a file, e.g. for shipping to a log
+ * pipeline. Listing scans the whole file, so it suits modest volumes.
+ */
+export class JsonlAuditSink {
+    /**
+     * @param {string} path - The JSONL file; created on the first write.
+     */
+    constructor(path) {
+        this.path = path;
+    }
+
+    async append(entry) {
+        // One write per line; O_APPEND keeps concurrent lines from interleaving
+        await fs.promises.appendFile(this.path, JSON.stringify(entry) + "\n");
+    }
+
+    async list(uid, { before, limit = 50 } = {}) {
+        if (!fs.existsSync(this.path)) {
+            return [];
+        }
+        const lines = readline.createInterface({ input: fs.createReadStream(this.path), crlfDelay: Infinity });
+        const matches = [];
+        for await (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            const entry = JSON.parse(line);
+            if (entry.uid === uid && (before == null || entry.id < before)) {
+                matches.push(entry);
+                // Keep only the newest page while scanning
+                if (matches.length > limit * 2) {
+                    matches.sort(newestFirst);
+                    matches.length = limit;
+                }
+            }
+        }
+        return matches.sort(newestFirst).slice(0, limit);
+    }
+}
+
+/**
+ * Firestore audit sink using the `audit_events/{id}` collection. Listing needs a
+ * composite index on (uid ascending, id descending).
+ */
+export class FirestoreAuditSink {
+    /**
+     * @param {import("@google-cloud/firestore").Firestore} db - The Firestore client.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    async append(entry) {
+        await this.db.collection("audit_events").doc(entry.id).set(entry);
+    }
+
+    async list(uid, { before, limit = 50 } = {}) {
+        let query = this.db.collection("audit_events").where("uid", "==", uid);
+        if (before != null) {
+            query = query.where("id", "<", before);
+        }
+        const snapshot = await query.orderBy("id", "desc").limit(limit).get();
+        return snapshot.docs.map((doc) => doc.data());
+    }
+}
+
+/**
+ * Creates the audit log on top of a sink.
+ *
+ * @param {Object} sink - One of the sinks above.
+ * @returns {{
+ *   record: (type: string, uid: string | null, details?: Object) => Promise<Object | null>,
+ *   listForUser: (uid: string, options?: {before?: string, limit?: number}) => Promise<Object[]>,
+ * }}
+ */
+export function createAuditLog(sink) {
+    /**
+     * Writes an event. Details are redacted first. A failing sink is logged and
+     * swallowed, so auditing never fails the action being audited.
+     *
+     * @param {string} type - Event type, e.g. "otp.failed".
+     * @param {string | null} uid - The user the event is about.
+     * @param {Object} [details] - Event fields (route, reason, actionHash, ...).
+     * @returns {Promise<Object | null>} - The written entry, or null if the sink failed.
+     */
+    async function record(type, uid, details = {}) {
+        const now = Date.now();
+        const entry = {
+            id: newEntryId(now),
+            type,
+            uid,
+            at: new Date(now).toISOString(),
+            ...redact(details),
+        };
+        try {
+            await sink.append(entry);
+            return entry;
+        } catch (err) {
+            console.error(`Failed to write audit event ${type}:`, err);
+            return null;
+        }
+    }
+
+    /**
+     * A user's events, newest first.
+     *
+     * @param {string} uid - The user id.
+     * @param {Object} [options]
+     * @param {string} [options.before] - Id of the last entry of the previous page.
+     * @param {number} [options.limit=50] - Page size.
+     * @returns {Promise<Object[]>}
+     */
+    async function listForUser(uid, options = {}) {
+        return sink.list(uid, options);
+    }
+
+    return { record, listForUser };
+}
@@ -0,0 +1,131 @@
+/***************************************
+ * auth.js
+ * Bearer ID token authentication for the Express routes.
+ **************************************/
+import crypto from "crypto";
+
+import { sendError } from "./errors.js";
+
+/**
+ * Fields of a user document that must never leave the server.
+ */
+export const SECRET_USER_FIELDS = ["encrypted_secret", "pending_secret", "previous_secret", "recovery_codes"];
+
+/**
+ * Returns a copy of a Firestore user document with secret material removed.
+ *
+ * @param {Object} data - The raw user document data.
+ * @returns {Object} - The data safe to return to the client.
+ */
+export function publicUserDoc(data) {
+    const result = { ...data };
+    for (const field of SECRET_USER_FIELDS) {
+        delete result[field];
+    }
+    return result;
+}
+
+/**
+ * Turns an Express route path into a regular expression matching it exactly.
+ */
+function pathPattern(routePath) {
+    const segments = routePath.split("/").map((segment) =>
+        segment.startsWith(":") ? "[^/]+" : segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    );
+    return new RegExp(`^${segments.join("/")}$`);
+}
+
+/**
+ * Creates Express middleware that verifies a `Authorization: Bearer <token>` header
+ * and binds the authenticated uid to `req.uid`.
+ *
+ * Routes must use `req.uid` instead of a caller-supplied uid. If the request still
+ * carries a `uid` in its query or body, it has to match the token or the request
+ * is rejected.
+ *
+ * @param {(token: string) => Promise<{uid: string}>} verifyIdToken - Verifies a token and
+ *        returns its decoded claims, e.g. `(t) => admin.auth().verifyIdToken(t)`.
+ * @param {Object} [options]
+ * @param {string[]} [options.publicPaths=[]] - Paths served without a token. Express-style
+ *        `:name` segments match any single path segment.
+ * @returns {import("express").RequestHandler}
+ */
+export function createAuthMiddleware(verifyIdToken, options = {}) {
+    const publicPaths = (options.publicPaths ?? []).map(pathPattern);
+
+    return async (req, res, next) => {
+        if (publicPaths.some((pattern) => pattern.test(req.path))) {
+            return next();
+        }
+
+        const header = req.get("Authorization") || "";
+        const [scheme, token] = header.split(" ");
+        if (scheme !== "Bearer" || !token) {
+            console.warn("Missing bearer token on", req.path);
+            return sendError(res, 401, "unauthenticated", "Missing or malformed Authorization header");
+        }
+
+        let decoded;
+        try {
+            decoded = await verifyIdToken(token);
+        } catch (err) {
+            console.warn("Rejected ID token on", req.path, "-", err.message);
+            return sendError(res, 401, "token_invalid", "Invalid or expired ID token");
+        }
+        if (!decoded || !decoded.uid) {
+            return sendError(res, 401, "token_invalid", "Invalid or expired ID token");
+        }
+
+        const claimedUid = req.body?.uid ?? req.query?.uid;
+        if (claimedUid != null && claimedUid !== decoded.uid) {
+            console.warn("uid in request does not match ID token on", req.path);
+            return sendError(res, 403, "uid_mismatch", "uid does not match the authenticated user");
+        }
+
+        req.uid = decoded.uid;
+        req.auth = decoded;
+        return next();
+    };
+}
+
+/**
+ * Creates a local HS256 token issuer that stands in for Firebase Auth in tests and
+ * local development. Its `verify` function can be passed to createAuthMiddleware().
+ *
+ * @param {string} secret - The HMAC signing secret.
+ * @returns {{issue: (uid: string, ttlSeconds?: number) => string, verify: (token: string) => Promise<{uid: string}>}}
+ */
+export function createLocalTokenIssuer(secret) {
+    if (!secret) {
+        throw new Error("A signing secret is required for the local token issuer");
+    }
+
+    const b64url = (buf) => Buffer.from(buf).toString("base64url");
+    const sign = (data) => crypto.createHmac("sha256", secret).update(data).digest("base64url");
+    const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+
+    return {
+        issue(uid, ttlSeconds = 3600) {
+            const now = Math.floor(Date.now() / 1000);
+            const payload = b64url(JSON.stringify({ uid, sub: uid, iat: now, exp: now + ttlSeconds }));
+            return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+        },
+
+        async verify(token) {
+            const [h, payload, signature] = token.split(".");
+            if (!h || !payload || !signature) {
+                throw new Error("Malformed token");
+            }
+            const expected = Buffer.from(sign(`${h}.${payload}`));
+            const actual = Buffer.from(signature);
+            if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+                throw new Error("Bad token signature");
+            }
+            const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+            if (claims.exp <= Math.floor(Date.now() / 1000)) {
+                throw new Error("Token expired");
+            }
+            return claims;
+        },
+    };
+}
@@ -0,0 +1,187 @@
+/***************************************
+ * calldata.js
+ * Builds the (to, value, data) of an action, or of each action in a batch, from an
+ * ABI call or an ERC-20 transfer, and describes encoded calldata in readable form.
+ **************************************/
+import { ethers } from "ethers";
+
+/**
+ * ERC-20 functions recognized when describing calldata without an ABI.
+ */
+export const ERC20_ABI = [
+    "function transfer(address to, uint256 amount) returns (bool)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+];
+
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+
+/**
+ * Error raised for an action that cannot be encoded. `code` is "calldata_invalid".
+ */
+export class CalldataError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "CalldataError";
+        this.code = "calldata_invalid";
+    }
+}
+
+/**
+ * ABI-encodes a function call.
+ *
+ * @param {Object} call
+ * @param {Array | string} call.abi - JSON ABI or human-readable fragments.
+ * @param {string} call.functionName - The function name, or its full signature for overloads.
+ * @param {Array} [call.args=[]] - The function arguments.
+ * @returns {string} - The calldata as hex.
+ * @throws {CalldataError} - If the ABI, function or arguments are invalid.
+ */
+export function encodeCall({ abi, functionName, args = [] }) {
+    if (!abi || !functionName) {
+        throw new CalldataError("call requires abi and functionName");
+    }
+    try {
+        const iface = new ethers.utils.Interface(abi);
+        return iface.encodeFunctionData(iface.getFunction(functionName), args);
+    } catch (err) {
+        throw new CalldataError(`Cannot encode ${functionName}: ${err.reason ?? err.message}`);
+    }
+}
+
+/**
+ * Resolves the (to, value, data) of an action from one of:
+ *   - `erc20Transfer: {token, to, amount}`: a transfer of `amount` base units of `token`
+ *   - `call: {abi, functionName, args}` with `to` and `value`: an encoded contract call
+ *   - `to`, `value` and raw hex `data`
+ *
+ * Fields that are not given are left undefined for the caller to default.
+ *
+ * @param {Object} spec - The action, usually a request body.
+ * @returns {{to?: string, value?: string | number, data?: string}}
+ * @throws {CalldataError} - If the action is ambiguous or cannot be encoded.
+ */
+export function buildAction(spec) {
+    const { to, value, data, call, erc20Transfer } = spec;
+    if ((call || erc20Transfer) && data) {
+        throw new CalldataError("Give either data or a call/erc20Transfer, not both");
+    }
+    if (to && !ethers.utils.isAddress(to)) {
+        throw new CalldataError(`Invalid to address: ${to}`);
+    }
+    if (value != null && !/^(\d+|0x[0-9a-fA-F]+)$/.test(String(value))) {
+        throw new CalldataError(`Invalid value: ${value}`);
+    }
+    if (data && !(ethers.utils.isHexString(data) && data.length % 2 === 0)) {
+        throw new CalldataError("data must be a 0x-prefixed hex string");
+    }
+
+    if (erc20Transfer) {
+        if (call) {
+            throw new CalldataError("Give either call or erc20Transfer, not both");
+        }
+        const { token, to: recipient, amount } = erc20Transfer;
+        if (!ethers.utils.isAddress(token ?? "") || !ethers.utils.isAddress(recipient ?? "") || amount == null) {
+            throw new CalldataError("erc20Transfer requires token, to and amount");
+        }
+        if (to && to.toLowerCase() !== token.toLowerCase()) {
+            throw new CalldataError("to must be the token address for an erc20Transfer");
+        }
+        if (value != null && String(value) !== "0") {
+            throw new CalldataError("An erc20Transfer cannot carry ETH value");
+        }
+        return { to: token, value: 0, data: encodeCall({ abi: ERC20_ABI, functionName: "transfer", args: [recipient, amount] }) };
+    }
+
+    if (call) {
+        if (!to) {
+            throw new CalldataError("A call requires the to address of the contract");
+        }
+        return { to, value, data: encodeCall(call) };
+    }
+
+    return { to, value, data };
+}
+
+/**
+ * Most calls accepted in one batch, the same as zkOTPWallet.MAX_BATCH_SIZE.
+ */
+export const MAX_BATCH_ACTIONS = 16;
+
+/**
+ * Resolves an ordered list of actions for a batch. Each entry takes any form accepted
+ * by buildAction(); `to` is required, `value` defaults to 0 and `data` to "0x".
+ *
+ * @param {Array<Object>} specs - The actions, in execution order.
+ * @returns {Array<{to: string, value: string | number, data: string}>}
+ * @throws {CalldataError} - If the list is empty, too long or has an invalid action.
+ */
+export function buildActions(specs) {
+    if (!Array.isArray(specs) || specs.length === 0 || specs.length > MAX_BATCH_ACTIONS) {
+        throw new CalldataError(`actions must be a list of 1 to ${MAX_BATCH_ACTIONS} actions`);
+    }
+    return specs.map((spec, i) => {
+        let action;
+        try {
+            action = buildAction(spec ?? {});
+        } catch (err) {
+            throw new CalldataError(`actions[${i}]: ${err.message}`);
+        }
+        if (!action.to) {
+            throw new CalldataError(`actions[${i}]: to is required`);
+        }
+        return { to: action.to, value: action.value ?? 0, data: action.data || "0x" };
+    });
+}
+
+/**
+ * Describes an action in readable form. Calldata is decoded with `abi` if given,
+ * otherwise with the ERC-20 functions.
+ *
+ * @param {{to: string, value: string | number, data: string}} action - The action.
+ * @param {Array | string} [abi] - ABI to decode the calldata with.
+ * @returns {{call: Object | null, summary: string}} - The decoded call (name, signature,
+ *          named args) or null if it could not be decoded, and a one-line summary.
+ */
+export function describeAction({ to, value, data }, abi) {
+    const wei = ethers.BigNumber.from(value ?? 0);
+    const eth = `${ethers.utils.formatEther(wei)} ETH`;
+    const bytes = ethers.utils.hexDataLength(data || "0x");
+
+    let call = null;
+    if (bytes >= 4) {
+        try {
+            const iface = abi ? new ethers.utils.Interface(abi) : erc20Interface;
+            const parsed = iface.parseTransaction({ data, value: wei });
+            const args = {};
+            parsed.functionFragment.inputs.forEach((input, i) => {
+                args[input.name || `arg${i}`] = plainValue(parsed.args[i]);
+            });
+            call = { name: parsed.name, signature: parsed.signature, args };
+        } catch {
+            call = null;
+        }
+    }
+
+    let summary;
+    if (call) {
+        const args = Object.entries(call.args).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(", ");
+        summary = `Call ${call.name}(${args}) on ${to}` + (wei.isZero() ? "" : ` sending ${eth}`);
+    } else if (bytes >= 4) {
+        summary = `Call selector ${ethers.utils.hexDataSlice(data, 0, 4)} with ${bytes} bytes of calldata on ${to}, sending ${eth}`;
+    } else {
+        summary = `Send ${eth} to ${to}` + (bytes > 0 ? ` with data ${data}` : "");
+    }
+    return { call, summary };
+}
+
+// Decoded ABI values as JSON-friendly values (BigNumbers as decimal strings)
+function plainValue(value) {
+    if (ethers.BigNumber.isBigNumber(value)) {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(plainValue);
+    }
+    return value;
+}
@@ -0,0 +1,105 @@
+/***************************************
+ * chain.js
+ * JSON-RPC providers for the chains the API talks to.
+ **************************************/
+import { ethers } from "ethers";
+
+const providers = new Map();
+
+/**
+ * Returns the RPC URL configured for a chain, from:
+ *   - RPC_URLS: JSON object of chain id -> URL, e.g. {"31337": "http://127.0.0.1:8545"}
+ *   - RPC_URL: a single URL, used for any chain not listed in RPC_URLS
+ *
+ * @param {string | number} chainId - The chain id.
+ * @returns {string | null} - The RPC URL, or null if none is configured.
+ */
+export function rpcUrlForChain(chainId) {
+    if (process.env.RPC_URLS) {
+        const urls = JSON.parse(process.env.RPC_URLS);
+        if (urls[String(chainId)]) {
+            return urls[String(chainId)];
+        }
+    }
+    return process.env.RPC_URL || null;
+}
+
+/**
+ * Returns the zkOTPWalletFactory address configured for a chain, from:
+ *   - WALLET_FACTORIES: JSON object of chain id -> factory address
+ *   - WALLET_FACTORY_ADDRESS: a single address, used for any chain not listed in WALLET_FACTORIES
+ *
+ * @param {string | number} chainId - The chain id.
+ * @returns {string | null} - The factory address, or null if none is configured.
+ */
+export function factoryAddressForChain(chainId) {
+    if (process.env.WALLET_FACTORIES) {
+        const factories = JSON.parse(process.env.WALLET_FACTORIES);
+        if (factories[String(chainId)]) {
+            return factories[String(chainId)];
+        }
+    }
+    return process.env.WALLET_FACTORY_ADDRESS || null;
+}
+
+/**
+ * Returns a cached JSON-RPC provider for a chain, or null if no RPC is configured.
+ * The provider refuses to run against a node reporting a different chain id.
+ *
+ * @param {string | number} chainId - The chain id.
+ * @returns {ethers.providers.JsonRpcProvider | null}
+ */
+export function getProvider(chainId) {
+    const key = String(chainId);
+    if (!providers.has(key)) {
+        const url = rpcUrlForChain(chainId);
+        if (!url) {
+            return null;
+        }
+        // A static network makes ethers throw if the node is on another chain
+        providers.set(key, new ethers.providers.StaticJsonRpcProvider(url, Number(chainId)));
+    }
+    return providers.get(key);
+}
+
+/**
+ * Minimal ABI shared by zkOTPWallet and TrafficLightZkOTP for nonce bookkeeping.
+ */
+export const USED_NONCES_ABI = ["function usedNonces(uint256) view returns (bool)"];
+
+/**
+ * zkOTPWallet functions the relayer calls, and the hashed secret setter that a proof
+ * re-binds the wallet with after a secret rotation.
+ */
+export const ZKOTP_WALLET_ABI = [
+    "function execute(address _to, uint256 _value, bytes _data, uint256[2] a, uint256[2][2] b, uint256[2] c, uint256[5] input) returns (bytes)",
+    "function executeBatch(address[] _to, uint256[] _value, bytes[] _data, uint256[2] a, uint256[2][2] b, uint256[2] c, uint256[5] input) returns (bytes[])",
+    "function setHashedSecretConfig(uint256 _hashedSecret)",
+];
+
+/**
+ * TrafficLightZkOTP functions the relayer calls.
+ */
+export const TRAFFIC_LIGHT_ABI = [
+    "function switchLight(uint256[2] a, uint256[2][2] b, uint256[2] c, uint256[5] input)",
+    "function isGreenLight() view returns (bool)",
+];
+
+/**
+ * Events the indexer follows: the traffic light's toggles and the configuration changes
+ * of zkOTPWallet.
+ */
+export const INDEXED_EVENTS_ABI = [
+    "event LightToggled(bool indexed newState)",
+    "event OwnerChanged(address indexed oldOwner, address indexed newOwner)",
+    "event AdminChanged(address indexed oldAdmin, address indexed newAdmin)",
+    "event HashedSecretConfigChanged(uint256 indexed oldHashedSecretConfig, uint256 indexed newHashedSecretConfig)",
+];
+
+/**
+ * zkOTPWalletFactory functions used to provision wallets.
+ */
+export const ZKOTP_WALLET_FACTORY_ABI = [
+    "function deployWallet(address _owner, address _admin, uint256 _hashedSecret, bytes32 _salt) returns (address)",
+    "function computeAddress(address _deployer, address _owner, address _admin, bytes32 _salt) view returns (address)",
+];
@@ -0,0 +1,275 @@
+/***************************************
+ * circuits.js
+ * Registry of proving artifact sets (circuit wasm, zkey and verification key), loaded
+ * from a manifest that pins the SHA-256 of every file. Each set has an id such as
+ * "totp@1". Ids are immutable: a new trusted setup ships as a new id, so a proof's
+ * circuit id always names the exact keys it was made with.
+ *
+ * Manifest format (paths are relative to the manifest):
+ *   {
+ *     "default": "totp@1",
+ *     "circuits": [{
+ *       "id": "totp@1", "name": "totp", "version": "1",
+ *       "wasm": {"path": "totp.wasm", "sha256": "..."},
+ *       "zkey": {"path": "totp_0001.zkey", "sha256": "..."},
+ *       "verificationKey": {"path": "verification_key.json", "sha256": "..."}
+ *     }]
+ *   }
+ **************************************/
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import * as snarkjs from "snarkjs";
+
+import { PUBLIC_SIGNAL_NAMES } from "./verifier.js";
+
+const ARTIFACTS = ["wasm", "zkey", "verificationKey"];
+
+// Verification key fields that must match the ones derived from the zkey
+const VERIFICATION_KEY_FIELDS = ["protocol", "curve", "nPublic", "vk_alpha_1", "vk_beta_2", "vk_gamma_2", "vk_delta_2", "IC"];
+
+/**
+ * Error raised for an unknown circuit id ("circuit_unknown") or an artifact set that
+ * fails its checks ("circuit_invalid").
+ */
+export class CircuitError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "CircuitError";
+        this.code = code;
+    }
+}
+
+function sha256(bytes) {
+    return crypto.createHash("sha256").update(bytes).digest("hex");
+}
+
+/**
+ * Reads one artifact and checks it against its pinned checksum.
+ */
+function readArtifact(id, kind, artifact) {
+    let bytes;
+    try {
+        bytes = fs.readFileSync(artifact.path);
+    } catch (err) {
+        throw new CircuitError("circuit_invalid", `${id}: cannot read ${kind} (${err.message})`);
+    }
+    const digest = sha256(bytes);
+    if (digest !== String(artifact.sha256).toLowerCase()) {
+        throw new CircuitError("circuit_invalid", `${id}: ${kind} checksum mismatch (got ${digest})`);
+    }
+    return bytes;
+}
+
+// Loaded sets by id and zkey checksum, so a thread reads each set once
+const artifactCache = new Map();
+
+/**
+ * Reads an artifact set into memory, checking every file against its checksum. Cached
+ * per thread; proof workers call this with the descriptor sent along with each job.
+ *
+ * @param {Object} descriptor - A set from the registry (absolute paths and checksums).
+ * @returns {{id: string, name: string, wasm: Uint8Array, zkey: Uint8Array, verificationKey: Object}}
+ * @throws {CircuitError} - If a file is missing or does not match its checksum.
+ */
+export function loadArtifactSet(descriptor) {
+    const cacheKey = `${descriptor.id}:${descriptor.zkey.sha256}`;
+    if (!artifactCache.has(cacheKey)) {
+        artifactCache.set(cacheKey, {
+            id: descriptor.id,
+            name: descriptor.name,
+            wasm: new Uint8Array(readArtifact(descriptor.id, "wasm", descriptor.wasm)),
+            zkey: new Uint8Array(readArtifact(descriptor.id, "zkey", descriptor.zkey)),
+            verificationKey: JSON.parse(readArtifact(descriptor.id, "verificationKey", descriptor.verificationKey)),
+        });
+    }
+    return artifactCache.get(cacheKey);
+}
+
+/**
+ * Loads a set and checks that its verification key is the one its zkey was set up
+ * with and that the circuit has the public signals the API expects.
+ *
+ * @param {Object} descriptor - The set, as resolved from the manifest.
+ * @returns {Promise<Object>} - The loaded set.
+ * @throws {CircuitError} - If any check fails.
+ */
+async function checkArtifactSet(descriptor) {
+    const set = loadArtifactSet(descriptor);
+    const { verificationKey } = set;
+    if (verificationKey.nPublic !== PUBLIC_SIGNAL_NAMES.length) {
+        throw new CircuitError(
+            "circuit_invalid",
+            `${descriptor.id}: expected ${PUBLIC_SIGNAL_NAMES.length} public signals, the verification key has ${verificationKey.nPublic}`
+        );
+    }
+
+    let derived;
+    try {
+        derived = await snarkjs.zKey.exportVerificationKey(set.zkey);
+    } catch (err) {
+        throw new CircuitError("circuit_invalid", `${descriptor.id}: unreadable zkey (${err.message})`);
+    }
+    const mismatched = VERIFICATION_KEY_FIELDS.filter(
+        (field) => JSON.stringify(derived[field]) !== JSON.stringify(verificationKey[field])
+    );
+    if (mismatched.length) {
+        throw new CircuitError(
+            "circuit_invalid",
+            `${descriptor.id}: verification key does not match the zkey (${mismatched.join(", ")})`
+        );
+    }
+    return set;
+}
+
+/**
+ * Parses a manifest into descriptors with absolute artifact paths.
+ */
+function readManifest(manifestPath) {
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    } catch (err) {
+        throw new CircuitError("circuit_invalid", `Cannot read circuit manifest ${manifestPath}: ${err.message}`);
+    }
+    if (!Array.isArray(manifest.circuits) || manifest.circuits.length === 0) {
+        throw new CircuitError("circuit_invalid", `Circuit manifest ${manifestPath} lists no circuits`);
+    }
+
+    const baseDir = path.dirname(manifestPath);
+    const descriptors = manifest.circuits.map((entry) => {
+        if (!entry.id || !entry.name || ARTIFACTS.some((kind) => !entry[kind]?.path || !entry[kind]?.sha256)) {
+            throw new CircuitError("circuit_invalid", `Circuit ${entry.id ?? "(no id)"} needs id, name and a path and sha256 per artifact`);
+        }
+        const descriptor = { id: entry.id, name: entry.name, version: String(entry.version ?? "") };
+        for (const kind of ARTIFACTS) {
+            descriptor[kind] = { path: path.resolve(baseDir, entry[kind].path), sha256: entry[kind].sha256 };
+        }
+        return descriptor;
+    });
+    const ids = descriptors.map((d) => d.id);
+    const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+    if (duplicate) {
+        throw new CircuitError("circuit_invalid", `Circuit id ${duplicate} is listed twice`);
+    }
+    return { defaultId: manifest.default ?? ids[0], descriptors };
+}
+
+/**
+ * Creates the circuit registry. Call load() before use.
+ *
+ * @param {Object} options
+ * @param {string} options.manifestPath - The manifest file.
+ * @param {string} [options.defaultId] - Overrides the manifest's default. A bare circuit
+ *        name (e.g. "totp_hmac") picks that circuit's last listed version.
+ * @param {{info: Function, error: Function}} [options.logger=console] - Where loads and
+ *        rejected reloads are reported.
+ * @returns {Object} - The registry.
+ */
+export function createCircuitRegistry(options) {
+    const { manifestPath, logger = console } = options;
+    let state = null;
+
+    function pickDefault(defaultId, byId) {
+        const wanted = options.defaultId || defaultId;
+        if (byId.has(wanted)) {
+            return wanted;
+        }
+        const named = [...byId.values()].filter(({ descriptor }) => descriptor.name === wanted);
+        if (!named.length) {
+            throw new CircuitError("circuit_unknown", `Default circuit ${wanted} is not in the manifest`);
+        }
+        return named[named.length - 1].descriptor.id;
+    }
+
+    function entry(id) {
+        const found = state.byId.get(id ?? state.defaultId);
+        if (!found) {
+            throw new CircuitError("circuit_unknown", `Unknown circuit ${id}`);
+        }
+        return found;
+    }
+
+    return {
+        /**
+         * Reads the manifest and checks every set. The new sets replace the current ones
+         * only if all of them pass, so a bad rollout never half-applies.
+         *
+         * @returns {Promise<void>}
+         * @throws {CircuitError} - If the manifest or any set is invalid.
+         */
+        async load() {
+            const { defaultId, descriptors } = readManifest(manifestPath);
+            const byId = new Map();
+            for (const descriptor of descriptors) {
+                const { verificationKey } = await checkArtifactSet(descriptor);
+                byId.set(descriptor.id, { descriptor, verificationKey });
+            }
+            state = { byId, defaultId: pickDefault(defaultId, byId) };
+            logger.info(`Loaded circuits ${[...byId.keys()].join(", ")} (default ${state.defaultId}).`);
+        },
+
+        /**
+         * Looks up a set.
+         *
+         * @param {string} [id] - The circuit id; the default circuit if omitted.
+         * @returns {{id: string, name: string, version: string, verificationKey: Object}} - The
+         *          set's id and its parsed verification key.
+         * @throws {CircuitError} - If the id is unknown.
+         */
+        resolve(id) {
+            const { descriptor, verificationKey } = entry(id);
+            return { id: descriptor.id, name: descriptor.name, version: descriptor.version, verificationKey };
+        },
+
+        /**
+         * The artifact descriptor a proof worker needs to load a set.
+         *
+         * @param {string} [id] - The circuit id; the default circuit if omitted.
+         * @returns {Object}
+         * @throws {CircuitError} - If the id is unknown.
+         */
+        descriptor(id) {
+            return entry(id).descriptor;
+        },
+
+        /**
+         * @returns {Array<{id: string, name: string, version: string, default: boolean, sha256: Object}>}
+         */
+        list() {
+            return [...state.byId.values()].map(({ descriptor }) => ({
+                id: descriptor.id,
+                name: descriptor.name,
+                version: descriptor.version,
+                default: descriptor.id === state.defaultId,
+                sha256: Object.fromEntries(ARTIFACTS.map((kind) => [kind, descriptor[kind].sha256])),
+            }));
+        },
+
+        /**
+         * Reloads the manifest whenever it changes on disk. A manifest that fails to load
+         * is logged and the current sets stay in service.
+         *
+         * @param {number} [intervalMs=5000] - How often to check the manifest's mtime.
+         */
+        watch(intervalMs = 5000) {
+            fs.watchFile(manifestPath, { interval: intervalMs, persistent: false }, async (curr, prev) => {
+                if (curr.mtimeMs === prev.mtimeMs) {
+                    return;
+                }
+                try {
+                    await this.load();
+                } catch (err) {
+                    logger.error("Circuit manifest reload rejected, keeping the current circuits:", err.message);
+                }
+            });
+        },
+
+        /**
+         * Stops watching the manifest.
+         */
+        close() {
+            fs.unwatchFile(manifestPath);
+        },
+    };
+}
@@ -0,0 +1,122 @@
+/***************************************
+ * enrollment.js
+ * Pending TOTP enrollments created by /otp/create and confirmed by /user/register.
+ **************************************/
+
+/**
+ * In-memory enrollment store for local development and tests.
+ */
+export class MemoryEnrollmentStore {
+    constructor() {
+        this.pending = new Map();
+    }
+
+    /**
+     * Stores (or replaces) the pending enrollment of a user.
+     *
+     * @param {string} uid - The user id.
+     * @param {{encrypted_secret: string, created_at: Date, expires_at: Date}} record
+     */
+    async put(uid, record) {
+        this.pending.set(uid, { ...record });
+    }
+
+    /**
+     * @param {string} uid - The user id.
+     * @returns {Promise<Object | null>} - The pending enrollment, or null if there is none.
+     */
+    async get(uid) {
+        return this.pending.get(uid) ?? null;
+    }
+
+    /**
+     * @param {string} uid - The user id.
+     */
+    async delete(uid) {
+        this.pending.delete(uid);
+    }
+}
+
+/**
+ * Firestore-backed enrollment store using the `pending_enrollments/{uid}` collection.
+ * `expires_at` can double as a Firestore TTL field.
+ */
+export class FirestoreEnrollmentStore {
+    /**
+     * @param {import("@google-cloud/firestore").Firestore} db - The Firestore client.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    async put(uid, record) {
+        await this.db.collection("pending_enrollments").doc(uid).set(record);
+    }
+
+    async get(uid) {
+        const doc = await this.db.collection("pending_enrollments").doc(uid).get();
+        if (!doc.exists) {
+            return null;
+        }
+        const data = doc.data();
+        // Firestore hands timestamps back as Timestamp objects
+        return {
+            ...data,
+            created_at: data.created_at?.toDate?.() ?? data.created_at,
+            expires_at: data.expires_at?.toDate?.() ?? data.expires_at,
+        };
+    }
+
+    async delete(uid) {
+        await this.db.collection("pending_enrollments").doc(uid).delete();
+    }
+}
+
+/**
+ * SQLite-backed enrollment store using the `pending_enrollments` table.
+ */
+export class SqliteEnrollmentStore {
+    /**
+     * @param {import("better-sqlite3").Database} db - An open better-sqlite3 database.
+     */
+    constructor(db) {
+        this.db = db;
+        db.exec(`CREATE TABLE IF NOT EXISTS pending_enrollments (
+            uid TEXT PRIMARY KEY,
+            data TEXT NOT NULL
+        )`);
+        this.upsertStmt = db.prepare(`INSERT INTO pending_enrollments (uid, data) VALUES (?, ?)
+            ON CONFLICT(uid) DO UPDATE SET data = excluded.data`);
+        this.selectStmt = db.prepare("SELECT data FROM pending_enrollments WHERE uid = ?");
+        this.deleteStmt = db.prepare("DELETE FROM pending_enrollments WHERE uid = ?");
+    }
+
+    async put(uid, record) {
+        this.upsertStmt.run(uid, JSON.stringify(record));
+    }
+
+    async get(uid) {
+        const row = this.selectStmt.get(uid);
+        if (!row) {
+            return null;
+        }
+        // Dates come back from JSON as ISO strings
+        const data = JSON.parse(row.data);
+        return { ...data, created_at: new Date(data.created_at), expires_at: new Date(data.expires_at) };
+    }
+
+    async delete(uid) {
+        this.deleteStmt.run(uid);
+    }
+}
+
+/**
+ * Checks whether a pending enrollment is still usable.
+ *
+ * @param {Object | null} record - The pending enrollment from the store.
+ * @param {number} [now=Date.now()] - The current time in epoch milliseconds.
+ * @returns {boolean} - True if the enrollment exists and has not expired.
+ */
+export function isEnrollmentActive(record, now = Date.now()) {
+    return record != null && new Date(record.expires_at).getTime() > now;
+}
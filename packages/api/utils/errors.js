@@ -0,0 +1,49 @@
+/***************************************
+ * errors.js
+ * The error envelope every route answers with:
+ *   {status: "error", reason: "<machine-readable code>", message: "<for humans>", ...details}
+ *
+ * Clients should branch on `reason`; `message` may change wording at any time.
+ **************************************/
+
+/**
+ * Sends an error response in the shared envelope.
+ *
+ * @param {import("express").Response} res - The response.
+ * @param {number} status - HTTP status code.
+ * @param {string} reason - Machine-readable error code, e.g. "otp_invalid".
+ * @param {string} message - Human-readable description.
+ * @param {Object} [details] - Extra fields merged into the body.
+ * @returns {import("express").Response}
+ */
+export function sendError(res, status, reason, message, details = {}) {
+    return res.status(status).json({ status: "error", reason, message, ...details });
+}
+
+/**
+ * Catch-all for requests that matched no route.
+ *
+ * @type {import("express").RequestHandler}
+ */
+export function notFoundHandler(req, res) {
+    return sendError(res, 404, "not_found", `No route for ${req.method} ${req.path}`);
+}
+
+/**
+ * Last-resort Express error handler: body parser failures become 4xx envelopes and
+ * anything else a 500, instead of Express' HTML error page. It must keep all four
+ * parameters, or Express will not treat it as an error handler.
+ *
+ * @type {import("express").ErrorRequestHandler}
+ */
+export function errorHandler(err, req, res, next) {
+    if (err.type === "entity.parse.failed") {
+        console.warn("Malformed JSON body on", req.path);
+        return sendError(res, 400, "invalid_json", "Request body is not valid JSON");
+    }
+    if (err.type === "entity.too.large") {
+        return sendError(res, 413, "payload_too_large", "Request body is too large");
+    }
+    console.error(`Unhandled error on ${req.path}:`, err);
+    return sendError(res, 500, "internal_error", "Internal Server Error");
+}
@@ -0,0 +1,437 @@
+/***************************************
+ * indexer.js
+ * Follows TrafficLightZkOTP and zkOTPWallet events on a chain and stores them, so the
+ * API can serve the light's state and each wallet's history without clients querying
+ * the chain themselves.
+ *
+ * Events are matched by signature on any address (wallets deployed outside the factory
+ * are covered too); logs that do not decode with the exact indexed layout are skipped.
+ * Reorgs are handled by keeping the hash of the last block of each indexed range: when
+ * one is no longer canonical, events after the newest range that still is are deleted
+ * and indexed again.
+ *
+ * Every event is `{id, chainId, address, event, args, blockNumber, blockHash,
+ * transactionHash, logIndex}`. Ids sort in chain order, so they double as the cursor for
+ * paging newest first.
+ **************************************/
+import { ethers } from "ethers";
+
+import { INDEXED_EVENTS_ABI } from "./chain.js";
+
+const eventsInterface = new ethers.utils.Interface(INDEXED_EVENTS_ABI);
+const EVENT_TOPICS = Object.keys(eventsInterface.events).map((signature) => eventsInterface.getEventTopic(signature));
+
+/**
+ * Names of the indexed events.
+ */
+export const INDEXED_EVENTS = Object.values(eventsInterface.events).map((fragment) => fragment.name);
+
+function eventId(chainId, blockNumber, logIndex) {
+    // Zero-padded so ids compare as strings in chain order
+    return `${chainId}:${String(blockNumber).padStart(12, "0")}:${String(logIndex).padStart(6, "0")}`;
+}
+
+function newestFirst(a, b) {
+    return a.id < b.id ? 1 : -1;
+}
+
+/**
+ * Decodes a log into an indexed event.
+ *
+ * @param {string | number} chainId - The chain the log is from.
+ * @param {Object} log - An ethers log.
+ * @returns {Object | null} - The event, or null if the log is not one of INDEXED_EVENTS_ABI.
+ */
+export function decodeLog(chainId, log) {
+    let parsed;
+    try {
+        parsed = eventsInterface.parseLog(log);
+    } catch {
+        return null;
+    }
+    const args = Object.fromEntries(
+        parsed.eventFragment.inputs.map((input, i) => {
+            const value = parsed.args[i];
+            return [input.name, ethers.BigNumber.isBigNumber(value) ? value.toString() : value];
+        })
+    );
+    const blockNumber = Number(log.blockNumber);
+    const logIndex = Number(log.logIndex);
+    return {
+        id: eventId(chainId, blockNumber, logIndex),
+        chainId: String(chainId),
+        address: ethers.utils.getAddress(log.address),
+        event: parsed.name,
+        args,
+        blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex,
+    };
+}
+
+/**
+ * In-memory event store for local development and tests.
+ */
+export class MemoryEventStore {
+    constructor() {
+        this.events = new Map();
+        this.states = new Map();
+    }
+
+    /**
+     * @param {string} chainId - The chain.
+     * @returns {Promise<{blocks: Array<{number: number, hash: string}>} | null>} - The indexer's
+     *          progress on the chain, or null if it has not started.
+     */
+    async getState(chainId) {
+        const state = this.states.get(chainId);
+        return state ? structuredClone(state) : null;
+    }
+
+    /**
+     * @param {string} chainId - The chain.
+     * @param {{blocks: Array<{number: number, hash: string}>}} state - The indexer's progress.
+     */
+    async putState(chainId, state) {
+        this.states.set(chainId, structuredClone(state));
+    }
+
+    /**
+     * Stores events, replacing any with the same id.
+     *
+     * @param {Object[]} events
+     */
+    async addEvents(events) {
+        for (const event of events) {
+            this.events.set(event.id, structuredClone(event));
+        }
+    }
+
+    /**
+     * Deletes a chain's events above a block, after a reorg.
+     *
+     * @param {string} chainId - The chain.
+     * @param {number} blockNumber - The last block to keep.
+     */
+    async deleteAfter(chainId, blockNumber) {
+        for (const [id, event] of this.events) {
+            if (event.chainId === chainId && event.blockNumber > blockNumber) {
+                this.events.delete(id);
+            }
+        }
+    }
+
+    /**
+     * A contract's events, newest first.
+     *
+     * @param {Object} query
+     * @param {string} query.chainId - The chain.
+     * @param {string} query.address - The checksummed contract address.
+     * @param {string} [query.event] - Only events with this name.
+     * @param {string} [query.before] - Only events with a smaller id.
+     * @param {number} [query.limit=50] - Page size.
+     * @returns {Promise<Object[]>}
+     */
+    async list({ chainId, address, event, before, limit = 50 }) {
+        return [...this.events.values()]
+            .filter((e) => e.chainId === chainId && e.address === address
+                && (event == null || e.event === event) && (before == null || e.id < before))
+            .sort(newestFirst)
+            .slice(0, limit)
+            .map((e) => structuredClone(e));
+    }
+}
+
+/**
+ * SQLite event store using the `chain_events` and `indexer_state` tables.
+ */
+export class SqliteEventStore {
+    /**
+     * @param {import("better-sqlite3").Database} db - An open better-sqlite3 database.
+     */
+    constructor(db) {
+        this.db = db;
+        db.exec(`CREATE TABLE IF NOT EXISTS chain_events (
+            id TEXT PRIMARY KEY,
+            chain_id TEXT NOT NULL,
+            address TEXT NOT NULL,
+            event TEXT NOT NULL,
+            block_number INTEGER NOT NULL,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS chain_events_address ON chain_events (chain_id, address, id);
+        CREATE TABLE IF NOT EXISTS indexer_state (
+            chain_id TEXT PRIMARY KEY,
+            data TEXT NOT NULL
+        )`);
+        this.selectStateStmt = db.prepare("SELECT data FROM indexer_state WHERE chain_id = ?");
+        this.upsertStateStmt = db.prepare(`INSERT INTO indexer_state (chain_id, data) VALUES (?, ?)
+            ON CONFLICT(chain_id) DO UPDATE SET data = excluded.data`);
+        this.upsertEventStmt = db.prepare(`INSERT OR REPLACE INTO chain_events
+            (id, chain_id, address, event, block_number, data) VALUES (?, ?, ?, ?, ?, ?)`);
+        this.deleteAfterStmt = db.prepare("DELETE FROM chain_events WHERE chain_id = ? AND block_number > ?");
+        // A null event matches every event; the first page uses "~", which sorts after every id
+        this.pageStmt = db.prepare(`SELECT data FROM chain_events
+            WHERE chain_id = ? AND address = ? AND (? IS NULL OR event = ?) AND id < ?
+            ORDER BY id DESC LIMIT ?`);
+        this.addEventsTx = db.transaction((events) => {
+            for (const e of events) {
+                this.upsertEventStmt.run(e.id, e.chainId, e.address, e.event, e.blockNumber, JSON.stringify(e));
+            }
+        });
+    }
+
+    async getState(chainId) {
+        const row = this.selectStateStmt.get(chainId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async putState(chainId, state) {
+        this.upsertStateStmt.run(chainId, JSON.stringify(state));
+    }
+
+    async addEvents(events) {
+        this.addEventsTx(events);
+    }
+
+    async deleteAfter(chainId, blockNumber) {
+        this.deleteAfterStmt.run(chainId, blockNumber);
+    }
+
+    async list({ chainId, address, event, before, limit = 50 }) {
+        return this.pageStmt
+            .all(chainId, address, event ?? null, event ?? null, before ?? "~", limit)
+            .map((row) => JSON.parse(row.data));
+    }
+}
+
+/**
+ * Firestore event store using the `chain_events/{id}` and `indexer_state/{chainId}`
+ * collections. Listing uses the composite indexes in firestore.indexes.json.
+ */
+export class FirestoreEventStore {
+    /**
+     * @param {import("@google-cloud/firestore").Firestore} db - The Firestore client.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    async getState(chainId) {
+        const doc = await this.db.collection("indexer_state").doc(chainId).get();
+        return doc.exists ? doc.data() : null;
+    }
+
+    async putState(chainId, state) {
+        await this.db.collection("indexer_state").doc(chainId).set(state);
+    }
+
+    async addEvents(events) {
+        // A batch takes at most 500 writes
+        for (let i = 0; i < events.length; i += 500) {
+            const batch = this.db.batch();
+            for (const event of events.slice(i, i + 500)) {
+                batch.set(this.db.collection("chain_events").doc(event.id), event);
+            }
+            await batch.commit();
+        }
+    }
+
+    async deleteAfter(chainId, blockNumber) {
+        const query = this.db.collection("chain_events")
+            .where("chainId", "==", chainId)
+            .where("blockNumber", ">", blockNumber)
+            .limit(500);
+        for (;;) {
+            const snapshot = await query.get();
+            if (snapshot.empty) {
+                return;
+            }
+            const batch = this.db.batch();
+            snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+            await batch.commit();
+        }
+    }
+
+    async list({ chainId, address, event, before, limit = 50 }) {
+        let query = this.db.collection("chain_events")
+            .where("chainId", "==", chainId)
+            .where("address", "==", address);
+        if (event != null) {
+            query = query.where("event", "==", event);
+        }
+        if (before != null) {
+            query = query.where("id", "<", before);
+        }
+        const snapshot = await query.orderBy("id", "desc").limit(limit).get();
+        return snapshot.docs.map((doc) => doc.data());
+    }
+}
+
+/**
+ * Creates an indexer for one chain.
+ *
+ * @param {Object} options
+ * @param {string | number} options.chainId - The chain.
+ * @param {ethers.providers.Provider} options.provider - Its RPC provider.
+ * @param {MemoryEventStore | SqliteEventStore | FirestoreEventStore} options.store - Where events go.
+ * @param {number} [options.startBlock=0] - First block to index; the light's state is only
+ *        right if this is at or before its deployment.
+ * @param {number} [options.batchSize=2000] - Most blocks per eth_getLogs call.
+ * @param {number} [options.reorgDepth=64] - How many indexed ranges to remember the last
+ *        block hash of. A reorg deeper than all of them re-indexes from startBlock.
+ * @returns {Object} - The indexer.
+ */
+export function createChainIndexer(options) {
+    const { provider, store, startBlock = 0, batchSize = 2000, reorgDepth = 64 } = options;
+    const chainId = String(options.chainId);
+    let headBlock = null;
+    let timer = null;
+    let running = null;
+
+    /**
+     * Drops the ranges whose last block is no longer canonical, and their events.
+     */
+    async function unwind(blocks) {
+        let kept = blocks.length;
+        while (kept > 0) {
+            const { number, hash } = blocks[kept - 1];
+            const block = await provider.getBlock(number);
+            if (block?.hash === hash) {
+                break;
+            }
+            kept--;
+        }
+        if (kept === blocks.length) {
+            return blocks;
+        }
+
+        const lastGood = kept > 0 ? blocks[kept - 1].number : startBlock - 1;
+        if (kept === 0) {
+            console.error(`Reorg on chain ${chainId} is deeper than the tracked blocks; re-indexing from ${startBlock}.`);
+        } else {
+            console.warn(`Reorg on chain ${chainId}: dropping events after block ${lastGood}.`);
+        }
+        await store.deleteAfter(chainId, lastGood);
+        const remaining = blocks.slice(0, kept);
+        await store.putState(chainId, { blocks: remaining, updated_at: new Date().toISOString() });
+        return remaining;
+    }
+
+    /**
+     * Indexes the next range of blocks.
+     *
+     * @returns {Promise<boolean>} - True if there are more blocks to index.
+     */
+    async function step() {
+        const state = await store.getState(chainId);
+        const blocks = await unwind(state?.blocks ?? []);
+
+        headBlock = await provider.getBlockNumber();
+        const last = blocks.length ? blocks[blocks.length - 1].number : startBlock - 1;
+        if (headBlock <= last) {
+            return false;
+        }
+        const from = last + 1;
+        const to = Math.min(headBlock, from + batchSize - 1);
+
+        // Header first: if the chain reorganizes before getLogs, the next step finds this hash gone
+        const toBlock = await provider.getBlock(to);
+        if (!toBlock) {
+            return false;
+        }
+        const logs = await provider.getLogs({ fromBlock: from, toBlock: to, topics: [EVENT_TOPICS] });
+        if (logs.some((log) => log.blockNumber === to && log.blockHash !== toBlock.hash)) {
+            console.warn(`Chain ${chainId} reorganized while indexing block ${to}; retrying.`);
+            return false;
+        }
+
+        const events = logs.map((log) => decodeLog(chainId, log)).filter(Boolean);
+        await store.addEvents(events);
+        await store.putState(chainId, {
+            blocks: [...blocks, { number: to, hash: toBlock.hash }].slice(-reorgDepth),
+            updated_at: new Date().toISOString(),
+        });
+        if (events.length) {
+            console.info(`Indexed ${events.length} events from blocks ${from}-${to} on chain ${chainId}.`);
+        }
+        return to < headBlock;
+    }
+
+    return {
+        chainId,
+
+        /**
+         * Indexes up to the current head. Concurrent calls share one run.
+         *
+         * @returns {Promise<{indexedBlock: number | null, headBlock: number | null}>}
+         */
+        async sync() {
+            running ??= (async () => {
+                try {
+                    while (await step()) {
+                        // Catching up, one batch at a time
+                    }
+                } finally {
+                    running = null;
+                }
+            })();
+            await running;
+            return this.status();
+        },
+
+        /**
+         * Keeps syncing every `intervalMs`. Failures (e.g. an unreachable RPC) are logged
+         * and retried on the next tick.
+         *
+         * @param {number} [intervalMs=4000]
+         */
+        start(intervalMs = 4000) {
+            const tick = async () => {
+                try {
+                    await this.sync();
+                } catch (err) {
+                    console.error(`Indexer on chain ${chainId} failed:`, err.message);
+                }
+                if (timer) {
+                    timer = setTimeout(tick, intervalMs).unref();
+                }
+            };
+            timer = setTimeout(tick, 0).unref();
+        },
+
+        /**
+         * Stops the loop started by start().
+         */
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        },
+
+        /**
+         * The last indexed block and the head seen by the last sync.
+         *
+         * @returns {Promise<{indexedBlock: number | null, headBlock: number | null}>}
+         */
+        async status() {
+            const state = await store.getState(chainId);
+            const blocks = state?.blocks ?? [];
+            return { indexedBlock: blocks.length ? blocks[blocks.length - 1].number : null, headBlock };
+        },
+
+        /**
+         * A contract's indexed events on this chain, newest first.
+         *
+         * @param {Object} query
+         * @param {string} query.address - The contract address.
+         * @param {string} [query.event] - Only events with this name.
+         * @param {string} [query.before] - Id of the last event of the previous page.
+         * @param {number} [query.limit=50] - Page size.
+         * @returns {Promise<Object[]>}
+         */
+        async list({ address, event, before, limit = 50 }) {
+            return store.list({ chainId, address: ethers.utils.getAddress(address), event, before, limit });
+        },
+    };
+}
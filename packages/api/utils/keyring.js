@@ -0,0 +1,82 @@
+/***************************************
+ * keyring.js
+ * Versioned encryption keys for stored TOTP secrets.
+ **************************************/
+import fs from "fs";
+
+/**
+ * Key id given to the password in ENCRYPTION_WORD. Unversioned "IV:ciphertext:authTag"
+ * records were all written with it.
+ */
+export const LEGACY_KEY_ID = "legacy";
+
+const DEFAULT_ITERATIONS = 100000;
+
+let cachedKeyring = null;
+
+/**
+ * Loads the keyring from (in order of precedence):
+ *   - ENCRYPTION_KEYFILE: path to a JSON file
+ *       { "active": "k2", "algorithm": "aes-256-gcm", "iterations": 100000,
+ *         "keys": { "k1": "old password", "k2": "new password" } }
+ *   - ENCRYPTION_KEYS (JSON object of key id -> password) and ENCRYPTION_ACTIVE_KEY
+ *   - ENCRYPTION_WORD, registered under the "legacy" key id
+ *
+ * ENCRYPTION_WORD is always added as the "legacy" key (unless that id is taken) so
+ * unversioned records keep decrypting after a rotation.
+ *
+ * @returns {{active: string, algorithm: string | undefined, iterations: number, keys: Object<string, string>}}
+ */
+export function loadKeyring() {
+    let config = {};
+    if (process.env.ENCRYPTION_KEYFILE) {
+        config = JSON.parse(fs.readFileSync(process.env.ENCRYPTION_KEYFILE, "utf8"));
+    } else if (process.env.ENCRYPTION_KEYS) {
+        config = {
+            active: process.env.ENCRYPTION_ACTIVE_KEY,
+            keys: JSON.parse(process.env.ENCRYPTION_KEYS),
+        };
+    }
+
+    const keys = { ...(config.keys || {}) };
+    if (process.env.ENCRYPTION_WORD && !(LEGACY_KEY_ID in keys)) {
+        keys[LEGACY_KEY_ID] = process.env.ENCRYPTION_WORD;
+    }
+    for (const keyId of Object.keys(keys)) {
+        if (!/^[A-Za-z0-9._-]+$/.test(keyId)) {
+            throw new Error(`Invalid encryption key id '${keyId}' (allowed: letters, digits, '.', '_', '-')`);
+        }
+    }
+    if (Object.keys(keys).length === 0) {
+        throw new Error("No encryption keys configured (set ENCRYPTION_KEYFILE, ENCRYPTION_KEYS or ENCRYPTION_WORD)");
+    }
+
+    const active = config.active || process.env.ENCRYPTION_ACTIVE_KEY || LEGACY_KEY_ID;
+    if (!keys[active]) {
+        throw new Error(`Active encryption key '${active}' is not in the keyring`);
+    }
+
+    return {
+        active,
+        algorithm: config.algorithm || process.env.ENCRYPTION_ALGORITHM,
+        iterations: parseInt(config.iterations ?? process.env.ENCRYPTION_ITERATIONS ?? DEFAULT_ITERATIONS, 10),
+        keys,
+    };
+}
+
+/**
+ * Returns the process-wide keyring, loading it on first use.
+ */
+export function getKeyring() {
+    if (!cachedKeyring) {
+        cachedKeyring = loadKeyring();
+    }
+    return cachedKeyring;
+}
+
+/**
+ * Drops the cached keyring so the next call to getKeyring() reloads it from env/keyfile.
+ */
+export function resetKeyring() {
+    cachedKeyring = null;
+}
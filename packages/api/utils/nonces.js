@@ -0,0 +1,122 @@
+/***************************************
+ * nonces.js
+ * Allocates tx_nonce values per (chain id, contract) so proofs don't collide
+ * in the contracts' usedNonces mapping.
+ **************************************/
+import { ethers } from "ethers";
+
+import { USED_NONCES_ABI } from "./chain.js";
+
+/**
+ * Counter key for a contract on a chain.
+ */
+function nonceKey(chainId, contract) {
+    return `${chainId}_${contract.toLowerCase()}`;
+}
+
+/**
+ * In-memory nonce store for local development and tests.
+ */
+export class MemoryNonceStore {
+    constructor() {
+        this.counters = new Map();
+    }
+
+    /**
+     * Atomically reserves the next counter value for `key`.
+     *
+     * @param {string} key - The counter key.
+     * @returns {Promise<number>} - The reserved value (starting at 1).
+     */
+    async reserve(key) {
+        const next = (this.counters.get(key) ?? 0) + 1;
+        this.counters.set(key, next);
+        return next;
+    }
+}
+
+/**
+ * Firestore-backed nonce store using the `nonce_counters/{chainId}_{contract}` collection.
+ */
+export class FirestoreNonceStore {
+    /**
+     * @param {import("@google-cloud/firestore").Firestore} db - The Firestore client.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    async reserve(key) {
+        const ref = this.db.collection("nonce_counters").doc(key);
+        return this.db.runTransaction(async (tx) => {
+            const doc = await tx.get(ref);
+            const next = (doc.exists ? doc.data().last_nonce : 0) + 1;
+            tx.set(ref, { last_nonce: next, updated_at: new Date() });
+            return next;
+        });
+    }
+}
+
+/**
+ * SQLite-backed nonce store using the `nonce_counters` table.
+ */
+export class SqliteNonceStore {
+    /**
+     * @param {import("better-sqlite3").Database} db - An open better-sqlite3 database.
+     */
+    constructor(db) {
+        this.db = db;
+        db.exec(`CREATE TABLE IF NOT EXISTS nonce_counters (
+            key TEXT PRIMARY KEY,
+            last_nonce INTEGER NOT NULL
+        )`);
+        this.reserveStmt = db.prepare(`INSERT INTO nonce_counters (key, last_nonce) VALUES (?, 1)
+            ON CONFLICT(key) DO UPDATE SET last_nonce = last_nonce + 1
+            RETURNING last_nonce`);
+    }
+
+    async reserve(key) {
+        return this.reserveStmt.get(key).last_nonce;
+    }
+}
+
+/**
+ * Creates a nonce tracker.
+ *
+ * Nonces come from a counter per (chain id, contract). When an RPC provider is available
+ * for the chain, each candidate is also checked against the contract's `usedNonces`
+ * mapping and skipped if something else already consumed it.
+ *
+ * @param {MemoryNonceStore | SqliteNonceStore | FirestoreNonceStore} store - The counter store.
+ * @param {Object} [options]
+ * @param {(chainId: string) => ethers.providers.Provider | null} [options.getProvider] - RPC lookup.
+ * @param {number} [options.maxSkips=32] - How many used nonces to skip before giving up.
+ * @returns {{nextNonce: (chainId: string | number, contract: string) => Promise<string>}}
+ */
+export function createNonceTracker(store, options = {}) {
+    const { getProvider = () => null, maxSkips = 32 } = options;
+
+    return {
+        /**
+         * Reserves the next unused nonce for a contract.
+         *
+         * @param {string | number} chainId - The chain id.
+         * @param {string} contract - The contract that will consume the nonce.
+         * @returns {Promise<string>} - The nonce as a decimal string.
+         */
+        async nextNonce(chainId, contract) {
+            const key = nonceKey(chainId, contract);
+            const provider = getProvider(String(chainId));
+            const onChain = provider ? new ethers.Contract(contract, USED_NONCES_ABI, provider) : null;
+
+            for (let i = 0; i <= maxSkips; i++) {
+                const candidate = await store.reserve(key);
+                if (!onChain || !(await onChain.usedNonces(candidate))) {
+                    return candidate.toString();
+                }
+                console.warn(`Nonce ${candidate} already used on-chain for ${key}, skipping.`);
+            }
+            throw new Error(`Could not find an unused nonce for ${key} after ${maxSkips} attempts`);
+        },
+    };
+}
@@ -0,0 +1,289 @@
+/***************************************
+ * otpGuard.js
+ * Replay protection and brute-force lockout for OTP-consuming routes.
+ **************************************/
+
+/**
+ * In-memory guard store. State is lost on restart, so this is only meant for
+ * local development and tests.
+ */
+export class MemoryGuardStore {
+    constructor() {
+        this.usedOtps = new Map();
+        this.attempts = new Map();
+    }
+
+    /**
+     * Records that the OTP for (uid, generation, timeStep) has been consumed.
+     *
+     * @param {string} uid - The user id.
+     * @param {number} generation - Which of the user's secrets the OTP came from.
+     * @param {number} timeStep - The TOTP time step the OTP matched.
+     * @param {Date} expiresAt - When the record may be discarded.
+     * @returns {Promise<boolean>} - True if newly recorded, false if it was already used.
+     */
+    async markOtpUsed(uid, generation, timeStep, expiresAt) {
+        const now = Date.now();
+        for (const [key, expiry] of this.usedOtps) {
+            if (expiry <= now) this.usedOtps.delete(key);
+        }
+
+        const key = `${uid}_${generation}_${timeStep}`;
+        if (this.usedOtps.has(key)) {
+            return false;
+        }
+        this.usedOtps.set(key, expiresAt.getTime());
+        return true;
+    }
+
+    /**
+     * @param {string} key - The attempt counter key (e.g. "uid:abc" or "ip:1.2.3.4").
+     * @returns {Promise<{failures: number, lockedUntil: number}>}
+     */
+    async getAttempts(key) {
+        return this.attempts.get(key) ?? { failures: 0, lockedUntil: 0 };
+    }
+
+    /**
+     * Atomically applies `update` to the attempt record stored under `key`.
+     *
+     * @param {string} key - The attempt counter key.
+     * @param {(record: {failures: number, lockedUntil: number}) => {failures: number, lockedUntil: number}} update
+     * @returns {Promise<{failures: number, lockedUntil: number}>} - The updated record.
+     */
+    async updateAttempts(key, update) {
+        const next = update(await this.getAttempts(key));
+        this.attempts.set(key, next);
+        return next;
+    }
+
+    /**
+     * @param {string} key - The attempt counter key.
+     */
+    async resetAttempts(key) {
+        this.attempts.delete(key);
+    }
+}
+
+/**
+ * Firestore-backed guard store.
+ *
+ * Used codes live in `used_otps/{uid}_{generation}_{timeStep}` and attempt counters in
+ * `otp_attempts/{key}`. Both carry an `expires_at` field so a Firestore TTL
+ * policy can clean them up.
+ */
+export class FirestoreGuardStore {
+    /**
+     * @param {import("@google-cloud/firestore").Firestore} db - The Firestore client.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    async markOtpUsed(uid, generation, timeStep, expiresAt) {
+        try {
+            // create() fails if the document already exists, which makes the check-and-set atomic
+            await this.db.collection("used_otps").doc(`${uid}_${generation}_${timeStep}`).create({
+                uid,
+                secret_generation: generation,
+                time_step: timeStep,
+                used_at: new Date(),
+                expires_at: expiresAt,
+            });
+            return true;
+        } catch (err) {
+            // gRPC status 6 = ALREADY_EXISTS
+            if (err.code === 6) {
+                return false;
+            }
+            throw err;
+        }
+    }
+
+    async getAttempts(key) {
+        const doc = await this.attemptRef(key).get();
+        return doc.exists ? toAttemptRecord(doc.data()) : { failures: 0, lockedUntil: 0 };
+    }
+
+    async updateAttempts(key, update) {
+        const ref = this.attemptRef(key);
+        return this.db.runTransaction(async (tx) => {
+            const doc = await tx.get(ref);
+            const current = doc.exists ? toAttemptRecord(doc.data()) : { failures: 0, lockedUntil: 0 };
+            const next = update(current);
+            tx.set(ref, {
+                failures: next.failures,
+                locked_until: next.lockedUntil,
+                expires_at: new Date(Math.max(next.lockedUntil, Date.now()) + ATTEMPT_RECORD_TTL_MS),
+            });
+            return next;
+        });
+    }
+
+    async resetAttempts(key) {
+        await this.attemptRef(key).delete();
+    }
+
+    attemptRef(key) {
+        // Firestore document ids may not contain "/"
+        return this.db.collection("otp_attempts").doc(key.replace(/\//g, "_"));
+    }
+}
+
+/**
+ * SQLite-backed guard store using the `used_otps` and `otp_attempts` tables.
+ */
+export class SqliteGuardStore {
+    /**
+     * @param {import("better-sqlite3").Database} db - An open better-sqlite3 database.
+     */
+    constructor(db) {
+        this.db = db;
+        db.exec(`CREATE TABLE IF NOT EXISTS used_otps (
+            key TEXT PRIMARY KEY,
+            expires_at INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS otp_attempts (
+            key TEXT PRIMARY KEY,
+            failures INTEGER NOT NULL,
+            locked_until INTEGER NOT NULL
+        )`);
+        this.purgeUsedStmt = db.prepare("DELETE FROM used_otps WHERE expires_at <= ?");
+        this.insertUsedStmt = db.prepare("INSERT OR IGNORE INTO used_otps (key, expires_at) VALUES (?, ?)");
+        this.selectAttemptsStmt = db.prepare("SELECT failures, locked_until FROM otp_attempts WHERE key = ?");
+        this.upsertAttemptsStmt = db.prepare(`INSERT INTO otp_attempts (key, failures, locked_until) VALUES (?, ?, ?)
+            ON CONFLICT(key) DO UPDATE SET failures = excluded.failures, locked_until = excluded.locked_until`);
+        this.deleteAttemptsStmt = db.prepare("DELETE FROM otp_attempts WHERE key = ?");
+    }
+
+    async markOtpUsed(uid, generation, timeStep, expiresAt) {
+        this.purgeUsedStmt.run(Date.now());
+        return this.insertUsedStmt.run(`${uid}_${generation}_${timeStep}`, expiresAt.getTime()).changes === 1;
+    }
+
+    async getAttempts(key) {
+        const row = this.selectAttemptsStmt.get(key);
+        return row ? toAttemptRecord(row) : { failures: 0, lockedUntil: 0 };
+    }
+
+    async updateAttempts(key, update) {
+        // Read and write without awaiting in between, so the update cannot interleave with another
+        const row = this.selectAttemptsStmt.get(key);
+        const next = update(row ? toAttemptRecord(row) : { failures: 0, lockedUntil: 0 });
+        this.upsertAttemptsStmt.run(key, next.failures, next.lockedUntil);
+        return next;
+    }
+
+    async resetAttempts(key) {
+        this.deleteAttemptsStmt.run(key);
+    }
+}
+
+// Keep idle attempt counters around for a day after their last lockout
+const ATTEMPT_RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+function toAttemptRecord(data) {
+    return { failures: data.failures ?? 0, lockedUntil: data.locked_until ?? 0 };
+}
+
+/**
+ * Creates an OTP guard on top of a guard store.
+ *
+ * After `maxAttempts` consecutive failures a key is locked out for
+ * `baseLockoutMs`, doubling with every further failure up to `maxLockoutMs`.
+ *
+ * @param {MemoryGuardStore | SqliteGuardStore | FirestoreGuardStore} store - The backing store.
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts=5] - Failures allowed before the first lockout.
+ * @param {number} [options.baseLockoutMs=30000] - Length of the first lockout.
+ * @param {number} [options.maxLockoutMs=3600000] - Upper bound on a single lockout.
+ * @param {number} [options.driftWindow=1] - Steps of clock drift the caller accepts OTPs within.
+ * @param {number} [options.usedOtpTtlMs=300000] - Shortest time a used OTP is remembered.
+ * @returns {Object} - The guard API.
+ */
+export function createOtpGuard(store, options = {}) {
+    const {
+        maxAttempts = 5,
+        baseLockoutMs = 30000,
+        maxLockoutMs = 60 * 60 * 1000,
+        driftWindow = 1,
+        usedOtpTtlMs = 5 * 60 * 1000,
+    } = options;
+
+    return {
+        /**
+         * Returns the latest lockout expiry among `keys`, or 0 if none of them is locked.
+         *
+         * @param {string[]} keys - Attempt counter keys to check.
+         * @returns {Promise<number>} - Epoch milliseconds until which the caller is locked out.
+         */
+        async lockedUntil(keys) {
+            const now = Date.now();
+            const records = await Promise.all(keys.map((key) => store.getAttempts(key)));
+            const until = Math.max(0, ...records.map((r) => r.lockedUntil));
+            return until > now ? until : 0;
+        },
+
+        /**
+         * Counts a failed OTP attempt against every key and applies lockouts.
+         *
+         * @param {string[]} keys - Attempt counter keys to charge.
+         */
+        async recordFailure(keys) {
+            await Promise.all(keys.map((key) => store.updateAttempts(key, ({ failures, lockedUntil }) => {
+                const next = failures + 1;
+                if (next < maxAttempts) {
+                    return { failures: next, lockedUntil };
+                }
+                const lockoutMs = Math.min(baseLockoutMs * 2 ** (next - maxAttempts), maxLockoutMs);
+                return { failures: next, lockedUntil: Date.now() + lockoutMs };
+            })));
+        },
+
+        /**
+         * Clears the failure counters for `keys` after a successful OTP.
+         *
+         * @param {string[]} keys - Attempt counter keys to reset.
+         */
+        async recordSuccess(keys) {
+            await Promise.all(keys.map((key) => store.resetAttempts(key)));
+        },
+
+        /**
+         * Marks the OTP for (uid, generation, timeStep) as used. It is remembered until a
+         * step after the drift window stops accepting it, which for long periods is well
+         * past `usedOtpTtlMs`.
+         *
+         * Each of a user's secrets has its own ledger, so during a rotation the old and the
+         * new secret can both be used in the same time step.
+         *
+         * @param {string} uid - The user id.
+         * @param {number} timeStep - The time step the OTP matched.
+         * @param {Object} [secret]
+         * @param {number} [secret.generation=0] - Rotations before the secret (0 for the enrolled one).
+         * @param {number} [secret.period=30] - The secret's TOTP period in seconds.
+         * @returns {Promise<boolean>} - False if the OTP had already been used.
+         */
+        async consumeOtp(uid, timeStep, { generation = 0, period = 30 } = {}) {
+            const acceptedUntil = (timeStep + driftWindow + 1) * period * 1000;
+            const expiresAt = Math.max(acceptedUntil + period * 1000, Date.now() + usedOtpTtlMs);
+            return store.markOtpUsed(uid, generation, timeStep, new Date(expiresAt));
+        },
+
+        /**
+         * Summarises the lockout state of a user for the `/user` route.
+         *
+         * @param {string} uid - The user id.
+         * @returns {Promise<{failed_attempts: number, locked: boolean, locked_until: string | null}>}
+         */
+        async status(uid) {
+            const { failures, lockedUntil } = await store.getAttempts(`uid:${uid}`);
+            const locked = lockedUntil > Date.now();
+            return {
+                failed_attempts: failures,
+                locked,
+                locked_until: locked ? new Date(lockedUntil).toISOString() : null,
+            };
+        },
+    };
+}
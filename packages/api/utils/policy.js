@@ -0,0 +1,250 @@
+/***************************************
+ * policy.js
+ * Per-user transaction policies, checked against the action(s) of a proof request before
+ * the proof is made. Pure functions with no storage behind them: app.js keeps the policy
+ * and the day's spending on the user document and passes them in.
+ *
+ * A policy has four rules; a rule that is null (or 0 for the cooldown) does not apply:
+ *   - dailyValueLimit: most wei the proofs of one UTC day may send, on each chain
+ *   - allowedContracts: the only addresses an action may call
+ *   - deniedSelectors: function selectors no action may call
+ *   - secretChangeCooldown: seconds after a secret change during which no proof is issued
+ **************************************/
+import { ethers } from "ethers";
+
+/**
+ * Most entries in allowedContracts or deniedSelectors.
+ */
+export const MAX_POLICY_ENTRIES = 100;
+
+/**
+ * Longest secretChangeCooldown, in seconds (30 days).
+ */
+export const MAX_SECRET_CHANGE_COOLDOWN = 30 * 24 * 60 * 60;
+
+/**
+ * Error raised for a policy that cannot be stored. `code` is "policy_invalid".
+ */
+export class PolicyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "PolicyError";
+        this.code = "policy_invalid";
+    }
+}
+
+/**
+ * Checks a policy and brings it into its stored form: all four rules present, amounts as
+ * decimal strings, addresses checksummed, selectors lowercase, no duplicates.
+ *
+ * @param {Object} input
+ * @param {string | number} [input.dailyValueLimit] - Wei per chain and UTC day.
+ * @param {string[]} [input.allowedContracts] - Addresses actions may call.
+ * @param {string[]} [input.deniedSelectors] - 4-byte selectors, e.g. "0x095ea7b3".
+ * @param {number} [input.secretChangeCooldown] - Seconds.
+ * @returns {{dailyValueLimit: string | null, allowedContracts: string[] | null, deniedSelectors: string[] | null, secretChangeCooldown: number}}
+ * @throws {PolicyError} - If a rule is malformed.
+ */
+export function normalizePolicy(input) {
+    const { dailyValueLimit = null, allowedContracts = null, deniedSelectors = null, secretChangeCooldown = 0 } = input;
+
+    let limit = null;
+    if (dailyValueLimit != null) {
+        try {
+            limit = ethers.BigNumber.from(dailyValueLimit);
+        } catch {
+            throw new PolicyError("dailyValueLimit must be an amount of wei");
+        }
+        if (limit.isNegative()) {
+            throw new PolicyError("dailyValueLimit must not be negative");
+        }
+    }
+
+    const list = (name, entries, normalize) => {
+        if (entries == null) {
+            return null;
+        }
+        if (!Array.isArray(entries) || entries.length > MAX_POLICY_ENTRIES) {
+            throw new PolicyError(`${name} must be a list of at most ${MAX_POLICY_ENTRIES} entries`);
+        }
+        return [...new Set(entries.map(normalize))];
+    };
+    const contracts = list("allowedContracts", allowedContracts, (address) => {
+        if (typeof address !== "string" || !ethers.utils.isAddress(address)) {
+            throw new PolicyError(`allowedContracts: ${address} is not an address`);
+        }
+        return ethers.utils.getAddress(address);
+    });
+    const selectors = list("deniedSelectors", deniedSelectors, (selector) => {
+        if (typeof selector !== "string" || !/^0x[0-9a-fA-F]{8}$/.test(selector)) {
+            throw new PolicyError(`deniedSelectors: ${selector} is not a 4-byte selector`);
+        }
+        return selector.toLowerCase();
+    });
+
+    if (!Number.isInteger(secretChangeCooldown) || secretChangeCooldown < 0
+        || secretChangeCooldown > MAX_SECRET_CHANGE_COOLDOWN) {
+        throw new PolicyError(`secretChangeCooldown must be 0 to ${MAX_SECRET_CHANGE_COOLDOWN} seconds`);
+    }
+
+    return {
+        dailyValueLimit: limit?.toString() ?? null,
+        allowedContracts: contracts,
+        deniedSelectors: selectors,
+        secretChangeCooldown,
+    };
+}
+
+/**
+ * The UTC day a moment falls in, which daily limits are counted by.
+ *
+ * @param {number} [now=Date.now()] - Epoch milliseconds.
+ * @returns {string} - "YYYY-MM-DD".
+ */
+export function utcDay(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Wei spent on a chain today according to a spending record. A record from an earlier
+ * day counts as nothing spent.
+ *
+ * @param {{day: string, chains: Object<string, string>} | null} spending - The stored record.
+ * @param {string | number} chainId - The chain.
+ * @param {number} [now=Date.now()] - Epoch milliseconds.
+ * @returns {bigint}
+ */
+export function spentToday(spending, chainId, now = Date.now()) {
+    if (!spending || spending.day !== utcDay(now)) {
+        return 0n;
+    }
+    return BigInt(spending.chains?.[String(chainId)] ?? 0);
+}
+
+/**
+ * A spending record with `amount` more wei spent on a chain today.
+ *
+ * @param {{day: string, chains: Object<string, string>} | null} spending - The stored record.
+ * @param {string | number} chainId - The chain.
+ * @param {bigint} amount - Wei to add.
+ * @param {number} [now=Date.now()] - Epoch milliseconds.
+ * @returns {{day: string, chains: Object<string, string>}} - The new record (the old one is not modified).
+ */
+export function addSpending(spending, chainId, amount, now = Date.now()) {
+    const day = utcDay(now);
+    const chains = spending?.day === day ? { ...spending.chains } : {};
+    chains[String(chainId)] = (spentToday(spending, chainId, now) + amount).toString();
+    return { day, chains };
+}
+
+/**
+ * A spending record with `amount` wei given back on a chain, for value reserved at
+ * `reservedAt` by a proof that was never issued. Value reserved on an earlier UTC day
+ * has already been forgotten, so nothing is given back for it.
+ *
+ * @param {{day: string, chains: Object<string, string>} | null} spending - The stored record.
+ * @param {string | number} chainId - The chain.
+ * @param {bigint} amount - Wei to give back.
+ * @param {number} reservedAt - Epoch milliseconds of the reservation.
+ * @param {number} [now=Date.now()] - Epoch milliseconds.
+ * @returns {{day: string, chains: Object<string, string>} | null} - The new record, or null
+ *          if there is nothing to give back.
+ */
+export function refundSpending(spending, chainId, amount, reservedAt, now = Date.now()) {
+    const spent = spentToday(spending, chainId, now);
+    if (utcDay(reservedAt) !== utcDay(now) || spent === 0n) {
+        return null;
+    }
+    const refund = amount < spent ? amount : spent;
+    return addSpending(spending, chainId, -refund, now);
+}
+
+/**
+ * Total wei a set of actions sends.
+ *
+ * @param {Array<{value: string | number | bigint}>} actions
+ * @returns {bigint}
+ */
+export function totalValue(actions) {
+    return actions.reduce((sum, action) => sum + BigInt(String(action.value ?? 0)), 0n);
+}
+
+/**
+ * The function selector an action calls, or null for plain transfers and calldata
+ * shorter than 4 bytes.
+ *
+ * @param {string} data - 0x-prefixed calldata.
+ * @returns {string | null} - Lowercase "0x" + 8 hex digits.
+ */
+export function selectorOf(data) {
+    return data && data.length >= 10 ? data.slice(0, 10).toLowerCase() : null;
+}
+
+/**
+ * Checks the actions of a proof request against a policy. Every rule is checked, so the
+ * caller can explain all the reasons at once.
+ *
+ * @param {Object | null} policy - A policy from normalizePolicy(), or null for none.
+ * @param {{actions: Array<{to: string, value: string | number, data: string}>, chainId: string | number}} request
+ * @param {Object} [context]
+ * @param {number} [context.now=Date.now()] - Epoch milliseconds.
+ * @param {bigint} [context.spent=0n] - Wei already spent today on the request's chain.
+ * @param {number | null} [context.lastSecretChange=null] - Epoch milliseconds of the latest secret change.
+ * @returns {Array<{rule: string, message: string}>} - The violations, each with rule-specific
+ *          details; empty if the request is allowed.
+ */
+export function evaluatePolicy(policy, request, context = {}) {
+    if (!policy) {
+        return [];
+    }
+    const { now = Date.now(), spent = 0n, lastSecretChange = null } = context;
+    const violations = [];
+
+    if (policy.secretChangeCooldown > 0 && lastSecretChange != null) {
+        const until = lastSecretChange + policy.secretChangeCooldown * 1000;
+        if (now < until) {
+            violations.push({
+                rule: "secretChangeCooldown",
+                message: `Proofs are paused until ${new Date(until).toISOString()} after a secret change`,
+                until: new Date(until).toISOString(),
+            });
+        }
+    }
+
+    request.actions.forEach((action, index) => {
+        if (policy.allowedContracts && !policy.allowedContracts.includes(ethers.utils.getAddress(action.to))) {
+            violations.push({
+                rule: "allowedContracts",
+                message: `${ethers.utils.getAddress(action.to)} is not an allowed contract`,
+                action: index,
+                to: ethers.utils.getAddress(action.to),
+            });
+        }
+        const selector = selectorOf(action.data);
+        if (selector && policy.deniedSelectors?.includes(selector)) {
+            violations.push({
+                rule: "deniedSelectors",
+                message: `Function selector ${selector} is denied`,
+                action: index,
+                selector,
+            });
+        }
+    });
+
+    if (policy.dailyValueLimit != null) {
+        const value = totalValue(request.actions);
+        const limit = BigInt(policy.dailyValueLimit);
+        if (value > 0n && spent + value > limit) {
+            violations.push({
+                rule: "dailyValueLimit",
+                message: `Sending ${value} wei would exceed the daily limit of ${limit} wei on chain ${request.chainId}`,
+                chainId: String(request.chainId),
+                limit: limit.toString(),
+                spent: spent.toString(),
+                requested: value.toString(),
+                resets_at: `${utcDay(now + 24 * 60 * 60 * 1000)}T00:00:00.000Z`,
+            });
+        }
+    }
+    return violations;
+}
@@ -0,0 +1,249 @@
+/***************************************
+ * proofPool.js
+ * A bounded pool of proof workers and the proof job registry on top of it.
+ **************************************/
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Worker } from "worker_threads";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Error raised when the pool cannot take more work. `code` is "queue_full".
+ */
+export class ProofQueueFullError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ProofQueueFullError";
+        this.code = "queue_full";
+    }
+}
+
+/**
+ * A fixed-size pool of worker threads, each proving one job at a time.
+ * Jobs beyond the pool size wait in a FIFO queue of at most `maxQueue` entries.
+ */
+export class ProofWorkerPool {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.size=1] - Number of worker threads.
+     * @param {number} [options.maxQueue=50] - Jobs allowed to wait for a free worker.
+     * @param {string} [options.workerScript] - Path of the worker entry point.
+     * @param {() => Object} [options.workerData] - Returns the workerData for each new worker,
+     *        e.g. the circuit to warm up.
+     */
+    constructor(options = {}) {
+        this.size = options.size ?? 1;
+        this.maxQueue = options.maxQueue ?? 50;
+        this.workerScript = options.workerScript ?? path.join(__dirname, "proofWorker.js");
+        this.workerData = options.workerData ?? (() => undefined);
+        this.workers = [];
+        this.queue = [];
+        this.nextTaskId = 1;
+        this.failedStarts = 0;
+        this.started = false;
+        this.closed = false;
+    }
+
+    /**
+     * Spawns the workers. Each one warms its circuit artifacts before taking jobs.
+     * The first run() starts a pool that was not started yet; later calls do nothing.
+     */
+    start() {
+        if (this.started) {
+            return;
+        }
+        this.started = true;
+        for (let i = 0; i < this.size; i++) {
+            this.spawn();
+        }
+        console.info(`Proof worker pool started with ${this.size} worker(s).`);
+    }
+
+    spawn() {
+        const slot = { worker: new Worker(this.workerScript, { workerData: this.workerData() }), ready: false, task: null };
+        this.workers.push(slot);
+
+        slot.worker.on("message", (msg) => {
+            if (msg.type === "ready") {
+                slot.ready = true;
+                this.failedStarts = 0;
+                this.dispatch();
+            } else if (msg.type === "error") {
+                console.error("Proof worker error:", msg.error);
+            } else if (msg.type === "result" && slot.task && slot.task.id === msg.id) {
+                const { resolve, reject } = slot.task;
+                slot.task = null;
+                if (msg.error) {
+                    reject(new Error(msg.error));
+                } else {
+                    resolve(msg.proof);
+                }
+                this.dispatch();
+            }
+        });
+
+        slot.worker.on("error", (err) => {
+            console.error("Proof worker crashed:", err);
+        });
+
+        slot.worker.on("exit", (code) => {
+            this.workers = this.workers.filter((s) => s !== slot);
+            if (slot.task) {
+                slot.task.reject(new Error(`Proof worker exited with code ${code}`));
+            }
+            // Keep the pool at full size unless we are shutting down,
+            // backing off while workers keep dying during warm-up
+            if (!this.closed) {
+                if (!slot.ready) {
+                    this.failedStarts++;
+                }
+                const delay = Math.min(1000 * 2 ** this.failedStarts, 60000);
+                setTimeout(() => this.spawn(), delay).unref();
+            }
+        });
+    }
+
+    /**
+     * Queues a proof and resolves with the generateZKProof() result.
+     *
+     * @param {Object} input - The generateZKProof() input.
+     * @param {() => void} [onStart] - Called when a worker picks the job up.
+     * @returns {Promise<Object>} - The proof object.
+     * @throws {ProofQueueFullError} - If the queue is at capacity.
+     */
+    run(input, onStart) {
+        this.start();
+        if (this.queue.length >= this.maxQueue) {
+            return Promise.reject(new ProofQueueFullError("Proof queue is full, try again later"));
+        }
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextTaskId++, input, onStart, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        for (const slot of this.workers) {
+            if (this.queue.length === 0) {
+                return;
+            }
+            if (slot.ready && !slot.task) {
+                slot.task = this.queue.shift();
+                slot.task.onStart?.();
+                slot.worker.postMessage({ id: slot.task.id, input: slot.task.input });
+            }
+        }
+    }
+
+    /**
+     * @returns {{workers: number, busy: number, queued: number}}
+     */
+    stats() {
+        return {
+            workers: this.workers.length,
+            busy: this.workers.filter((s) => s.task).length,
+            queued: this.queue.length,
+        };
+    }
+
+    /**
+     * Terminates all workers. Queued jobs are rejected.
+     */
+    async close() {
+        this.closed = true;
+        for (const task of this.queue.splice(0)) {
+            task.reject(new Error("Proof worker pool closed"));
+        }
+        await Promise.all(this.workers.map((slot) => slot.worker.terminate()));
+    }
+}
+
+/**
+ * Creates the proof job registry: jobs are submitted to the pool and tracked by id
+ * so clients can poll for the result.
+ *
+ * Jobs live in memory on the instance that accepted them and are dropped `ttlMs`
+ * after they finish.
+ *
+ * @param {ProofWorkerPool} pool - The worker pool.
+ * @param {Object} [options]
+ * @param {number} [options.maxPerUser=2] - Unfinished jobs allowed per uid.
+ * @param {number} [options.ttlMs=600000] - How long finished jobs stay pollable.
+ */
+export function createProofJobs(pool, options = {}) {
+    const { maxPerUser = 2, ttlMs = 10 * 60 * 1000 } = options;
+    const jobs = new Map();
+
+    function pendingFor(uid) {
+        let count = 0;
+        for (const job of jobs.values()) {
+            if (job.uid === uid && (job.status === "queued" || job.status === "running")) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    return {
+        /**
+         * Submits a proof job.
+         *
+         * @param {string} uid - The owner of the job.
+         * @param {Object} input - The generateZKProof() input.
+         * @param {Object} [meta] - Extra fields returned with the result (timeStep, txNonce, ...).
+         * @param {(error: Error) => void} [onFailed] - Called if proving fails after the job was accepted.
+         * @returns {Object} - The job record.
+         * @throws {ProofQueueFullError} - If the user or the pool is at capacity.
+         */
+        submit(uid, input, meta = {}, onFailed) {
+            if (pendingFor(uid) >= maxPerUser) {
+                throw new ProofQueueFullError(`At most ${maxPerUser} proof jobs may be pending per user`);
+            }
+            if (pool.stats().queued >= pool.maxQueue) {
+                throw new ProofQueueFullError("Proof queue is full, try again later");
+            }
+
+            const job = {
+                id: crypto.randomUUID(),
+                uid,
+                status: "queued",
+                meta,
+                created_at: new Date().toISOString(),
+                finished_at: null,
+                result: null,
+                error: null,
+            };
+            jobs.set(job.id, job);
+
+            pool.run(input, () => {
+                job.status = "running";
+            }).then(
+                (proof) => {
+                    job.status = "succeeded";
+                    job.result = proof;
+                },
+                (err) => {
+                    job.status = "failed";
+                    job.error = err.message;
+                    onFailed?.(err);
+                }
+            ).finally(() => {
+                job.finished_at = new Date().toISOString();
+                setTimeout(() => jobs.delete(job.id), ttlMs).unref();
+            });
+
+            return job;
+        },
+
+        /**
+         * @param {string} id - The job id.
+         * @returns {Object | null} - The job record, or null if unknown or expired.
+         */
+        get(id) {
+            return jobs.get(id) ?? null;
+        },
+    };
+}
@@ -0,0 +1,37 @@
+/***************************************
+ * proofWorker.js
+ * worker_threads entry point that runs generateZKProof off the main event loop.
+ **************************************/
+import threads from "worker_threads";
+
+// snarkjs -> ffjavascript -> "web-worker" treats every non-main thread as one of its own
+// workers and crashes on load. Present this thread as a main thread so the library can
+// spawn its helper threads as usual. This has to happen before snarkjs is imported.
+threads.isMainThread = true;
+const { generateZKProof, warmProver } = await import("./utils.js");
+const { loadArtifactSet } = await import("./circuits.js");
+
+const { parentPort, workerData } = threads;
+
+// Load the default circuit's artifacts and Poseidon before accepting work
+try {
+    if (workerData?.circuit) {
+        loadArtifactSet(workerData.circuit);
+    }
+    await warmProver();
+    parentPort.postMessage({ type: "ready" });
+} catch (err) {
+    parentPort.postMessage({ type: "error", error: `Prover warm-up failed: ${err.message}` });
+    process.exit(1);
+}
+
+parentPort.on("message", async ({ id, input }) => {
+    try {
+        // Each job names its artifact set, so sets added by a manifest reload need no restart
+        const { circuit, ...proofInput } = input;
+        const proof = await generateZKProof(proofInput, loadArtifactSet(circuit));
+        parentPort.postMessage({ type: "result", id, proof });
+    } catch (err) {
+        parentPort.postMessage({ type: "result", id, error: err.message });
+    }
+});
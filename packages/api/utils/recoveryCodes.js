@@ -0,0 +1,106 @@
+/***************************************
+ * recoveryCodes.js
+ * Single-use recovery codes that stand in for a TOTP when the authenticator is lost.
+ *
+ * Codes are 16 random digits, shown as "1234-5678-9012-3456". Only their Poseidon
+ * hashes are stored, salted per set, so a code can later be proven in-circuit the
+ * same way the secret is:
+ *   hash = Poseidon(code, salt)
+ **************************************/
+import crypto from "crypto";
+
+import { computePoseidonHash } from "./utils.js";
+
+const CODE_DIGITS = 16;
+
+/**
+ * Codes issued per set.
+ */
+export const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Parses a recovery code as typed by the user (dashes and spaces are ignored).
+ *
+ * @param {string} code - The recovery code.
+ * @returns {bigint | null} - The code as a field element, or null if it is malformed.
+ */
+export function recoveryCodeToField(code) {
+    const digits = String(code ?? "").replace(/[\s-]/g, "");
+    if (digits.length !== CODE_DIGITS || !/^\d+$/.test(digits)) {
+        return null;
+    }
+    return BigInt(digits);
+}
+
+function randomCode() {
+    let digits = "";
+    while (digits.length < CODE_DIGITS) {
+        // Rejection sampling keeps every digit uniform
+        const byte = crypto.randomBytes(1)[0];
+        if (byte < 250) {
+            digits += String(byte % 10);
+        }
+    }
+    return digits.match(/\d{4}/g).join("-");
+}
+
+/**
+ * Generates a new set of recovery codes.
+ *
+ * @param {number} [count=RECOVERY_CODE_COUNT] - How many codes to issue.
+ * @returns {Promise<{codes: string[], record: Object}>} - The plaintext codes, to show the
+ *          user once, and the record to store on the user document as `recovery_codes`.
+ */
+export async function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    // 31 bytes keeps the salt below the BN254 field modulus
+    const salt = BigInt("0x" + crypto.randomBytes(31).toString("hex")).toString();
+    const codes = Array.from({ length: count }, randomCode);
+    const hashes = await Promise.all(codes.map((code) => computePoseidonHash(recoveryCodeToField(code), salt)));
+
+    return {
+        codes,
+        record: {
+            salt,
+            codes: hashes.map((hash) => ({ hash, used_at: null })),
+            generated_at: new Date().toISOString(),
+        },
+    };
+}
+
+/**
+ * Finds the unused code in a stored set that matches `code`.
+ *
+ * @param {Object | undefined} record - The user's `recovery_codes` record.
+ * @param {string} code - The recovery code as typed by the user.
+ * @returns {Promise<number>} - Index of the matching code, or -1.
+ */
+export async function matchRecoveryCode(record, code) {
+    const field = recoveryCodeToField(code);
+    if (!record || field === null) {
+        return -1;
+    }
+    const hash = await computePoseidonHash(field, record.salt);
+    return record.codes.findIndex((entry) => entry.used_at == null && entry.hash === hash);
+}
+
+/**
+ * Returns a copy of the record with the code at `index` marked as used.
+ *
+ * @param {Object} record - The user's `recovery_codes` record.
+ * @param {number} index - Index of the code to burn.
+ * @returns {Object} - The updated record.
+ */
+export function burnRecoveryCode(record, index) {
+    return {
+        ...record,
+        codes: record.codes.map((entry, i) => (i === index ? { ...entry, used_at: new Date().toISOString() } : entry)),
+    };
+}
+
+/**
+ * @param {Object | undefined} record - The user's `recovery_codes` record.
+ * @returns {number} - How many codes are still unused.
+ */
+export function remainingRecoveryCodes(record) {
+    return record ? record.codes.filter((entry) => entry.used_at == null).length : 0;
+}
@@ -0,0 +1,330 @@
+/***************************************
+ * relayer.js
+ * Submits zkOTPWallet.execute, TrafficLightZkOTP.switchLight and wallet deployment
+ * transactions from a server-held key, so users don't need gas or a wallet of their own.
+ **************************************/
+import { ethers } from "ethers";
+
+import { TRAFFIC_LIGHT_ABI, ZKOTP_WALLET_ABI, ZKOTP_WALLET_FACTORY_ABI } from "./chain.js";
+import { normalizeProof, toSolidityCallData } from "./verifier.js";
+
+// Error(string) and Panic(uint256) selectors
+const ERROR_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+/**
+ * Error raised when a relay cannot be submitted. `code` is one of:
+ *   - "not_configured": no relayer key or no RPC for the chain
+ *   - "proof_malformed": the proof is not in a recognized shape
+ *   - "reverted": the call reverts; `revertReason` holds the decoded reason
+ */
+export class RelayerError extends Error {
+    constructor(code, message, revertReason = null) {
+        super(message);
+        this.name = "RelayerError";
+        this.code = code;
+        this.revertReason = revertReason;
+    }
+}
+
+/**
+ * Extracts the revert reason from an ethers error or from raw revert data,
+ * e.g. "Nonce already used" or "Action hash mismatch".
+ *
+ * @param {Error | string} errorOrData - The error thrown by ethers, or the revert data.
+ * @returns {string | null} - The reason, or null if none could be found.
+ */
+export function decodeRevertReason(errorOrData) {
+    let reason = null;
+    walkError(errorOrData, (value) => {
+        if (typeof value === "string" && value.startsWith(ERROR_SELECTOR)) {
+            reason = ethers.utils.defaultAbiCoder.decode(["string"], "0x" + value.slice(10))[0];
+        } else if (typeof value === "string" && value.startsWith(PANIC_SELECTOR)) {
+            const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], "0x" + value.slice(10));
+            reason = `Panic(0x${code.toHexString().slice(2).padStart(2, "0")})`;
+        }
+        return reason !== null;
+    });
+    if (reason !== null) {
+        return reason;
+    }
+
+    // Some nodes only put the reason in the message
+    walkError(errorOrData, (value) => {
+        const match = typeof value === "string" && value.match(/execution reverted:\s*(.+)$/);
+        if (match) {
+            reason = match[1];
+        }
+        return reason !== null;
+    });
+    return reason;
+}
+
+/**
+ * Visits the strings of an ethers error, the errors it wraps and the JSON-RPC body
+ * it carries, until `visit` returns true.
+ */
+function walkError(value, visit, depth = 0) {
+    if (typeof value === "string") {
+        return visit(value);
+    }
+    if (!value || typeof value !== "object" || depth > 5) {
+        return false;
+    }
+    for (const key of ["data", "result", "reason", "message", "error"]) {
+        if (walkError(value[key], visit, depth + 1)) {
+            return true;
+        }
+    }
+    if (typeof value.body === "string") {
+        try {
+            return walkError(JSON.parse(value.body), visit, depth + 1);
+        } catch {
+            return false;
+        }
+    }
+    return false;
+}
+
+/**
+ * Converts a submitted proof into contract arguments.
+ */
+function proofCallData(proof) {
+    try {
+        return toSolidityCallData(normalizeProof(proof));
+    } catch (err) {
+        throw new RelayerError("proof_malformed", err.message);
+    }
+}
+
+/**
+ * Creates a relayer that signs with `privateKey` on every chain `getProvider` knows.
+ *
+ * Each submission is simulated with estimateGas first, so calls that would revert are
+ * rejected with their reason before any gas is spent. Sends from the relayer key are
+ * serialized per chain to keep its account nonces in order. Submitted transactions are
+ * tracked in memory until `ttlMs` after they are mined.
+ *
+ * @param {Object} options
+ * @param {string} options.privateKey - The relayer's signing key (hex).
+ * @param {(chainId: string) => ethers.providers.Provider | null} options.getProvider - RPC lookup.
+ * @param {number} [options.confirmations=1] - Confirmations to wait for.
+ * @param {number} [options.waitMs=30000] - How long a submit call waits for the receipt before returning "pending".
+ * @param {number} [options.gasBufferPercent=20] - Headroom added to the gas estimate.
+ * @param {number} [options.ttlMs=3600000] - How long mined transactions stay queryable.
+ */
+export function createRelayer(options) {
+    const {
+        privateKey,
+        getProvider,
+        confirmations = 1,
+        waitMs = 30000,
+        gasBufferPercent = 20,
+        ttlMs = 60 * 60 * 1000,
+    } = options;
+    const address = privateKey ? new ethers.Wallet(privateKey).address : null;
+    const signers = new Map();
+    const sendQueues = new Map();
+    const transactions = new Map();
+
+    function signerFor(chainId) {
+        if (!privateKey) {
+            throw new RelayerError("not_configured", "No relayer key is configured");
+        }
+        const key = String(chainId);
+        if (!signers.has(key)) {
+            const provider = getProvider(key);
+            if (!provider) {
+                throw new RelayerError("not_configured", `No RPC is configured for chain ${key}`);
+            }
+            signers.set(key, new ethers.Wallet(privateKey, provider));
+        }
+        return signers.get(key);
+    }
+
+    // Runs `fn` after every earlier send on the same chain has been handed to the node
+    function serialize(chainId, fn) {
+        const key = String(chainId);
+        const next = (sendQueues.get(key) ?? Promise.resolve()).then(fn);
+        sendQueues.set(key, next.catch(() => {}));
+        return next;
+    }
+
+    async function reasonForFailedReceipt(signer, tx, receipt) {
+        try {
+            // Replay the call at the block it was mined in to recover the reason
+            const result = await signer.provider.call(
+                { from: tx.from, to: tx.to, data: tx.data, value: tx.value },
+                receipt.blockNumber
+            );
+            return decodeRevertReason(result);
+        } catch (err) {
+            return decodeRevertReason(err);
+        }
+    }
+
+    async function submit(kind, chainId, contract, populate, uid) {
+        const signer = signerFor(chainId);
+
+        const tx = await serialize(chainId, async () => {
+            const request = await populate(signer);
+            let gasLimit;
+            try {
+                gasLimit = await signer.estimateGas(request);
+            } catch (err) {
+                const reason = decodeRevertReason(err);
+                if (!reason && err.code !== "UNPREDICTABLE_GAS_LIMIT" && err.code !== "CALL_EXCEPTION") {
+                    throw err;
+                }
+                throw new RelayerError("reverted", `Transaction would revert: ${reason ?? "unknown reason"}`, reason);
+            }
+            return signer.sendTransaction({
+                ...request,
+                gasLimit: gasLimit.mul(100 + gasBufferPercent).div(100),
+            });
+        });
+
+        const record = {
+            hash: tx.hash,
+            uid,
+            kind,
+            chainId: String(chainId),
+            contract: ethers.utils.getAddress(contract),
+            from: tx.from,
+            nonce: tx.nonce,
+            status: "pending",
+            submitted_at: new Date().toISOString(),
+            mined_at: null,
+            blockNumber: null,
+            gasUsed: null,
+            revertReason: null,
+        };
+        transactions.set(tx.hash, record);
+        console.info(`Relayed ${kind} transaction ${tx.hash} on chain ${record.chainId}`);
+
+        const mined = signer.provider.waitForTransaction(tx.hash, confirmations).then(async (receipt) => {
+            record.blockNumber = receipt.blockNumber;
+            record.gasUsed = receipt.gasUsed.toString();
+            record.mined_at = new Date().toISOString();
+            if (receipt.status === 1) {
+                record.status = "confirmed";
+            } else {
+                record.status = "reverted";
+                record.revertReason = await reasonForFailedReceipt(signer, tx, receipt);
+                console.warn(`Relayed transaction ${tx.hash} reverted: ${record.revertReason}`);
+            }
+            setTimeout(() => transactions.delete(tx.hash), ttlMs).unref();
+        }).catch((err) => {
+            console.error(`Failed to track relayed transaction ${tx.hash}:`, err.message);
+        });
+
+        // Give the receipt a chance to land so the common case returns in one round trip
+        let timer;
+        await Promise.race([mined, new Promise((resolve) => { timer = setTimeout(resolve, waitMs); })]);
+        clearTimeout(timer);
+        return record;
+    }
+
+    return {
+        /**
+         * The relayer's address, or null if no key is configured.
+         */
+        address,
+
+        /**
+         * Relays zkOTPWallet.execute(to, value, data, a, b, c, input).
+         *
+         * @param {Object} params
+         * @param {string} params.uid - The user the relay is for.
+         * @param {string | number} params.chainId - The chain id.
+         * @param {string} params.contract - The zkOTPWallet address.
+         * @param {string} params.to - Call target.
+         * @param {string | number} params.value - Wei to send.
+         * @param {string} params.data - Calldata for the target.
+         * @param {Object} params.proof - `{a, b, c, publicInput}` or `{proof, publicSignals}`.
+         * @returns {Promise<Object>} - The transaction record.
+         * @throws {RelayerError} - If the relayer is not configured or the call would revert.
+         */
+        async execute({ uid, chainId, contract, to, value, data, proof }) {
+            const { a, b, c, publicInput } = proofCallData(proof);
+            return submit("execute", chainId, contract, (signer) => {
+                const wallet = new ethers.Contract(contract, ZKOTP_WALLET_ABI, signer);
+                return wallet.populateTransaction.execute(to, value, data, a, b, c, publicInput);
+            }, uid);
+        },
+
+        /**
+         * Relays zkOTPWallet.executeBatch(to[], value[], data[], a, b, c, input).
+         *
+         * @param {Object} params
+         * @param {string} params.uid - The user the relay is for.
+         * @param {string | number} params.chainId - The chain id.
+         * @param {string} params.contract - The zkOTPWallet address.
+         * @param {Array<{to: string, value: string | number, data: string}>} params.actions - The calls, in order.
+         * @param {Object} params.proof - `{a, b, c, publicInput}` or `{proof, publicSignals}`.
+         * @returns {Promise<Object>} - The transaction record.
+         * @throws {RelayerError} - If the relayer is not configured or the call would revert.
+         */
+        async executeBatch({ uid, chainId, contract, actions, proof }) {
+            const { a, b, c, publicInput } = proofCallData(proof);
+            return submit("executeBatch", chainId, contract, (signer) => {
+                const wallet = new ethers.Contract(contract, ZKOTP_WALLET_ABI, signer);
+                return wallet.populateTransaction.executeBatch(
+                    actions.map((action) => action.to),
+                    actions.map((action) => action.value),
+                    actions.map((action) => action.data),
+                    a, b, c, publicInput
+                );
+            }, uid);
+        },
+
+        /**
+         * Relays TrafficLightZkOTP.switchLight(a, b, c, input).
+         *
+         * @param {Object} params
+         * @param {string} params.uid - The user the relay is for.
+         * @param {string | number} params.chainId - The chain id.
+         * @param {string} params.contract - The TrafficLightZkOTP address.
+         * @param {Object} params.proof - `{a, b, c, publicInput}` or `{proof, publicSignals}`.
+         * @returns {Promise<Object>} - The transaction record.
+         * @throws {RelayerError} - If the relayer is not configured or the call would revert.
+         */
+        async switchLight({ uid, chainId, contract, proof }) {
+            const { a, b, c, publicInput } = proofCallData(proof);
+            return submit("switchLight", chainId, contract, (signer) => {
+                const light = new ethers.Contract(contract, TRAFFIC_LIGHT_ABI, signer);
+                return light.populateTransaction.switchLight(a, b, c, publicInput);
+            }, uid);
+        },
+
+        /**
+         * Relays zkOTPWalletFactory.deployWallet(owner, admin, hashedSecret, salt).
+         * The relayer is the deployer, so wallet addresses are computed with its address.
+         *
+         * @param {Object} params
+         * @param {string} params.uid - The user the wallet is for.
+         * @param {string | number} params.chainId - The chain id.
+         * @param {string} params.factory - The zkOTPWalletFactory address.
+         * @param {string} params.owner - Owner of the new wallet.
+         * @param {string} params.admin - Admin of the new wallet.
+         * @param {string} params.hashedSecret - Poseidon hash of the user's secret.
+         * @param {string} params.salt - The CREATE2 salt (bytes32 hex).
+         * @returns {Promise<Object>} - The transaction record.
+         * @throws {RelayerError} - If the relayer is not configured or the call would revert.
+         */
+        async deployWallet({ uid, chainId, factory, owner, admin, hashedSecret, salt }) {
+            return submit("deployWallet", chainId, factory, (signer) => {
+                const walletFactory = new ethers.Contract(factory, ZKOTP_WALLET_FACTORY_ABI, signer);
+                return walletFactory.populateTransaction.deployWallet(owner, admin, hashedSecret, salt);
+            }, uid);
+        },
+
+        /**
+         * @param {string} hash - The transaction hash.
+         * @returns {Object | null} - The transaction record, or null if unknown or expired.
+         */
+        get(hash) {
+            return transactions.get(hash) ?? null;
+        },
+    };
+}
@@ -0,0 +1,200 @@
+/***************************************
+ * schema.js
+ * Declarative request validation. Schemas are plain JSON Schema objects, so the same
+ * objects check requests and make up the OpenAPI document (see apiSpec.js).
+ *
+ * Only this subset of JSON Schema is understood: type, enum, pattern, format, minimum,
+ * maximum, minLength, maxLength, properties, required, additionalProperties, items,
+ * minItems, maxItems and anyOf. Formats: "address" (EIP-55 checksum if mixed case),
+ * "uint256" (decimal string below 2^256) and "field" (decimal string below the BN254 prime).
+ **************************************/
+import { ethers } from "ethers";
+
+import { sendError } from "./errors.js";
+import { BN254_PRIME } from "./utils.js";
+
+const UINT256_MAX = (1n << 256n) - 1n;
+
+const FORMATS = {
+    address: (value) => ethers.utils.isAddress(value),
+    uint256: (value) => BigInt(value) <= UINT256_MAX,
+    field: (value) => BigInt(value) < BN254_PRIME,
+};
+
+//=============================
+//  Building blocks
+//=============================
+export const Address = {
+    type: "string",
+    pattern: "^0x[0-9a-fA-F]{40}$",
+    format: "address",
+    description: "an EVM address",
+};
+
+export const Uint256String = {
+    type: "string",
+    pattern: "^\\d{1,78}$",
+    format: "uint256",
+    description: "a uint256 as a decimal string",
+};
+
+// JSON numbers above 2^53 - 1 have already lost precision by the time they are parsed
+export const Uint256 = {
+    anyOf: [Uint256String, { type: "integer", minimum: 0, maximum: Number.MAX_SAFE_INTEGER }],
+    description: "a uint256, as a decimal string or as a JSON number up to 2^53 - 1",
+};
+
+export const FieldElement = {
+    type: "string",
+    pattern: "^\\d{1,77}$",
+    format: "field",
+    description: "a BN254 field element as a decimal string",
+};
+
+export const ChainId = { ...Uint256, description: "a chain id, as a decimal string or a number" };
+
+export const HexBytes = {
+    type: "string",
+    pattern: "^0x([0-9a-fA-F]{2})*$",
+    description: "0x-prefixed hex bytes",
+};
+
+export const Bytes32 = {
+    type: "string",
+    pattern: "^0x[0-9a-fA-F]{64}$",
+    description: "a 0x-prefixed 32-byte hex value",
+};
+
+export const Otp = {
+    type: "string",
+    pattern: "^\\d{6,8}$",
+    description: "a TOTP code: a string of 6 digits, or 7 or 8 if the secret was enrolled with more",
+};
+
+/**
+ * An object schema.
+ *
+ * @param {Object} properties - Property schemas.
+ * @param {string[]} [required=[]] - Required property names.
+ * @param {Object} [extra] - Other keywords, e.g. a description.
+ * @returns {Object}
+ */
+export function object(properties, required = [], extra = {}) {
+    return { type: "object", properties, ...(required.length ? { required } : {}), ...extra };
+}
+
+//=============================
+//  Validation
+//=============================
+const TYPE_CHECKS = {
+    string: (v) => typeof v === "string",
+    integer: (v) => Number.isInteger(v),
+    number: (v) => typeof v === "number" && Number.isFinite(v),
+    boolean: (v) => typeof v === "boolean",
+    array: (v) => Array.isArray(v),
+    object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+};
+
+/**
+ * Checks a value against a schema.
+ *
+ * @param {Object} schema - The schema.
+ * @param {*} value - The value to check.
+ * @param {string} [path="value"] - Where the value sits, for messages (e.g. "body.otp").
+ * @returns {Array<{path: string, message: string}>} - The problems found; empty if valid.
+ */
+export function validateValue(schema, value, path = "value") {
+    if (schema.anyOf) {
+        if (schema.anyOf.some((option) => validateValue(option, value, path).length === 0)) {
+            return [];
+        }
+        return [{ path, message: `must be ${schema.description ?? "one of the allowed forms"}` }];
+    }
+
+    if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+        return [{ path, message: `must be ${schema.description ?? `of type ${schema.type}`}` }];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{ path, message: `must be one of ${schema.enum.join(", ")}` }];
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength != null && value.length < schema.minLength) {
+            return [{ path, message: `must be at least ${schema.minLength} characters` }];
+        }
+        if (schema.maxLength != null && value.length > schema.maxLength) {
+            return [{ path, message: `must be at most ${schema.maxLength} characters` }];
+        }
+        if ((schema.pattern && !new RegExp(schema.pattern).test(value))
+            || (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value))) {
+            return [{ path, message: `must be ${schema.description ?? `a string matching ${schema.pattern}`}` }];
+        }
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum != null && value < schema.minimum) {
+            return [{ path, message: `must be at least ${schema.minimum}` }];
+        }
+        if (schema.maximum != null && value > schema.maximum) {
+            return [{ path, message: `must be at most ${schema.maximum}` }];
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems != null && value.length < schema.minItems) {
+            return [{ path, message: `must have at least ${schema.minItems} items` }];
+        }
+        if (schema.maxItems != null && value.length > schema.maxItems) {
+            return [{ path, message: `must have at most ${schema.maxItems} items` }];
+        }
+        if (schema.items) {
+            return value.flatMap((item, i) => validateValue(schema.items, item, `${path}[${i}]`));
+        }
+        return [];
+    }
+
+    if (TYPE_CHECKS.object(value) && (schema.properties || schema.required)) {
+        const errors = [];
+        for (const name of schema.required ?? []) {
+            if (value[name] == null) {
+                errors.push({ path: `${path}.${name}`, message: "is required" });
+            }
+        }
+        for (const [name, propertySchema] of Object.entries(schema.properties ?? {})) {
+            if (value[name] != null) {
+                errors.push(...validateValue(propertySchema, value[name], `${path}.${name}`));
+            }
+        }
+        if (schema.additionalProperties === false) {
+            for (const name of Object.keys(value)) {
+                if (!(name in schema.properties)) {
+                    errors.push({ path: `${path}.${name}`, message: "is not allowed" });
+                }
+            }
+        }
+        return errors;
+    }
+    return [];
+}
+
+/**
+ * Creates Express middleware that checks a request's path parameters, query and body
+ * against `schemas` and answers 400 with reason "invalid_request" and the list of
+ * problems if any of them fail. A missing body is treated as an empty object.
+ *
+ * @param {{params?: Object, query?: Object, body?: Object}} schemas - One schema per request part.
+ * @returns {import("express").RequestHandler}
+ */
+export function validateRequest(schemas) {
+    return (req, res, next) => {
+        req.body ??= {};
+        const errors = ["params", "query", "body"]
+            .filter((part) => schemas[part])
+            .flatMap((part) => validateValue(schemas[part], req[part], part));
+        if (errors.length) {
+            console.warn(`Invalid request to ${req.path}:`, errors.map((e) => `${e.path} ${e.message}`).join("; "));
+            return sendError(res, 400, "invalid_request", `${errors[0].path} ${errors[0].message}`, { errors });
+        }
+        return next();
+    };
+}
@@ -0,0 +1,82 @@
+/***************************************
+ * storage.js
+ * Picks the backend (Firestore, SQLite or memory) for every store the app uses.
+ **************************************/
+import Database from "better-sqlite3";
+import { Firestore } from "@google-cloud/firestore";
+
+import { AUDIT_SINKS, FirestoreAuditSink, JsonlAuditSink, MemoryAuditSink, SqliteAuditSink } from "./audit.js";
+
+import { FirestoreEnrollmentStore, MemoryEnrollmentStore, SqliteEnrollmentStore } from "./enrollment.js";
+import { FirestoreEventStore, MemoryEventStore, SqliteEventStore } from "./indexer.js";
+import { FirestoreGuardStore, MemoryGuardStore, SqliteGuardStore } from "./otpGuard.js";
+import { FirestoreNonceStore, MemoryNonceStore, SqliteNonceStore } from "./nonces.js";
+import { FirestoreUserStore, MemoryUserStore, SqliteUserStore } from "./userStore.js";
+
+export const STORAGE_BACKENDS = ["firestore", "sqlite", "memory"];
+
+const STORE_CLASSES = {
+    users: { firestore: FirestoreUserStore, sqlite: SqliteUserStore, memory: MemoryUserStore },
+    guard: { firestore: FirestoreGuardStore, sqlite: SqliteGuardStore, memory: MemoryGuardStore },
+    enrollments: { firestore: FirestoreEnrollmentStore, sqlite: SqliteEnrollmentStore, memory: MemoryEnrollmentStore },
+    nonces: { firestore: FirestoreNonceStore, sqlite: SqliteNonceStore, memory: MemoryNonceStore },
+    events: { firestore: FirestoreEventStore, sqlite: SqliteEventStore, memory: MemoryEventStore },
+};
+const AUDIT_SINK_CLASSES = { firestore: FirestoreAuditSink, sqlite: SqliteAuditSink, memory: MemoryAuditSink };
+
+/**
+ * Creates the app's stores. `backend` applies to all of them; `overrides` switches
+ * individual stores to another backend. The Firestore client and the SQLite database
+ * are only opened if some store uses them.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.backend="firestore"] - One of STORAGE_BACKENDS.
+ * @param {string} [options.sqlitePath="zkotp.sqlite"] - SQLite database file (":memory:" for a throwaway one).
+ * @param {string} [options.projectId] - Firestore project id.
+ * @param {{users?: string, guard?: string, enrollments?: string, nonces?: string, events?: string}} [options.overrides]
+ * @param {string} [options.auditSink] - One of AUDIT_SINKS; defaults to `backend`.
+ * @param {string} [options.auditLogPath="audit.jsonl"] - File for the "jsonl" audit sink.
+ * @returns {{users: Object, guard: Object, enrollments: Object, nonces: Object, events: Object, audit: Object, close: () => void}}
+ * @throws {Error} - If a backend or audit sink name is unknown.
+ */
+export function createStorage(options = {}) {
+    const { backend = "firestore", sqlitePath = "zkotp.sqlite", projectId, overrides = {} } = options;
+    const auditSink = options.auditSink || backend;
+    const auditLogPath = options.auditLogPath || "audit.jsonl";
+
+    let firestore = null;
+    let sqlite = null;
+    const clients = {
+        firestore: () => (firestore ??= new Firestore({ projectId })),
+        sqlite: () => {
+            if (!sqlite) {
+                sqlite = new Database(sqlitePath);
+                sqlite.pragma("journal_mode = WAL");
+            }
+            return sqlite;
+        },
+        memory: () => null,
+    };
+
+    const storage = {};
+    for (const [name, classes] of Object.entries(STORE_CLASSES)) {
+        const selected = overrides[name] || backend;
+        if (!STORAGE_BACKENDS.includes(selected)) {
+            throw new Error(`Unknown storage backend '${selected}' for ${name} (expected one of ${STORAGE_BACKENDS.join(", ")})`);
+        }
+        storage[name] = new classes[selected](clients[selected]());
+    }
+
+    if (!AUDIT_SINKS.includes(auditSink)) {
+        throw new Error(`Unknown audit sink '${auditSink}' (expected one of ${AUDIT_SINKS.join(", ")})`);
+    }
+    storage.audit = auditSink === "jsonl"
+        ? new JsonlAuditSink(auditLogPath)
+        : new AUDIT_SINK_CLASSES[auditSink](clients[auditSink]());
+
+    storage.close = () => {
+        sqlite?.close();
+        firestore?.terminate();
+    };
+    return storage;
+}
@@ -0,0 +1,176 @@
+/***************************************
+ * userStore.js
+ * User documents (encrypted secret, wallets, ...) behind one repository interface,
+ * with in-memory, SQLite and Firestore implementations.
+ *
+ * Every record comes back as `{uid, data, version}`. `version` changes on every write
+ * and can be passed back to update() to make it conditional on nobody having written
+ * the document in between.
+ **************************************/
+
+/**
+ * In-memory user store for local development and tests.
+ */
+export class MemoryUserStore {
+    constructor() {
+        this.users = new Map();
+    }
+
+    /**
+     * @param {string} uid - The user id.
+     * @returns {Promise<{uid: string, data: Object, version: number} | null>} - The user, or null.
+     */
+    async get(uid) {
+        const entry = this.users.get(uid);
+        return entry ? { uid, data: structuredClone(entry.data), version: entry.version } : null;
+    }
+
+    /**
+     * Creates a user document.
+     *
+     * @param {string} uid - The user id.
+     * @param {Object} data - The document fields.
+     * @returns {Promise<boolean>} - False if the user already exists.
+     */
+    async create(uid, data) {
+        if (this.users.has(uid)) {
+            return false;
+        }
+        this.users.set(uid, { data: structuredClone(data), version: 1 });
+        return true;
+    }
+
+    /**
+     * Merges `fields` into a user document.
+     *
+     * @param {string} uid - The user id.
+     * @param {Object} fields - The fields to set.
+     * @param {Object} [options]
+     * @param {*} [options.version] - Only write if the document is still at this version.
+     * @returns {Promise<boolean>} - False if the user does not exist or the version is stale.
+     */
+    async update(uid, fields, options = {}) {
+        const entry = this.users.get(uid);
+        if (!entry || (options.version != null && entry.version !== options.version)) {
+            return false;
+        }
+        this.users.set(uid, { data: { ...entry.data, ...structuredClone(fields) }, version: entry.version + 1 });
+        return true;
+    }
+
+    /**
+     * Lists users in uid order, one page at a time.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.after] - Return users after this uid.
+     * @param {number} [options.limit=100] - Page size.
+     * @returns {Promise<Array<{uid: string, data: Object, version: number}>>}
+     */
+    async list({ after, limit = 100 } = {}) {
+        const uids = [...this.users.keys()].filter((uid) => after == null || uid > after).sort().slice(0, limit);
+        return Promise.all(uids.map((uid) => this.get(uid)));
+    }
+}
+
+/**
+ * SQLite user store. Documents are stored as JSON in the `users` table.
+ */
+export class SqliteUserStore {
+    /**
+     * @param {import("better-sqlite3").Database} db - An open better-sqlite3 database.
+     */
+    constructor(db) {
+        this.db = db;
+        db.exec(`CREATE TABLE IF NOT EXISTS users (
+            uid TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            version INTEGER NOT NULL
+        )`);
+        this.selectStmt = db.prepare("SELECT uid, data, version FROM users WHERE uid = ?");
+        this.insertStmt = db.prepare("INSERT OR IGNORE INTO users (uid, data, version) VALUES (?, ?, 1)");
+        this.updateStmt = db.prepare("UPDATE users SET data = ?, version = version + 1 WHERE uid = ? AND version = ?");
+        this.pageStmt = db.prepare("SELECT uid, data, version FROM users WHERE uid > ? ORDER BY uid LIMIT ?");
+    }
+
+    async get(uid) {
+        const row = this.selectStmt.get(uid);
+        return row ? toRecord(row) : null;
+    }
+
+    async create(uid, data) {
+        return this.insertStmt.run(uid, JSON.stringify(data)).changes === 1;
+    }
+
+    async update(uid, fields, options = {}) {
+        const row = this.selectStmt.get(uid);
+        if (!row || (options.version != null && row.version !== options.version)) {
+            return false;
+        }
+        const data = { ...JSON.parse(row.data), ...fields };
+        // The version check in the WHERE clause keeps concurrent writers from losing updates
+        return this.updateStmt.run(JSON.stringify(data), uid, row.version).changes === 1;
+    }
+
+    async list({ after, limit = 100 } = {}) {
+        return this.pageStmt.all(after ?? "", limit).map(toRecord);
+    }
+}
+
+function toRecord(row) {
+    return { uid: row.uid, data: JSON.parse(row.data), version: row.version };
+}
+
+/**
+ * Firestore user store using the `users/{uid}` collection. The version is the
+ * document's update time.
+ */
+export class FirestoreUserStore {
+    /**
+     * @param {import("@google-cloud/firestore").Firestore} db - The Firestore client.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    async get(uid) {
+        const doc = await this.db.collection("users").doc(uid).get();
+        return doc.exists ? { uid, data: doc.data(), version: doc.updateTime } : null;
+    }
+
+    async create(uid, data) {
+        try {
+            await this.db.collection("users").doc(uid).create(data);
+            return true;
+        } catch (err) {
+            // gRPC status 6 = ALREADY_EXISTS
+            if (err.code === 6) {
+                return false;
+            }
+            throw err;
+        }
+    }
+
+    async update(uid, fields, options = {}) {
+        const precondition = options.version != null ? [{ lastUpdateTime: options.version }] : [];
+        try {
+            await this.db.collection("users").doc(uid).update(fields, ...precondition);
+            return true;
+        } catch (err) {
+            // gRPC status 5 = NOT_FOUND, 9 = FAILED_PRECONDITION
+            if (err.code === 5 || err.code === 9) {
+                return false;
+            }
+            throw err;
+        }
+    }
+
+    async list({ after, limit = 100 } = {}) {
+        const { FieldPath } = await import("@google-cloud/firestore");
+        let query = this.db.collection("users").orderBy(FieldPath.documentId()).limit(limit);
+        if (after != null) {
+            query = query.startAfter(after);
+        }
+        const snapshot = await query.get();
+        return snapshot.docs.map((doc) => ({ uid: doc.id, data: doc.data(), version: doc.updateTime }));
+    }
+}
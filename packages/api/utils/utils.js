@@ -1,73 +1,170 @@
 import * as circomlibjs from "circomlibjs";
 import { ethers } from "ethers";
 import * as snarkjs from 'snarkjs';
-import fs from 'fs';
 import base32 from "base32.js";
-import path from "path";
-import { fileURLToPath } from "url";
+import { getKeyring, LEGACY_KEY_ID } from "./keyring.js";
+
+// Building Poseidon compiles its constants into wasm, so do it once per thread
+let poseidonPromise = null;
+
+function getPoseidon() {
+    if (!poseidonPromise) {
+        poseidonPromise = circomlibjs.buildPoseidon();
+    }
+    return poseidonPromise;
+}
 
 /**
- * Computes the Poseidon hash of the given input field.
+ * Computes the Poseidon hash of the given input field(s).
  * Poseidon is a cryptographic hash function optimized for zero-knowledge proofs.
  *
- * @param {number | string | bigint} xField - The input field to hash. Can be a number, string, or bigint.
+ * @param {...(number | string | bigint)} fields - The input field(s) to hash. Can be numbers, strings, or bigints.
  * @returns {Promise<string>} - A promise that resolves to the Poseidon hash as a string.
  */
-export async function computePoseidonHash(xField) {
-    const poseidon = await circomlibjs.buildPoseidon();
-    const hVal = poseidon([xField]);
+export async function computePoseidonHash(...fields) {
+    const poseidon = await getPoseidon();
+    const hVal = poseidon(fields);
     const hBig = poseidon.F.toObject(hVal);
     return hBig.toString();
 }
 
+/**
+ * Mask applied to keccak256 digests to make them action hashes: keeps the low 253 bits,
+ * the same as zkOTPWallet.ACTION_HASH_MASK. 2^253 is below BN254_PRIME, so the circuit
+ * carries the value into its public signals unchanged; a full 256-bit digest is above
+ * the prime most of the time and would come out reduced, failing the wallet's check.
+ */
+export const ACTION_HASH_MASK = (1n << 253n) - 1n;
+
+/**
+ * Encodes a keccak256 digest as the field element used as `action_hash`.
+ *
+ * @param {string} digest - A 32-byte hex digest.
+ * @returns {string} - The digest with its top 3 bits cleared, as a 32-byte hex string.
+ */
+export function toActionHashField(digest) {
+    return ethers.utils.hexZeroPad(ethers.BigNumber.from(BigInt(digest) & ACTION_HASH_MASK).toHexString(), 32);
+}
+
 /**
  * Computes the action hash by tightly packing the input parameters and hashing them using keccak256.
- * Mimics the behavior of Solidity's `abi.encodePacked` and `keccak256`.
+ * Mimics the behavior of Solidity's `abi.encodePacked` and `keccak256`, matching zkOTPWallet:
+ *   keccak256(abi.encodePacked(block.chainid, address(this), _to, _value, _data)) & ACTION_HASH_MASK
+ *
+ * Folding in the chain id and wallet address keeps a proof from being replayed on another
+ * chain or against another wallet.
  *
  * @param {string} to - The recipient address (in hexadecimal format).
  * @param {string | number} value - The value to be sent (in wei or as a number).
  * @param {string} data - The calldata or additional data (in hexadecimal format).
- * @returns {string} - The keccak256 hash of the packed parameters as a hexadecimal string.
+ * @param {string | number} chainId - The chain id the wallet is deployed on.
+ * @param {string} wallet - The address of the wallet contract that will execute the action.
+ * @returns {string} - The masked keccak256 hash of the packed parameters as a 32-byte hex string.
  */
-export function computeActionHash(to, value, data) {
+export function computeActionHash(to, value, data, chainId, wallet) {
 
     if (!ethers.utils.isAddress(to)) {
         throw new Error(`Invalid Ethereum address: ${to}`);
     }
 
+    if (!ethers.utils.isAddress(wallet)) {
+        throw new Error(`Invalid wallet address: ${wallet}`);
+    }
+
     if (typeof value !== "string" && typeof value !== "number") {
         throw new Error(`Invalid value type: ${typeof value}. Expected string or number.`);
     }
 
+    if (chainId == null || !/^\d+$/.test(String(chainId))) {
+        throw new Error(`Invalid chain id: ${chainId}`);
+    }
+
     const encoded = ethers.utils.solidityPack(
-        ["address", "uint256", "bytes"],
-        [to, value, data]
+        ["uint256", "address", "address", "uint256", "bytes"],
+        [chainId.toString(), wallet, to, value, data]
     );
 
-    // Compute the keccak256 hash of the encoded data
-    const actionHash = ethers.utils.keccak256(encoded);
+    // Compute the keccak256 hash of the encoded data and fit it into the circuit's field
+    const actionHash = toActionHashField(ethers.utils.keccak256(encoded));
 
     return actionHash;
 }
 
+/**
+ * Domain tag of batch action hashes: keccak256("zkOTPWallet.executeBatch"),
+ * the same as zkOTPWallet.BATCH_ACTION_TAG.
+ */
+export const BATCH_ACTION_TAG = ethers.utils.id("zkOTPWallet.executeBatch");
+
+/**
+ * Computes the action hash committing to an ordered list of calls, matching
+ * zkOTPWallet.executeBatch:
+ *   keccak256(abi.encode(BATCH_ACTION_TAG, block.chainid, address(this), _to[], _value[], _data[])) & ACTION_HASH_MASK
+ *
+ * Unlike single actions this uses abi.encode, so the call boundaries are unambiguous,
+ * and the tag keeps a batch hash from ever matching a single action hash.
+ *
+ * @param {Array<{to: string, value: string | number, data: string}>} actions - The calls, in execution order.
+ * @param {string | number} chainId - The chain id the wallet is deployed on.
+ * @param {string} wallet - The address of the wallet contract that will execute the batch.
+ * @returns {string} - The masked keccak256 hash as a 32-byte hex string.
+ */
+export function computeBatchActionHash(actions, chainId, wallet) {
+    if (!Array.isArray(actions) || actions.length === 0) {
+        throw new Error("A batch needs at least one action");
+    }
+    if (!ethers.utils.isAddress(wallet)) {
+        throw new Error(`Invalid wallet address: ${wallet}`);
+    }
+    if (chainId == null || !/^\d+$/.test(String(chainId))) {
+        throw new Error(`Invalid chain id: ${chainId}`);
+    }
+    for (const { to } of actions) {
+        if (!ethers.utils.isAddress(to)) {
+            throw new Error(`Invalid Ethereum address: ${to}`);
+        }
+    }
+
+    const encoded = ethers.utils.defaultAbiCoder.encode(
+        ["bytes32", "uint256", "address", "address[]", "uint256[]", "bytes[]"],
+        [
+            BATCH_ACTION_TAG,
+            chainId.toString(),
+            wallet,
+            actions.map((a) => a.to),
+            actions.map((a) => a.value.toString()),
+            actions.map((a) => a.data),
+        ]
+    );
+    return toActionHashField(ethers.utils.keccak256(encoded));
+}
+
+/**
+ * Prefix of versioned encryption envelopes. The full format is
+ *   "zkenc1:keyId:kdf:iterations:algorithm:IV(base64):ciphertext(base64):authTag(base64)"
+ * Anything without this prefix is treated as a legacy "IV:ciphertext:authTag" record.
+ */
+const ENVELOPE_PREFIX = "zkenc1";
+const ENVELOPE_KDF = "pbkdf2-sha256";
+
 /**
  * Encrypts the given plaintext using:
- *   - process.env.ENCRYPTION_WORD (the "password")
+ *   - the active key of the keyring (see keyring.js)
  *   - a 'salt' (Buffer or string)
- *   - AES-GCM (or another algorithm specified by process.env.ENCRYPTION_ALGORITHM)
- *   - PBKDF2 (100000 iterations, 32-byte key length, sha256)
+ *   - AES-GCM (or another algorithm configured for the keyring)
+ *   - PBKDF2 (keyring iterations, 32-byte key length, sha256)
  *
- * Returns a single string containing:
- *   "IV(base64):ciphertext(base64):authTag(base64)"
+ * Returns a versioned envelope string:
+ *   "zkenc1:keyId:pbkdf2-sha256:iterations:algorithm:IV(base64):ciphertext(base64):authTag(base64)"
  */
 export function encryptWithSalt(plaintext, salt) {
-    // 1) Check required ENV variables
-    const password = process.env.ENCRYPTION_WORD;
-    if (!password) {
-        throw new Error("ENCRYPTION_WORD is not defined in the environment variables");
-    }
+    // 1) Resolve the active key and parameters
+    const keyring = getKeyring();
+    const keyId = keyring.active;
+    const password = keyring.keys[keyId];
+    const iterations = keyring.iterations;
 
-    const algorithm = process.env.ENCRYPTION_ALGORITHM;
+    const algorithm = keyring.algorithm;
     if (!algorithm) {
         throw new Error("ENCRYPTION_ALGORITHM is not defined in the environment variables");
     }
@@ -82,8 +179,8 @@ export function encryptWithSalt(plaintext, salt) {
     const saltBuffer = Buffer.isBuffer(salt) ? salt : Buffer.from(salt, 'utf8');
 
     // 4) Derive key using PBKDF2
-    //  - 100000 iterations, 32 bytes, sha256
-    const key = crypto.pbkdf2Sync(password, saltBuffer, 100000, 32, 'sha256');
+    //  - 32 bytes, sha256
+    const key = crypto.pbkdf2Sync(password, saltBuffer, iterations, 32, 'sha256');
 
     // 5) Generate a random IV
     //  - For AES-GCM, 12 bytes is typical
@@ -103,60 +200,62 @@ export function encryptWithSalt(plaintext, salt) {
         authTag = cipher.getAuthTag().toString('base64');
     }
 
-    // 9) Return a single string with IV, ciphertext, and tag
-    //    If you don't store the tag, GCM decryption won't work
-    return `${iv.toString('base64')}:${encrypted}:${authTag}`;
+    // 9) Return the envelope, recording everything needed to decrypt it later
+    return [
+        ENVELOPE_PREFIX,
+        keyId,
+        ENVELOPE_KDF,
+        iterations,
+        algorithm,
+        iv.toString('base64'),
+        encrypted,
+        authTag,
+    ].join(':');
 }
 
 /**
  * Decrypts data produced by encryptWithSalt(), reconstructing the same key from:
- *   - process.env.ENCRYPTION_WORD (the "password")
+ *   - the keyring password named in the envelope
  *   - the same 'salt'
- *   - the same PBKDF2 parameters
- *   - the same algorithm (e.g., aes-256-gcm)
+ *   - the PBKDF2 iterations and algorithm recorded in the envelope
  *
- * Expects 'encryptedString' in the format "IV:ciphertext:authTag" (all base64).
+ * Also accepts legacy "IV:ciphertext:authTag" strings (all base64), which are
+ * decrypted with the "legacy" key (ENCRYPTION_WORD), 100000 iterations and
+ * ENCRYPTION_ALGORITHM.
  *
  * Returns the original plaintext as a UTF-8 string.
  */
 export function decryptWithSalt(encryptedString, salt) {
-    // 1) Check required ENV variables
-    const password = process.env.ENCRYPTION_WORD;
-    if (!password) {
-        throw new Error("ENCRYPTION_WORD is not defined in the environment variables");
-    }
-
-    const algorithm = process.env.ENCRYPTION_ALGORITHM;
-    if (!algorithm) {
-        throw new Error("ENCRYPTION_ALGORITHM is not defined in the environment variables");
-    }
-
-    // 2) Validate input string
+    // 1) Validate input string
     if (typeof encryptedString !== 'string' || encryptedString.length === 0) {
         throw new TypeError("The 'encryptedString' argument must be a non-empty string.");
     }
 
-    // 3) Split into parts: IV, ciphertext, authTag
-    const parts = encryptedString.split(':');
-    if (parts.length < 2) {
-        throw new Error("Encrypted string format invalid. Expected 'IV:ciphertext[:authTag]'.");
-    }
+    // 2) Parse the envelope: key id, KDF parameters, IV, ciphertext, authTag
+    const { keyId, iterations, algorithm, ivBase64, ciphertextBase64, authTagBase64 } =
+        parseEncryptedString(encryptedString);
 
-    const [ivBase64, ciphertextBase64, authTagBase64 = ''] = parts;
+    const password = getKeyring().keys[keyId];
+    if (!password) {
+        throw new Error(`Encryption key '${keyId}' is not in the keyring`);
+    }
+    if (!algorithm) {
+        throw new Error("ENCRYPTION_ALGORITHM is not defined in the environment variables");
+    }
 
-    // 4) Normalize salt
+    // 3) Normalize salt
     const saltBuffer = Buffer.isBuffer(salt) ? salt : Buffer.from(salt, 'utf8');
 
-    // 5) Derive the same key (PBKDF2)
-    const key = crypto.pbkdf2Sync(password, saltBuffer, 100000, 32, 'sha256');
+    // 4) Derive the same key (PBKDF2)
+    const key = crypto.pbkdf2Sync(password, saltBuffer, iterations, 32, 'sha256');
 
-    // 6) Convert IV from base64 to Buffer
+    // 5) Convert IV from base64 to Buffer
     const iv = Buffer.from(ivBase64, 'base64');
 
-    // 7) Create the Decipher
+    // 6) Create the Decipher
     const decipher = crypto.createDecipheriv(algorithm, key, iv);
 
-    // 8) If using GCM, set the auth tag
+    // 7) If using GCM, set the auth tag
     if (algorithm.includes('gcm')) {
         if (!authTagBase64) {
             throw new Error("No authTag provided for GCM decryption.");
@@ -165,14 +264,71 @@ export function decryptWithSalt(encryptedString, salt) {
         decipher.setAuthTag(authTag);
     }
 
-    // 9) Decrypt
+    // 8) Decrypt
     let decrypted = decipher.update(ciphertextBase64, 'base64', 'utf8');
     decrypted += decipher.final('utf8');
 
-    // 10) Return plaintext
+    // 9) Return plaintext
     return decrypted;
 }
 
+/**
+ * Tells whether a value from encryptWithSalt() should be re-encrypted because it is
+ * unversioned, or was written with a key or parameters other than the current ones.
+ *
+ * @param {string} encryptedString - The stored encrypted value.
+ * @returns {boolean} - True if the value should be rewritten with encryptWithSalt().
+ */
+export function needsReencryption(encryptedString) {
+    const keyring = getKeyring();
+    const { versioned, keyId, iterations, algorithm } = parseEncryptedString(encryptedString);
+    return (
+        !versioned ||
+        keyId !== keyring.active ||
+        iterations !== keyring.iterations ||
+        algorithm !== keyring.algorithm
+    );
+}
+
+/**
+ * Splits a versioned envelope or a legacy "IV:ciphertext[:authTag]" string into its parts.
+ */
+function parseEncryptedString(encryptedString) {
+    const parts = encryptedString.split(':');
+
+    if (parts[0] === ENVELOPE_PREFIX) {
+        if (parts.length !== 8) {
+            throw new Error("Encrypted envelope format invalid. Expected 8 ':'-separated fields.");
+        }
+        const [, keyId, kdf, iterations, algorithm, ivBase64, ciphertextBase64, authTagBase64] = parts;
+        if (kdf !== ENVELOPE_KDF) {
+            throw new Error(`Unsupported key derivation function: ${kdf}`);
+        }
+        return {
+            versioned: true,
+            keyId,
+            iterations: parseInt(iterations, 10),
+            algorithm,
+            ivBase64,
+            ciphertextBase64,
+            authTagBase64,
+        };
+    }
+
+    if (parts.length < 2) {
+        throw new Error("Encrypted string format invalid. Expected 'IV:ciphertext[:authTag]'.");
+    }
+    const [ivBase64, ciphertextBase64, authTagBase64 = ''] = parts;
+    return {
+        versioned: false,
+        keyId: LEGACY_KEY_ID,
+        iterations: 100000,
+        algorithm: process.env.ENCRYPTION_ALGORITHM,
+        ivBase64,
+        ciphertextBase64,
+        authTagBase64,
+    };
+}
 
 
 /**
@@ -189,22 +345,79 @@ export function padBase32(s) {
 import crypto from "crypto";
 
 /**
- * Computes a 6-digit TOTP (Time-based One-Time Password) using the given secret bytes and time step.
+ * Length of one TOTP time step in milliseconds (RFC 6238 default of 30 seconds).
+ */
+export const TOTP_PERIOD_MS = 30000;
+
+/**
+ * HMAC algorithms accepted for TOTP, as named in otpauth URLs (lowercased).
+ */
+export const TOTP_ALGORITHMS = ["sha1", "sha256", "sha512"];
+
+/**
+ * RFC 6238 defaults, and what authenticators assume when the otpauth URL leaves them out.
+ * `period` is in seconds.
+ */
+export const DEFAULT_TOTP_PARAMS = Object.freeze({ digits: 6, algorithm: "sha1", period: TOTP_PERIOD_MS / 1000 });
+
+/**
+ * Validates TOTP parameters and fills in the defaults.
  *
- * @param {Buffer} secretBytes - The secret key in byte format.
- * @param {number} timeStep - The time step (e.g., derived from the current timestamp divided by an interval).
- * @returns {number} - The 6-digit TOTP code.
+ * @param {Object} [params]
+ * @param {number | string} [params.digits=6] - Code length, 6 to 8.
+ * @param {string} [params.algorithm="sha1"] - One of TOTP_ALGORITHMS (case-insensitive).
+ * @param {number | string} [params.period=30] - Time step length in seconds, 15 to 300.
+ * @returns {{digits: number, algorithm: string, period: number}}
+ * @throws {RangeError} - If a parameter is out of range.
  */
-export function computeTOTP6(secretBytes, timeStep) {
+export function normalizeTotpParams(params = {}) {
+    const digits = Number(params.digits ?? DEFAULT_TOTP_PARAMS.digits);
+    const algorithm = String(params.algorithm ?? DEFAULT_TOTP_PARAMS.algorithm).toLowerCase();
+    const period = Number(params.period ?? DEFAULT_TOTP_PARAMS.period);
+
+    if (!Number.isInteger(digits) || digits < 6 || digits > 8) {
+        throw new RangeError("digits must be 6, 7 or 8");
+    }
+    if (!TOTP_ALGORITHMS.includes(algorithm)) {
+        throw new RangeError(`algorithm must be one of ${TOTP_ALGORITHMS.join(", ")}`);
+    }
+    if (!Number.isInteger(period) || period < 15 || period > 300) {
+        throw new RangeError("period must be a whole number of seconds between 15 and 300");
+    }
+    return { digits, algorithm, period };
+}
+
+/**
+ * The TOTP time step a moment falls in.
+ *
+ * @param {number} [now=Date.now()] - Epoch milliseconds.
+ * @param {{period: number}} [params=DEFAULT_TOTP_PARAMS] - TOTP parameters (period in seconds).
+ * @returns {number} - The time step.
+ */
+export function totpTimeStep(now = Date.now(), params = DEFAULT_TOTP_PARAMS) {
+    return Math.floor(now / (params.period * 1000));
+}
+
+/**
+ * Computes a TOTP (RFC 6238) for the given secret bytes and time step. With the SHA-1,
+ * SHA-256 and SHA-512 seeds of RFC 6238 Appendix B and 8 digits, it reproduces the
+ * test vectors there.
+ *
+ * @param {Uint8Array} secretBytes - The secret key in byte format.
+ * @param {number} timeStep - The time step (the timestamp divided by the period).
+ * @param {{digits: number, algorithm: string}} [params=DEFAULT_TOTP_PARAMS] - TOTP parameters.
+ * @returns {number} - The TOTP code (without leading zeros).
+ */
+export function computeTOTP(secretBytes, timeStep, params = DEFAULT_TOTP_PARAMS) {
     // Create an 8-byte buffer for the time step
     const msg = Buffer.alloc(8);
     msg.writeBigUInt64BE(BigInt(timeStep), 0);
 
-    // Generate HMAC-SHA1 digest using the secret bytes and time step
-    const digest = crypto.createHmac("sha1", secretBytes).update(msg).digest();
+    // Generate the HMAC digest using the secret bytes and time step
+    const digest = crypto.createHmac(params.algorithm, secretBytes).update(msg).digest();
 
     // Extract the dynamic offset from the last byte of the digest
-    const offset = digest[19] & 0x0f;
+    const offset = digest[digest.length - 1] & 0x0f;
 
     // Compute the binary code from the digest using the offset
     const binCode =
@@ -213,8 +426,47 @@ export function computeTOTP6(secretBytes, timeStep) {
         ((digest[offset + 2] & 0xff) << 8) |
         (digest[offset + 3] & 0xff);
 
-    // Return the 6-digit TOTP code
-    return binCode % 1000000;
+    return binCode % 10 ** params.digits;
+}
+
+/**
+ * Computes a 6-digit HMAC-SHA1 TOTP, the only kind the totp_hmac circuit can prove.
+ *
+ * @param {Uint8Array} secretBytes - The secret key in byte format.
+ * @param {number} timeStep - The time step.
+ * @returns {number} - The 6-digit TOTP code.
+ */
+export function computeTOTP6(secretBytes, timeStep) {
+    return computeTOTP(secretBytes, timeStep, DEFAULT_TOTP_PARAMS);
+}
+
+/**
+ * Searches for the time step whose TOTP matches the given OTP, checking
+ * the current step first and then widening to ±window steps around it.
+ *
+ * @param {Uint8Array} secretBytes - The secret key in byte format.
+ * @param {number | string} otp - The OTP supplied by the user.
+ * @param {number} timeStep - The current time step.
+ * @param {number} window - How many steps of clock drift to tolerate on each side.
+ * @param {{digits: number, algorithm: string}} [params=DEFAULT_TOTP_PARAMS] - TOTP parameters.
+ * @returns {number | null} - The matching time step, or null if none matched.
+ */
+export function findTOTPTimeStep(secretBytes, otp, timeStep, window, params = DEFAULT_TOTP_PARAMS) {
+    // A code typed as a string must have exactly `digits` digits, leading zeros included
+    const otpString = typeof otp === "number" ? String(otp).padStart(params.digits, "0") : String(otp);
+    if (otpString.length !== params.digits || !/^\d+$/.test(otpString)) {
+        return null;
+    }
+    const otpNum = Number(otpString);
+    for (let drift = 0; drift <= window; drift++) {
+        // Prefer the past step over the future one when both are in range
+        for (const step of drift === 0 ? [timeStep] : [timeStep - drift, timeStep + drift]) {
+            if (step >= 0 && computeTOTP(secretBytes, step, params) === otpNum) {
+                return step;
+            }
+        }
+    }
+    return null;
 }
 
 /**
@@ -231,6 +483,25 @@ export function bytesToBigIntBE(bytes) {
     return x;
 }
 
+/**
+ * Order of the BN254 scalar field the circuits work in.
+ */
+export const BN254_PRIME = BigInt(
+    "21888242871839275222246405745257275088548364400416034343698204186575808495617"
+);
+
+/**
+ * Decodes a base32 TOTP secret into its raw bytes and the field element the circuits
+ * hash (the big-endian integer reduced mod BN254_PRIME).
+ *
+ * @param {string} base32Secret - The base32 TOTP secret.
+ * @returns {{secretBytes: Uint8Array, secretField: bigint}}
+ */
+export function secretToField(base32Secret) {
+    const secretBytes = base32Decode(padBase32(base32Secret));
+    return { secretBytes, secretField: bytesToBigIntBE(secretBytes) % BN254_PRIME };
+}
+
 /**
  * Generates a proof object from the given input parameters.
  *
@@ -242,36 +513,48 @@ export function bytesToBigIntBE(bytes) {
  * @param {string} input.timeStep - The time step used for OTP generation.
  * @param {string} input.actionHash - The action hash.
  * @param {string} input.txNonce - The transaction nonce.
+ * @param {Uint8Array} [input.secretBytes] - The raw secret bytes, required by the "totp_hmac" circuit.
+ * @param {{digits: number, algorithm: string}} [input.totp] - TOTP parameters of the secret (default 6-digit SHA-1).
+ * @param {{id: string, name: string, wasm: Uint8Array, zkey: Uint8Array, verificationKey: Object}} circuit -
+ *        The artifact set to prove with, from loadArtifactSet() in circuits.js.
  * @returns {Object} - The proof object containing the input fields.
  */
-export async function generateZKProof(input) {
+export async function generateZKProof(input, circuit) {
 
     // Validate required fields from input
     if (!input.secret || !input.computedOtp || !input.hashedSecret || !input.hashedOtp || !input.timeStep || !input.actionHash || !input.txNonce) {
         throw new Error("Missing required fields in input");
     }
 
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-
-    // This will resolve to /usr/src/app/utils/totp.wasm inside the container
-    const wasmPath = path.join(__dirname, "totp.wasm");
-    const zkeyPath = path.join(__dirname, "totp_0001.zkey");
+    const circuitInput = {
+        secret: input.secret,
+        otp_code: input.computedOtp,
+        hashed_secret: input.hashedSecret,
+        hashed_otp: input.hashedOtp,
+        time_step: input.timeStep,
+        action_hash: input.actionHash,
+        tx_nonce: input.txNonce
+    };
+
+    // The HMAC circuit recomputes the OTP from the raw key bytes instead of taking the secret as a field
+    if (circuit.name === "totp_hmac") {
+        if (!input.secretBytes || input.secretBytes.length !== HMAC_CIRCUIT_KEY_BYTES) {
+            throw new Error(`The totp_hmac circuit requires a ${HMAC_CIRCUIT_KEY_BYTES}-byte secret`);
+        }
+        const { digits, algorithm } = input.totp ?? DEFAULT_TOTP_PARAMS;
+        if (digits !== 6 || algorithm !== "sha1") {
+            throw new Error("The totp_hmac circuit only proves 6-digit HMAC-SHA1 codes");
+        }
+        delete circuitInput.secret;
+        circuitInput.secret_bytes = Array.from(input.secretBytes, (b) => b.toString());
+    }
 
     let proof, publicSignals;
     try {
         const result = await snarkjs.groth16.fullProve(
-            {
-                secret: input.secret,
-                otp_code: input.computedOtp,
-                hashed_secret: input.hashedSecret,
-                hashed_otp: input.hashedOtp,
-                time_step: input.timeStep,
-                action_hash: input.actionHash,
-                tx_nonce: input.txNonce
-            },
-            wasmPath,
-            zkeyPath
+            circuitInput,
+            circuit.wasm,
+            circuit.zkey
         );
         proof = result.proof;
         publicSignals = result.publicSignals;
@@ -280,7 +563,7 @@ export async function generateZKProof(input) {
         throw new Error(`Proof generation failed in 'snarkjs.groth16.fullProve': ${error.message}`);
     }
 
-    const isValid = await verifyProof(proof, publicSignals);
+    const isValid = await verifyProof(proof, publicSignals, circuit.verificationKey);
     if (!isValid) {
         throw new Error("Proof verification failed.");
     }
@@ -291,15 +574,27 @@ export async function generateZKProof(input) {
     return finalProofObject;
 }
 
-// Function to verify the proof
-async function verifyProof(proof, publicSignals) {
-    // Read the verification key from a JSON file
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
+/**
+ * Key length (in bytes) the totp_hmac circuit is compiled for; matches the secrets /otp/create issues.
+ */
+const HMAC_CIRCUIT_KEY_BYTES = 32;
+
+/**
+ * Builds Poseidon ahead of the first proof.
+ */
+export async function warmProver() {
+    await getPoseidon();
+}
 
-    // This will resolve to /usr/src/app/utils/totp.wasm inside the container
-    const verificationKeyPath = path.join(__dirname, "verification_key.json");
-    const verificationKey = JSON.parse(fs.readFileSync(verificationKeyPath, 'utf8'));
+/**
+ * Verifies a Groth16 proof against its public signals.
+ *
+ * @param {Object} proof - The snarkjs proof object (pi_a, pi_b, pi_c).
+ * @param {string[]} publicSignals - The public signals as decimal strings.
+ * @param {Object} verificationKey - The snarkjs verification key of the circuit that made the proof.
+ * @returns {Promise<boolean>} - True if the proof is valid.
+ */
+export async function verifyProof(proof, publicSignals, verificationKey) {
 
     // Use snarkjs to verify the proof
     const isValid = await snarkjs.groth16.verify(verificationKey, publicSignals, proof);
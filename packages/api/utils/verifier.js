@@ -0,0 +1,148 @@
+/***************************************
+ * verifier.js
+ * Offline verification of TOTP proofs, in either the Solidity calldata shape
+ * returned by /proof/generate or as raw snarkjs output.
+ **************************************/
+import { DEFAULT_TOTP_PARAMS, totpTimeStep, verifyProof } from "./utils.js";
+
+/**
+ * Names of the circuit's public signals, in output order.
+ */
+export const PUBLIC_SIGNAL_NAMES = ["hashedSecret", "hashedOtp", "timeStep", "actionHash", "txNonce"];
+
+/**
+ * Normalizes a submitted proof into snarkjs `{proof, publicSignals}`.
+ *
+ * Accepts either `{a, b, c, publicInput}` (hex strings, as produced by
+ * exportSolidityCallData) or `{proof, publicSignals}`.
+ *
+ * @param {Object} body - The submitted proof.
+ * @returns {{proof: Object, publicSignals: string[]}}
+ * @throws {Error} - If the proof is not in a recognized shape.
+ */
+export function normalizeProof(body) {
+    if (body?.proof && Array.isArray(body.publicSignals)) {
+        const { pi_a, pi_b, pi_c } = body.proof;
+        if (!Array.isArray(pi_a) || !Array.isArray(pi_b) || !Array.isArray(pi_c)) {
+            throw new Error("proof must contain pi_a, pi_b and pi_c");
+        }
+        return {
+            proof: { protocol: "groth16", curve: "bn128", ...body.proof },
+            publicSignals: body.publicSignals.map(toDecimal),
+        };
+    }
+
+    const { a, b, c, publicInput } = body ?? {};
+    if (!isPair(a) || !Array.isArray(b) || !isPair(b[0]) || !isPair(b[1]) || !isPair(c) || !Array.isArray(publicInput)) {
+        throw new Error("Expected {a, b, c, publicInput} or {proof, publicSignals}");
+    }
+
+    // The calldata lists each G2 coordinate as [imaginary, real]; snarkjs wants [real, imaginary]
+    return {
+        proof: {
+            protocol: "groth16",
+            curve: "bn128",
+            pi_a: [toDecimal(a[0]), toDecimal(a[1]), "1"],
+            pi_b: [
+                [toDecimal(b[0][1]), toDecimal(b[0][0])],
+                [toDecimal(b[1][1]), toDecimal(b[1][0])],
+                ["1", "0"],
+            ],
+            pi_c: [toDecimal(c[0]), toDecimal(c[1]), "1"],
+        },
+        publicSignals: publicInput.map(toDecimal),
+    };
+}
+
+/**
+ * Converts a snarkjs `{proof, publicSignals}` pair into the `{a, b, c, publicInput}`
+ * shape the contracts take, with every value as a 0x-prefixed hex string.
+ *
+ * @param {{proof: Object, publicSignals: string[]}} normalized - The output of normalizeProof().
+ * @returns {{a: string[], b: string[][], c: string[], publicInput: string[]}}
+ */
+export function toSolidityCallData({ proof, publicSignals }) {
+    return {
+        a: [toHex32(proof.pi_a[0]), toHex32(proof.pi_a[1])],
+        b: [
+            [toHex32(proof.pi_b[0][1]), toHex32(proof.pi_b[0][0])],
+            [toHex32(proof.pi_b[1][1]), toHex32(proof.pi_b[1][0])],
+        ],
+        c: [toHex32(proof.pi_c[0]), toHex32(proof.pi_c[1])],
+        publicInput: publicSignals.map(toHex32),
+    };
+}
+
+/**
+ * Decodes public signals into named fields. `timeStep` and `txNonce` are decimal
+ * strings, the hashes are 32-byte hex strings.
+ *
+ * @param {string[]} publicSignals - The public signals as decimal strings.
+ * @returns {{hashedSecret: string, hashedOtp: string, timeStep: string, actionHash: string, txNonce: string}}
+ */
+export function decodePublicSignals(publicSignals) {
+    if (publicSignals.length !== PUBLIC_SIGNAL_NAMES.length) {
+        throw new Error(`Expected ${PUBLIC_SIGNAL_NAMES.length} public signals, got ${publicSignals.length}`);
+    }
+    const [hashedSecret, hashedOtp, timeStep, actionHash, txNonce] = publicSignals;
+    return {
+        hashedSecret: toHex32(hashedSecret),
+        hashedOtp: toHex32(hashedOtp),
+        timeStep: BigInt(timeStep).toString(),
+        actionHash: toHex32(actionHash),
+        txNonce: BigInt(txNonce).toString(),
+    };
+}
+
+/**
+ * Verifies a proof and checks that its time step is still fresh.
+ *
+ * A time step is fresh if it lies within `maxAgeSteps` steps before the current
+ * one and at most `maxSkewSteps` steps after it.
+ *
+ * @param {Object} body - The proof, in any shape accepted by normalizeProof().
+ * @param {Object} [options]
+ * @param {Object} options.verificationKey - The verification key of the circuit the proof names.
+ * @param {number} [options.maxAgeSteps=2] - How many steps old the proof may be.
+ * @param {number} [options.maxSkewSteps=1] - How many steps ahead of our clock it may be.
+ * @param {number} [options.period=30] - TOTP period of the prover's secret, in seconds.
+ * @param {number} [options.now=Date.now()] - The current time in milliseconds.
+ * @returns {Promise<{valid: boolean, fresh: boolean, currentTimeStep: string, signals: Object}>}
+ * @throws {Error} - If the proof or its public signals are malformed.
+ */
+export async function verifyTotpProof(body, options = {}) {
+    const { verificationKey, maxAgeSteps = 2, maxSkewSteps = 1, period = DEFAULT_TOTP_PARAMS.period, now = Date.now() } = options;
+
+    const { proof, publicSignals } = normalizeProof(body);
+    const signals = decodePublicSignals(publicSignals);
+
+    let valid;
+    try {
+        valid = await verifyProof(proof, publicSignals, verificationKey);
+    } catch (err) {
+        // snarkjs throws on points that are not on the curve; that is just an invalid proof
+        console.warn("Proof verification threw:", err.message);
+        valid = false;
+    }
+
+    const currentStep = BigInt(totpTimeStep(now, { period }));
+    const step = BigInt(signals.timeStep);
+    const fresh = step >= currentStep - BigInt(maxAgeSteps) && step <= currentStep + BigInt(maxSkewSteps);
+
+    return { valid, fresh, currentTimeStep: currentStep.toString(), signals };
+}
+
+function isPair(value) {
+    return Array.isArray(value) && value.length === 2;
+}
+
+function toDecimal(value) {
+    if (typeof value !== "string" && typeof value !== "number" && typeof value !== "bigint") {
+        throw new Error(`Invalid field element: ${value}`);
+    }
+    return BigInt(value).toString();
+}
+
+function toHex32(value) {
+    return "0x" + BigInt(value).toString(16).padStart(64, "0");
+}
@@ -0,0 +1,132 @@
+/***************************************
+ * wallets.js
+ * Provisions zkOTPWallets for users through zkOTPWalletFactory.
+ **************************************/
+import { ethers } from "ethers";
+
+import { ZKOTP_WALLET_FACTORY_ABI } from "./chain.js";
+import { RelayerError } from "./relayer.js";
+
+/**
+ * CREATE2 salt of a user's wallet. `index` lets a user hold several wallets on one chain.
+ *
+ * @param {string} uid - The user id.
+ * @param {number} index - The wallet index.
+ * @returns {string} - The salt as bytes32 hex.
+ */
+export function walletSalt(uid, index) {
+    return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(["string", "uint256"], [uid, index]));
+}
+
+/**
+ * Creates the wallet provisioner. Wallets are deployed by the relayer, which is also their
+ * admin unless another is configured. It is never their owner: the owner can re-bind a
+ * wallet to any hashed secret without an OTP, so it must be the user's own address (or a
+ * configured WALLET_OWNER), never the server's hot key.
+ *
+ * @param {Object} options
+ * @param {ReturnType<import("./relayer.js").createRelayer>} options.relayer - Sends the deployments.
+ * @param {(chainId: string) => ethers.providers.Provider | null} options.getProvider - RPC lookup.
+ * @param {(chainId: string) => string | null} options.factoryAddressForChain - Factory lookup.
+ * @param {string} [options.owner] - Default owner of new wallets, when a request names none.
+ * @param {string} [options.admin] - Admin of new wallets (defaults to the relayer).
+ */
+export function createWalletProvisioner(options) {
+    const { relayer, getProvider, factoryAddressForChain } = options;
+
+    function chainContext(chainId) {
+        const factory = factoryAddressForChain(String(chainId));
+        if (!factory) {
+            throw new RelayerError("not_configured", `No wallet factory is configured for chain ${chainId}`);
+        }
+        const provider = getProvider(String(chainId));
+        if (!provider) {
+            throw new RelayerError("not_configured", `No RPC is configured for chain ${chainId}`);
+        }
+        if (!relayer.address) {
+            throw new RelayerError("not_configured", "No relayer key is configured");
+        }
+        return { factory, provider };
+    }
+
+    /**
+     * Resolves the owner, admin and salt of a wallet and its counterfactual address.
+     */
+    async function describe(uid, { chainId, index, owner }) {
+        const { factory, provider } = chainContext(chainId);
+        if (!owner && !options.owner) {
+            throw new RelayerError("owner_required", "Pass the owner's address; no default wallet owner is configured");
+        }
+        const walletOwner = ethers.utils.getAddress(owner || options.owner);
+        if (walletOwner === relayer.address) {
+            throw new RelayerError("owner_required", "The relayer cannot own user wallets");
+        }
+        const admin = ethers.utils.getAddress(options.admin || relayer.address);
+        const salt = walletSalt(uid, index);
+
+        const walletFactory = new ethers.Contract(factory, ZKOTP_WALLET_FACTORY_ABI, provider);
+        const address = await walletFactory.computeAddress(relayer.address, walletOwner, admin, salt);
+        const deployed = (await provider.getCode(address)) !== "0x";
+
+        return { address, deployed, chainId: String(chainId), index, owner: walletOwner, admin, factory, salt };
+    }
+
+    return {
+        /**
+         * Computes where a user's wallet lives (or will live) and whether it is deployed.
+         *
+         * @param {string} uid - The user id.
+         * @param {{chainId: string | number, index: number, owner?: string}} params
+         * @returns {Promise<Object>} - Address, deployment state, owner, admin, factory and salt.
+         * @throws {RelayerError} - If the chain has no factory, RPC or relayer, or there is no owner.
+         */
+        computeAddress(uid, params) {
+            return describe(uid, params);
+        },
+
+        /**
+         * Deploys a user's wallet with its hashedSecretConfig set. A wallet that is already
+         * deployed at the computed address is returned without a new transaction.
+         *
+         * @param {string} uid - The user id.
+         * @param {{chainId: string | number, index: number, owner?: string, hashedSecret: string}} params
+         * @returns {Promise<{wallet: Object, tx: Object | null}>} - The wallet and the relayed transaction.
+         * @throws {RelayerError} - If the chain is not configured, there is no owner or the
+         *         deployment would revert.
+         */
+        async deploy(uid, params) {
+            const wallet = await describe(uid, params);
+            if (wallet.deployed) {
+                console.info(`Wallet ${wallet.address} for user ${uid} is already deployed.`);
+                return { wallet, tx: null };
+            }
+
+            const tx = await relayer.deployWallet({
+                uid,
+                chainId: wallet.chainId,
+                factory: wallet.factory,
+                owner: wallet.owner,
+                admin: wallet.admin,
+                hashedSecret: params.hashedSecret,
+                salt: wallet.salt,
+            });
+            wallet.deployed = tx.status === "confirmed";
+            return { wallet, tx };
+        },
+
+        /**
+         * Adds the current balance (in wei) to each wallet. Wallets on chains without an
+         * RPC get a null balance.
+         *
+         * @param {Array<{address: string, chainId: string}>} wallets - The wallets to look up.
+         * @returns {Promise<Array<Object>>}
+         */
+        async withBalances(wallets) {
+            return Promise.all(wallets.map(async (wallet) => {
+                const provider = getProvider(wallet.chainId);
+                const balance = provider ? (await provider.getBalance(wallet.address)).toString() : null;
+                return { ...wallet, balance };
+            }));
+        },
+    };
+}
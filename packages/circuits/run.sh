@@ -1,31 +1,46 @@
 #!/bin/bash
 
+# Usage: ./run.sh [circuit] [ptau power]
+#   ./run.sh                  -> totp.circom with 2^12 powers of tau
+#   ./run.sh totp_hmac 16     -> totp_hmac.circom (in-circuit HMAC-SHA1, ~57k constraints)
+CIRCUIT=${1:-totp}
+POWER=${2:-12}
+
+# Keep the original artifact names for the default circuit
+if [ "$CIRCUIT" = "totp" ]; then
+    VKEY=verification_key.json
+    VERIFIER=verifier.sol
+else
+    VKEY=${CIRCUIT}_verification_key.json
+    VERIFIER=${CIRCUIT}_verifier.sol
+fi
+
 # 1) Compile
-circom totp.circom --r1cs --wasm --sym
+circom ${CIRCUIT}.circom --r1cs --wasm --sym
 
 # 2) Powers of Tau - Phase 1
-snarkjs powersoftau new bn128 12 pot12_0000.ptau -v
-snarkjs powersoftau contribute pot12_0000.ptau pot12_0001.ptau --name="First contribution" -v
+snarkjs powersoftau new bn128 ${POWER} pot${POWER}_0000.ptau -v
+snarkjs powersoftau contribute pot${POWER}_0000.ptau pot${POWER}_0001.ptau --name="First contribution" -v
 
 # 3) Powers of Tau - Phase 2
-snarkjs powersoftau prepare phase2 pot12_0001.ptau pot12_0002.ptau -v
+snarkjs powersoftau prepare phase2 pot${POWER}_0001.ptau pot${POWER}_0002.ptau -v
 
 # 4) Groth16 Setup
-snarkjs groth16 setup totp.r1cs pot12_0002.ptau totp_0000.zkey
-snarkjs zkey contribute totp_0000.zkey totp_0001.zkey --name="Second contribution" -v
-snarkjs zkey export verificationkey totp_0001.zkey verification_key.json
-snarkjs zkey export solidityverifier totp_0001.zkey verifier.sol
+snarkjs groth16 setup ${CIRCUIT}.r1cs pot${POWER}_0002.ptau ${CIRCUIT}_0000.zkey
+snarkjs zkey contribute ${CIRCUIT}_0000.zkey ${CIRCUIT}_0001.zkey --name="Second contribution" -v
+snarkjs zkey export verificationkey ${CIRCUIT}_0001.zkey ${VKEY}
+snarkjs zkey export solidityverifier ${CIRCUIT}_0001.zkey ${VERIFIER}
 
 # 5) Generate witness
-cd totp_js
-node generate_witness.js totp.wasm ../input.json ../witness.wtns
+cd ${CIRCUIT}_js
+node generate_witness.js ${CIRCUIT}.wasm ../input.json ../witness.wtns
 cd ..
 
 # 6) Prove
-snarkjs groth16 prove totp_0001.zkey witness.wtns proof.json public.json
+snarkjs groth16 prove ${CIRCUIT}_0001.zkey witness.wtns proof.json public.json
 
 # 7) Verify
-snarkjs groth16 verify verification_key.json public.json proof.json
+snarkjs groth16 verify ${VKEY} public.json proof.json
 
 
 #chmod +x run.sh
@@ -0,0 +1,170 @@
+/***************************************
+ * checkHmacWitness.mjs
+ * Witness check for the in-circuit HMAC-SHA1 TOTP (totp_hmac_lib.circom). Compiles the
+ * circuit for 20-byte keys (test/totp_hmac_20.circom) and 32-byte keys (totp_hmac.circom),
+ * then checks that
+ *   - the RFC 6238 Appendix B SHA-1 vectors, truncated to 6 digits, give a witness,
+ *   - random 32-byte secrets give a witness for the code computeTOTP6() computes,
+ *   - input_hmac_example.json gives a witness,
+ *   - a wrong code or a wrong hashed secret gives none,
+ *   - action_hash must be below 2^253.
+ *
+ * Usage:
+ *   node scripts/checkHmacWitness.mjs [--runs=5]
+ *
+ * Needs node_modules from `npm install`, which includes circom 2 (the circom2 package; the
+ * circom package is the 0.5 compiler and cannot build these circuits). CIRCOM=/path/to/circom
+ * uses another circom 2 binary instead. The reference TOTP and hashes come from
+ * packages/api/utils/utils.js.
+ **************************************/
+import { execFileSync } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import * as snarkjs from "snarkjs";
+
+import { BN254_PRIME, bytesToBigIntBE, computePoseidonHash, computeTOTP6 } from "../../api/utils/utils.js";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const runsArg = process.argv.slice(2).find((a) => a.startsWith("--runs="));
+const runs = runsArg ? parseInt(runsArg.split("=")[1], 10) : 5;
+
+// The RFC's SHA-1 seed, then Unix time in seconds and the 8-digit SHA-1 code
+const RFC_SEED = Buffer.from("12345678901234567890", "ascii");
+const RFC_VECTORS = [
+    [59, "94287082"],
+    [1111111109, "07081804"],
+    [1111111111, "14050471"],
+    [1234567890, "89005924"],
+    [2000000000, "69279037"],
+    [20000000000, "65353130"],
+];
+
+// The circom 2 compiler from devDependencies, unless CIRCOM names another
+const CIRCOM = process.env.CIRCOM || path.join(ROOT, "node_modules", ".bin", "circom2");
+
+/**
+ * Compiles a circuit to WebAssembly and returns the path of its .wasm.
+ */
+function compile(source, outDir) {
+    if (!fs.existsSync(CIRCOM) && !process.env.CIRCOM) {
+        throw new Error("circom 2 not found: run npm install in packages/circuits, or set CIRCOM to a circom 2 binary");
+    }
+    try {
+        execFileSync(CIRCOM, [source, "--wasm", "-o", outDir], { cwd: ROOT, stdio: ["ignore", "ignore", "pipe"] });
+    } catch (error) {
+        const reason = error.code === "ENOENT" ? "not found" : error.stderr?.toString().trim() || error.message;
+        throw new Error(`circom (${CIRCOM}) could not compile ${source}: ${reason}`);
+    }
+    const name = path.basename(source, ".circom");
+    return path.join(outDir, `${name}_js`, `${name}.wasm`);
+}
+
+/**
+ * The circuit input proving `otp` for a key at a time step.
+ */
+async function circuitInput(keyBytes, timeStep, otp) {
+    return {
+        secret_bytes: Array.from(keyBytes, (b) => b.toString()),
+        otp_code: otp.toString(),
+        hashed_secret: await computePoseidonHash(bytesToBigIntBE(keyBytes) % BN254_PRIME),
+        hashed_otp: await computePoseidonHash(BigInt(otp)),
+        time_step: timeStep.toString(),
+        action_hash: "1",
+        tx_nonce: "1",
+    };
+}
+
+/**
+ * The public outputs of the witness for `input`, or null if the circuit rejects it.
+ */
+async function witnessOutputs(wasm, input) {
+    const wtns = { type: "mem" };
+    // The witness calculator prints every failed assertion before throwing
+    const { log, error } = console;
+    console.log = console.error = () => {};
+    try {
+        await snarkjs.wtns.calculate(input, wasm, wtns);
+    } catch {
+        return null;
+    } finally {
+        Object.assign(console, { log, error });
+    }
+    // Signal 0 is the constant 1; the five public outputs follow
+    const witness = await snarkjs.wtns.exportJson(wtns);
+    return witness.slice(1, 6).map(String);
+}
+
+/**
+ * Checks that `input` gives a witness whose outputs repeat the public inputs.
+ */
+async function expectWitness(wasm, input, label) {
+    const outputs = await witnessOutputs(wasm, input);
+    if (!outputs) {
+        throw new Error(`${label}: no witness for otp ${input.otp_code} at step ${input.time_step}`);
+    }
+    const expected = [input.hashed_secret, input.hashed_otp, input.time_step, input.action_hash, input.tx_nonce];
+    if (outputs.join() !== expected.join()) {
+        throw new Error(`${label}: public outputs ${outputs} are not ${expected}`);
+    }
+}
+
+async function expectNoWitness(wasm, input, label) {
+    if (await witnessOutputs(wasm, input)) {
+        throw new Error(`${label}: the circuit accepted it`);
+    }
+}
+
+async function main() {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "totp-hmac-"));
+    try {
+        const wasm20 = compile("test/totp_hmac_20.circom", outDir);
+        const wasm32 = compile("totp_hmac.circom", outDir);
+
+        for (const [time, code] of RFC_VECTORS) {
+            const timeStep = Math.floor(time / 30);
+            const otp = Number(code.slice(-6));
+            if (computeTOTP6(RFC_SEED, timeStep) !== otp) {
+                throw new Error(`computeTOTP6 does not reproduce the RFC vector at T=${time}`);
+            }
+            await expectWitness(wasm20, await circuitInput(RFC_SEED, timeStep, otp), `RFC vector T=${time}`);
+        }
+        console.info(`${RFC_VECTORS.length} RFC 6238 SHA-1 vectors prove with a 20-byte key.`);
+
+        for (let run = 0; run < runs; run++) {
+            const key = crypto.randomBytes(32);
+            const timeStep = crypto.randomInt(2 ** 40);
+            const otp = computeTOTP6(key, timeStep);
+            const input = await circuitInput(key, timeStep, otp);
+            await expectWitness(wasm32, input, `run ${run}`);
+
+            await expectNoWitness(wasm32, { ...input, otp_code: String((otp + 1) % 1000000), hashed_otp: await computePoseidonHash(BigInt((otp + 1) % 1000000)) }, `run ${run} with a wrong code`);
+            const otherKey = crypto.randomBytes(32);
+            await expectNoWitness(wasm32, { ...input, hashed_secret: (await circuitInput(otherKey, timeStep, otp)).hashed_secret }, `run ${run} with another key's hash`);
+        }
+        console.info(`${runs} random 32-byte secrets match computeTOTP6(); wrong codes and hashes are rejected.`);
+
+        const key = crypto.randomBytes(32);
+        const base = await circuitInput(key, 1, computeTOTP6(key, 1));
+        await expectWitness(wasm32, { ...base, action_hash: ((1n << 253n) - 1n).toString() }, "action_hash 2^253 - 1");
+        await expectNoWitness(wasm32, { ...base, action_hash: (1n << 253n).toString() }, "action_hash 2^253");
+        await expectNoWitness(wasm32, { ...base, action_hash: (BN254_PRIME - 1n).toString() }, "action_hash p - 1");
+        console.info("action_hash is range-checked to 253 bits.");
+
+        const example = JSON.parse(fs.readFileSync(path.join(ROOT, "input_hmac_example.json"), "utf8"));
+        await expectWitness(wasm32, example, "input_hmac_example.json");
+        console.info("input_hmac_example.json proves.");
+    } finally {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    }
+}
+
+// snarkjs leaves its curve worker threads running, so exit explicitly
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
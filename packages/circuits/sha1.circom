@@ -0,0 +1,183 @@
+pragma circom 2.0.0;
+include "./node_modules/circomlib/circuits/bitify.circom";
+include "./node_modules/circomlib/circuits/sha256/ch.circom";
+include "./node_modules/circomlib/circuits/sha256/maj.circom";
+include "./node_modules/circomlib/circuits/sha256/xor3.circom";
+
+// Words are 32-bit arrays, least significant bit first: value = sum(w[k] * 2^k).
+
+// SHA-1 round constant for round t.
+function sha1K(t) {
+    if (t < 20) return 0x5A827999;
+    if (t < 40) return 0x6ED9EBA1;
+    if (t < 60) return 0x8F1BBCDC;
+    return 0xCA62C1D6;
+}
+
+// SHA-1 initial hash value H0..H4.
+function sha1IV(i) {
+    var iv[5] = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+    return iv[i];
+}
+
+// One SHA-1 compression: hout = hin + compress(hin, w), all mod 2^32.
+template Sha1Compression() {
+    signal input hin[5][32];
+    signal input w[16][32];
+    signal output hout[5][32];
+
+    // Message schedule: W[t] = rotl1(W[t-3] ^ W[t-8] ^ W[t-14] ^ W[t-16])
+    signal sched[80][32];
+    signal xor4[64][32];
+    component xor3[64];
+    for (var t = 0; t < 80; t++) {
+        if (t < 16) {
+            for (var k = 0; k < 32; k++) {
+                sched[t][k] <== w[t][k];
+            }
+        } else {
+            xor3[t - 16] = Xor3(32);
+            for (var k = 0; k < 32; k++) {
+                xor3[t - 16].a[k] <== sched[t - 3][k];
+                xor3[t - 16].b[k] <== sched[t - 8][k];
+                xor3[t - 16].c[k] <== sched[t - 14][k];
+            }
+            for (var k = 0; k < 32; k++) {
+                xor4[t - 16][k] <== xor3[t - 16].out[k] + sched[t - 16][k]
+                    - 2 * xor3[t - 16].out[k] * sched[t - 16][k];
+            }
+            for (var k = 0; k < 32; k++) {
+                sched[t][k] <== xor4[t - 16][(k - 1 + 32) % 32];
+            }
+        }
+    }
+
+    // Working variables a..e for every round
+    signal a[81][32];
+    signal b[81][32];
+    signal c[81][32];
+    signal d[81][32];
+    signal e[81][32];
+    for (var k = 0; k < 32; k++) {
+        a[0][k] <== hin[0][k];
+        b[0][k] <== hin[1][k];
+        c[0][k] <== hin[2][k];
+        d[0][k] <== hin[3][k];
+        e[0][k] <== hin[4][k];
+    }
+
+    // f(b, c, d): Ch for rounds 0-19, Maj for 40-59, parity otherwise
+    component ch[20];
+    component maj[20];
+    component parity[40];
+    component sum[80];
+    for (var t = 0; t < 80; t++) {
+        var f[32];
+        if (t < 20) {
+            ch[t] = Ch_t(32);
+            for (var k = 0; k < 32; k++) {
+                ch[t].a[k] <== b[t][k];
+                ch[t].b[k] <== c[t][k];
+                ch[t].c[k] <== d[t][k];
+            }
+            for (var k = 0; k < 32; k++) {
+                f[k] = ch[t].out[k];
+            }
+        } else if (t >= 40 && t < 60) {
+            maj[t - 40] = Maj_t(32);
+            for (var k = 0; k < 32; k++) {
+                maj[t - 40].a[k] <== b[t][k];
+                maj[t - 40].b[k] <== c[t][k];
+                maj[t - 40].c[k] <== d[t][k];
+            }
+            for (var k = 0; k < 32; k++) {
+                f[k] = maj[t - 40].out[k];
+            }
+        } else {
+            var p = t < 40 ? t - 20 : t - 40;
+            parity[p] = Xor3(32);
+            for (var k = 0; k < 32; k++) {
+                parity[p].a[k] <== b[t][k];
+                parity[p].b[k] <== c[t][k];
+                parity[p].c[k] <== d[t][k];
+            }
+            for (var k = 0; k < 32; k++) {
+                f[k] = parity[p].out[k];
+            }
+        }
+
+        // temp = rotl5(a) + f + e + K + W[t]; five 32-bit terms fit in 35 bits
+        var temp = sha1K(t);
+        for (var k = 0; k < 32; k++) {
+            temp += (a[t][(k - 5 + 32) % 32] + f[k] + e[t][k] + sched[t][k]) * (1 << k);
+        }
+        sum[t] = Num2Bits(35);
+        sum[t].in <== temp;
+
+        for (var k = 0; k < 32; k++) {
+            a[t + 1][k] <== sum[t].out[k];
+            b[t + 1][k] <== a[t][k];
+            c[t + 1][k] <== b[t][(k - 30 + 32) % 32];
+            d[t + 1][k] <== c[t][k];
+            e[t + 1][k] <== d[t][k];
+        }
+    }
+
+    // Add the compressed chunk to the incoming hash value
+    component add[5];
+    for (var i = 0; i < 5; i++) {
+        add[i] = Num2Bits(33);
+        var acc = 0;
+        for (var k = 0; k < 32; k++) {
+            var v;
+            if (i == 0) {
+                v = a[80][k];
+            } else if (i == 1) {
+                v = b[80][k];
+            } else if (i == 2) {
+                v = c[80][k];
+            } else if (i == 3) {
+                v = d[80][k];
+            } else {
+                v = e[80][k];
+            }
+            acc += (hin[i][k] + v) * (1 << k);
+        }
+        add[i].in <== acc;
+        for (var k = 0; k < 32; k++) {
+            hout[i][k] <== add[i].out[k];
+        }
+    }
+}
+
+// SHA-1 over two 512-bit blocks, starting from the standard IV.
+// The caller supplies already padded blocks.
+template Sha1TwoBlocks() {
+    signal input block[2][16][32];
+    signal output digest[5][32];
+
+    component comp[2];
+    for (var j = 0; j < 2; j++) {
+        comp[j] = Sha1Compression();
+        for (var i = 0; i < 5; i++) {
+            for (var k = 0; k < 32; k++) {
+                if (j == 0) {
+                    comp[j].hin[i][k] <== (sha1IV(i) >> k) & 1;
+                } else {
+                    comp[j].hin[i][k] <== comp[j - 1].hout[i][k];
+                }
+            }
+        }
+        for (var i = 0; i < 16; i++) {
+            for (var k = 0; k < 32; k++) {
+                comp[j].w[i][k] <== block[j][i][k];
+            }
+        }
+    }
+
+    for (var i = 0; i < 5; i++) {
+        for (var k = 0; k < 32; k++) {
+            digest[i][k] <== comp[1].hout[i][k];
+        }
+    }
+}
@@ -0,0 +1,5 @@
+pragma circom 2.0.0;
+include "../totp_hmac_lib.circom";
+
+// 20-byte keys, for the RFC 6238 SHA-1 test vectors (scripts/checkHmacWitness.mjs)
+component main = TOTPHmacCircuit(20);
@@ -1,5 +1,6 @@
 pragma circom 2.0.0;
 include "./node_modules/circomlib/circuits/poseidon.circom";
+include "./node_modules/circomlib/circuits/bitify.circom";
 
 template TOTPCircuit() {
     // All inputs (treated as private by default)
@@ -22,6 +23,12 @@ template TOTPCircuit() {
     poseidonSecret.out === hashed_secret;
     poseidonOtp.out === hashed_otp;
 
+    // action_hash is keccak256(action) with its top 3 bits cleared (computeActionHash() in
+    // packages/api/utils/utils.js, zkOTPWallet.ACTION_HASH_MASK). Decomposing it into 253
+    // bits proves it is below 2^253, so no other field element can stand in for it.
+    component actionHashBits = Num2Bits(253);
+    actionHashBits.in <== action_hash;
+
     // If you want these to appear in public.json, define them as outputs:
     signal output outHashedSecret;
     signal output outHashedOtp;
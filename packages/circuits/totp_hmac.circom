@@ -0,0 +1,5 @@
+pragma circom 2.0.0;
+include "./totp_hmac_lib.circom";
+
+// The production circuit: 32-byte keys, as /otp/create issues them
+component main = TOTPHmacCircuit(32);
@@ -0,0 +1,161 @@
+pragma circom 2.0.0;
+include "./node_modules/circomlib/circuits/poseidon.circom";
+include "./node_modules/circomlib/circuits/bitify.circom";
+include "./node_modules/circomlib/circuits/comparators.circom";
+include "./sha1.circom";
+
+// Variant of TOTPCircuit that proves otp_code is the RFC 6238 TOTP of the secret:
+//   otp_code == HOTP-SHA1(secret_bytes, time_step) mod 10^6
+// This mirrors computeTOTP6() in packages/api/utils/utils.js.
+//
+// KEY_BYTES is the length of the base32-decoded TOTP secret: 32 for secrets from
+// /otp/create (totp_hmac.circom), 20 for the RFC 6238 SHA-1 seed
+// (test/totp_hmac_20.circom). hashed_secret is Poseidon(bytesToBigIntBE(secret_bytes) mod p),
+// the same value computePoseidonHash() produces for the secret.
+template TOTPHmacCircuit(KEY_BYTES) {
+    signal input secret_bytes[KEY_BYTES];
+    signal input otp_code;
+    signal input hashed_secret;
+    signal input hashed_otp;
+    signal input time_step;
+    signal input action_hash;
+    signal input tx_nonce;
+
+    // 1) Range-check the key bytes and fold them into a field element (big-endian)
+    component keyBits[KEY_BYTES];
+    var secretField = 0;
+    for (var i = 0; i < KEY_BYTES; i++) {
+        keyBits[i] = Num2Bits(8);
+        keyBits[i].in <== secret_bytes[i];
+        secretField = secretField * 256 + secret_bytes[i];
+    }
+
+    component poseidonSecret = Poseidon(1);
+    poseidonSecret.inputs[0] <== secretField;
+    poseidonSecret.out === hashed_secret;
+
+    // 2) The HMAC message is time_step as an 8-byte big-endian counter
+    component stepBits = Num2Bits(64);
+    stepBits.in <== time_step;
+
+    // 3) HMAC-SHA1(key, msg) = SHA1((K ^ opad) || SHA1((K ^ ipad) || msg))
+    //    The key is zero-padded to one 64-byte block; XOR with a constant pad is linear.
+    component inner = Sha1TwoBlocks();
+    component outer = Sha1TwoBlocks();
+    for (var w = 0; w < 16; w++) {
+        for (var byteInWord = 0; byteInWord < 4; byteInWord++) {
+            var idx = w * 4 + byteInWord;
+            for (var k = 0; k < 8; k++) {
+                var keyBit = 0;
+                if (idx < KEY_BYTES) {
+                    keyBit = keyBits[idx].out[k];
+                }
+                var bit = 8 * (3 - byteInWord) + k;
+                inner.block[0][w][bit] <== ((0x36 >> k) & 1) == 1 ? 1 - keyBit : keyBit;
+                outer.block[0][w][bit] <== ((0x5c >> k) & 1) == 1 ? 1 - keyBit : keyBit;
+            }
+        }
+    }
+
+    // Inner second block: counter (8 bytes) || 0x80 || zeros || bit length 576
+    for (var w = 0; w < 16; w++) {
+        for (var k = 0; k < 32; k++) {
+            if (w == 0) {
+                inner.block[1][w][k] <== stepBits.out[32 + k];
+            } else if (w == 1) {
+                inner.block[1][w][k] <== stepBits.out[k];
+            } else if (w == 2) {
+                inner.block[1][w][k] <== k == 31 ? 1 : 0;
+            } else if (w == 15) {
+                inner.block[1][w][k] <== (576 >> k) & 1;
+            } else {
+                inner.block[1][w][k] <== 0;
+            }
+        }
+    }
+
+    // Outer second block: inner digest (20 bytes) || 0x80 || zeros || bit length 672
+    for (var w = 0; w < 16; w++) {
+        for (var k = 0; k < 32; k++) {
+            if (w < 5) {
+                outer.block[1][w][k] <== inner.digest[w][k];
+            } else if (w == 5) {
+                outer.block[1][w][k] <== k == 31 ? 1 : 0;
+            } else if (w == 15) {
+                outer.block[1][w][k] <== (672 >> k) & 1;
+            } else {
+                outer.block[1][w][k] <== 0;
+            }
+        }
+    }
+
+    // 4) Dynamic truncation: offset = digest[19] & 0x0f, then take the 31-bit
+    //    big-endian value of digest[offset..offset+3]
+    // Bit k (LSB first) of digest byte j sits in word j/4 at bit 8*(3 - j%4) + k.
+    var offset = 0;
+    for (var k = 0; k < 4; k++) {
+        offset += outer.digest[4][k] * (1 << k);
+    }
+
+    component isOffset[16];
+    signal selected[16];
+    var binCode = 0;
+    for (var o = 0; o < 16; o++) {
+        var window = 0;
+        for (var j = 0; j < 4; j++) {
+            var byteIdx = o + j;
+            for (var k = 0; k < 8; k++) {
+                // The top bit of the first byte is masked off (& 0x7f)
+                if (j != 0 || k != 7) {
+                    window += outer.digest[byteIdx \ 4][8 * (3 - byteIdx % 4) + k] * (1 << (8 * (3 - j) + k));
+                }
+            }
+        }
+        isOffset[o] = IsEqual();
+        isOffset[o].in[0] <== offset;
+        isOffset[o].in[1] <== o;
+        selected[o] <== isOffset[o].out * window;
+        binCode += selected[o];
+    }
+
+    // 5) otp_code = binCode mod 10^6 with binCode < 2^31, so the quotient is < 2^12
+    signal quotient;
+    quotient <-- binCode \ 1000000;
+    binCode === quotient * 1000000 + otp_code;
+
+    component quotientBits = Num2Bits(12);
+    quotientBits.in <== quotient;
+    component otpBits = Num2Bits(20);
+    otpBits.in <== otp_code;
+    component otpRange = LessThan(20);
+    otpRange.in[0] <== otp_code;
+    otpRange.in[1] <== 1000000;
+    otpRange.out === 1;
+
+    // 6) Bind the OTP to its public commitment
+    component poseidonOtp = Poseidon(1);
+    poseidonOtp.inputs[0] <== otp_code;
+    poseidonOtp.out === hashed_otp;
+
+    // 7) action_hash is the 253-bit masked keccak256 of the action, as in TOTPCircuit;
+    // its bit decomposition also binds it to the proof
+    component actionHashBits = Num2Bits(253);
+    actionHashBits.in <== action_hash;
+
+    // Quadratic constraint so tx_nonce can't be swapped out of the proof
+    signal txNonceSquare;
+    txNonceSquare <== tx_nonce * tx_nonce;
+
+    // Public outputs, in the same order as TOTPCircuit
+    signal output outHashedSecret;
+    signal output outHashedOtp;
+    signal output outTimeStep;
+    signal output outActionHash;
+    signal output outTxNonce;
+
+    outHashedSecret <== hashed_secret;
+    outHashedOtp <== hashed_otp;
+    outTimeStep <== time_step;
+    outActionHash <== action_hash;
+    outTxNonce <== tx_nonce;
+}
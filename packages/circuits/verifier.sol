@@ -27,39 +27,39 @@ contract Groth16Verifier {
     uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
 
     // Verification Key data
-    uint256 constant alphax  = 7539543228547913098447663133716838929234882202406641751184078036061026634140;
-    uint256 constant alphay  = 2454731454652363933188501623135935741833826909831291602368119045983522804185;
-    uint256 constant betax1  = 10217662979799309187626414635877609150635345869733584046692007468256765567645;
-    uint256 constant betax2  = 10194538273921466491783974173436424886269557892714946034754764754975323853570;
-    uint256 constant betay1  = 14182646368676949344750311078781341918766553419795448666725761108577851463032;
-    uint256 constant betay2  = 19896582962178481451823376032962189175142219585040028673133497562907867044862;
+    uint256 constant alphax  = 868195131305144503082097820567379912180888578222787125791495813811920140637;
+    uint256 constant alphay  = 16691334079215816941351722404950752830222631355410309759709248235122056379997;
+    uint256 constant betax1  = 16460463268190625635694546006926789661342493684032949927500346511163055157094;
+    uint256 constant betax2  = 8737177046705430425902601084329211596391036757246439432234615972572974025082;
+    uint256 constant betay1  = 487303619550565235020611341434732029693574769618456786377390577866676784818;
+    uint256 constant betay2  = 13693331563010994867831215240211562265969714374586338865284128636858374750948;
     uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
     uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
     uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
     uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
-    uint256 constant deltax1 = 11883774142225728767170305376343884689039639372177893417701400669365802970895;
-    uint256 constant deltax2 = 19170448907003152643947508504986466010241186288204932783671969943828870967065;
-    uint256 constant deltay1 = 9306944179214784678927097090355936536714912900720990073771815537185819517691;
-    uint256 constant deltay2 = 1235430296139838566423353500693144690705123125433503595619527822104254946434;
+    uint256 constant deltax1 = 11458245437300762887603949917284334587526642921318719171051926861935671040802;
+    uint256 constant deltax2 = 15774804238949276590339864392933400067680026490087904858914314496411061969423;
+    uint256 constant deltay1 = 10713986644116147644426946356268460233132578729599142640747892983758019451951;
+    uint256 constant deltay2 = 4680012345133521073394573090184479105057895825278302469703793405059492238601;
 
     
-    uint256 constant IC0x = 14854124176633071270951638725130988156781170995534196649961351491470822039423;
-    uint256 constant IC0y = 21449816017136877129398611640444304468557767654624627838354758683293789027394;
+    uint256 constant IC0x = 10897282925058893833651279637484194436671383380190121665670288961303055792080;
+    uint256 constant IC0y = 18258276710268828182146953397491697204537609317111873756900194173965289003411;
     
-    uint256 constant IC1x = 1714373242851579696782314339115497775003140534294818316479473228575000116921;
-    uint256 constant IC1y = 4910553549393412349890392886706612146683337073061873686189369682508109628265;
+    uint256 constant IC1x = 18122763672830272866073800907499318466789321863967851593249974336661354248053;
+    uint256 constant IC1y = 13329424968641326451313099171593030023677161110145953892277341917684309465107;
     
-    uint256 constant IC2x = 13135415213774843156305113110774196753988096559757569740125617124060216150045;
-    uint256 constant IC2y = 8986678102405517780317364911036733285766273576092507437782921823305669016346;
+    uint256 constant IC2x = 15528711168534681243064318365972979509503514834557864017713962568615003507691;
+    uint256 constant IC2y = 1634457738634776084717655647704319978734822385139061342812022109768980496631;
     
-    uint256 constant IC3x = 5748576288216207752988555759647079793814422149010338248144420916473680274656;
-    uint256 constant IC3y = 18851507001930855047974001554851509250743567416371954814472708467022649839344;
+    uint256 constant IC3x = 11836969627601015163119168558225487687770345399568623081935244900115885537822;
+    uint256 constant IC3y = 17468125770019906689751042021108765756204207552960292092986266073076095725956;
     
-    uint256 constant IC4x = 13754618400990715782131608167269430661371148856300157256763902512287570173348;
-    uint256 constant IC4y = 17019727237653296940246826804003199920569260838974774828647728936525149502478;
+    uint256 constant IC4x = 9805606086999312720186340028423664185137499495800517871419005934908343711464;
+    uint256 constant IC4y = 19268619241316836607374597913844011544595630761712945111301824058564841093106;
     
-    uint256 constant IC5x = 20044385724935696625256781454953598378650065452080840285090760043078207870603;
-    uint256 constant IC5y = 16878087852459583415538313242594785387448725649397603873627993519160324294376;
+    uint256 constant IC5x = 5496595614330505622632611581563319194651124450545193795877723199555109717049;
+    uint256 constant IC5y = 5734172609478244968570805364414669719547753673713235648984385296546302109890;
     
  
     // Memory data
@@ -25,7 +25,8 @@ interface IVerifier {
  *         in order to execute transactions.
  *
  * The proof must supply:
- *  - action_hash: hashed data of the transaction (recipient, value, call data)
+ *  - action_hash: hashed data of the transaction (recipient, value, call data), as the
+ *    low 253 bits of its keccak256 digest (see ACTION_HASH_MASK)
  *  - tx_nonce: a unique nonce so the same proof cannot be replayed
  *
  * The wallet has:
@@ -48,6 +49,10 @@ contract zkOTPWallet {
     /// @notice Tracks used tx_nonces to prevent replay attacks.
     mapping(uint256 => bool) public usedNonces;
 
+    /// @notice Keeps the low 253 bits of an action hash. 2^253 is below the BN254 scalar
+    ///         field, so the masked hash passes through the circuit without being reduced.
+    uint256 public constant ACTION_HASH_MASK = (1 << 253) - 1;
+
     /// @notice Emitted when the owner is changed.
     event OwnerChanged(address indexed oldOwner, address indexed newOwner);
 
@@ -108,8 +113,18 @@ contract zkOTPWallet {
         emit AdminChanged(oldAdmin, _newAdmin);
     }
 
-    function setHashedSecretConfig(uint _hashedSecret) external onlyOwner {
-        uint oldHashedSecretConfig = _hashedSecret;
+    /**
+     * @notice Sets the Poseidon hash of the TOTP secret. Callable by the owner, or by the
+     *         wallet itself through execute(), so a proof from the current secret can
+     *         re-bind the wallet to a rotated one.
+     * @param _hashedSecret The new hashed secret.
+     */
+    function setHashedSecretConfig(uint _hashedSecret) external {
+        require(
+            msg.sender == owner || msg.sender == address(this),
+            "Not owner"
+        );
+        uint oldHashedSecretConfig = hashedSecretConfig;
         hashedSecretConfig = _hashedSecret;
         emit HashedSecretConfigChanged(
             oldHashedSecretConfig,
@@ -127,10 +142,10 @@ contract zkOTPWallet {
      * @param b      Part of Groth16 proof.
      * @param c      Part of Groth16 proof.
      * @param input  The public signals array from the circuit. For TOTPCircuit, you might have:
-     *               input[0] = hashed_secret (unused here)
+     *               input[0] = hashed_secret (must equal the wallet's hashedSecretConfig)
      *               input[1] = hashed_otp (unused here)
      *               input[2] = time_step (unused here)
-     *               input[3] = action_hash
+     *               input[3] = action_hash (keccak256 digest & ACTION_HASH_MASK)
      *               input[4] = tx_nonce
      */
     function execute(
@@ -144,33 +159,16 @@ contract zkOTPWallet {
         // Public inputs
         uint256[5] memory input
     ) external returns (bytes memory) {
-        // Verify the proof with the given public signals
-        bool ok = verifier.verifyProof(a, b, c, input);
-        require(ok, "Invalid ZK proof");
-
-        // Extract the action_hash and tx_nonce from the input
-        uint256 hashedSecret = input[0];
-        uint256 actionHashField = input[3];
-        uint256 txNonce = input[4];
-
-        // Check if txNonce is already used
-        require(!usedNonces[txNonce], "Nonce already used");
-        usedNonces[txNonce] = true;
-
-        require(hashedSecret != hashedSecretConfig, "Invalid hashed secret");
+        uint256 actionHashField = _consumeProof(a, b, c, input);
 
-        // Re-compute the action hash from _to, _value, and _data
-        // Typically you'd do keccak256(abi.encode(...)) as a bytes32,
-        // but the circuit's "action_hash" might be a field element < 2^256.
-        // For demonstration, we compare them directly as uint256:
+        // Re-compute the action hash from _to, _value, and _data, bound to this
+        // chain and this wallet so the proof can't be replayed elsewhere.
         bytes32 computedActionHash = keccak256(
-            abi.encodePacked(_to, _value, _data)
+            abi.encodePacked(block.chainid, address(this), _to, _value, _data)
         );
-        // Convert to uint256
-        uint256 computedActionHashField = uint256(computedActionHash);
 
         require(
-            computedActionHashField == actionHashField,
+            _toField(computedActionHash) == actionHashField,
             "Action hash mismatch"
         );
 
@@ -181,6 +179,95 @@ contract zkOTPWallet {
         return result;
     }
 
+    /// @notice Domain tag of batch action hashes, so they never collide with single ones.
+    bytes32 public constant BATCH_ACTION_TAG = keccak256("zkOTPWallet.executeBatch");
+
+    /// @notice Upper bound on the number of calls in one batch.
+    uint256 public constant MAX_BATCH_SIZE = 16;
+
+    /**
+     * @notice Executes several calls in order with a single proof. Either all of them
+     *         succeed or the whole batch reverts.
+     * @dev The proof's action_hash must be
+     *      keccak256(abi.encode(BATCH_ACTION_TAG, block.chainid, address(this), _to, _value, _data)),
+     *      masked with ACTION_HASH_MASK.
+     * @param _to    Target address of each call.
+     * @param _value ETH value of each call (in wei).
+     * @param _data  Call data of each call.
+     * @param a      Part of Groth16 proof.
+     * @param b      Part of Groth16 proof.
+     * @param c      Part of Groth16 proof.
+     * @param input  The public signals array, as for execute().
+     */
+    function executeBatch(
+        address[] calldata _to,
+        uint256[] calldata _value,
+        bytes[] calldata _data,
+        uint256[2] memory a,
+        uint256[2][2] memory b,
+        uint256[2] memory c,
+        uint256[5] memory input
+    ) external returns (bytes[] memory results) {
+        require(
+            _to.length > 0 && _to.length <= MAX_BATCH_SIZE,
+            "Invalid batch size"
+        );
+        require(
+            _to.length == _value.length && _to.length == _data.length,
+            "Batch length mismatch"
+        );
+
+        uint256 actionHashField = _consumeProof(a, b, c, input);
+
+        bytes32 computedActionHash = keccak256(
+            abi.encode(BATCH_ACTION_TAG, block.chainid, address(this), _to, _value, _data)
+        );
+        require(
+            _toField(computedActionHash) == actionHashField,
+            "Action hash mismatch"
+        );
+
+        results = new bytes[](_to.length);
+        for (uint256 i = 0; i < _to.length; i++) {
+            (bool success, bytes memory result) = _to[i].call{value: _value[i]}(_data[i]);
+            require(success, "Call failed");
+            results[i] = result;
+        }
+    }
+
+    /**
+     * @dev The action_hash public signal for a keccak256 digest.
+     */
+    function _toField(bytes32 digest) internal pure returns (uint256) {
+        return uint256(digest) & ACTION_HASH_MASK;
+    }
+
+    /**
+     * @dev Verifies the proof, consumes its tx_nonce and checks the hashed secret.
+     * @return actionHashField The action_hash public signal the caller must match.
+     */
+    function _consumeProof(
+        uint256[2] memory a,
+        uint256[2][2] memory b,
+        uint256[2] memory c,
+        uint256[5] memory input
+    ) internal returns (uint256 actionHashField) {
+        // Verify the proof with the given public signals
+        bool ok = verifier.verifyProof(a, b, c, input);
+        require(ok, "Invalid ZK proof");
+
+        // Extract the action_hash and tx_nonce from the input
+        uint256 hashedSecret = input[0];
+        actionHashField = input[3];
+        uint256 txNonce = input[4];
+
+        // Check if txNonce is already used
+        require(!usedNonces[txNonce], "Nonce already used");
+        usedNonces[txNonce] = true;
+
+        require(hashedSecret == hashedSecretConfig, "Invalid hashed secret");
+    }
+
     /**
      * @notice Fallback function to accept ETH.
      */
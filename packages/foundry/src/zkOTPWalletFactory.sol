@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "./zkOTPWallet.sol";
+
+/**
+ * @title zkOTPWalletFactory
+ * @notice Deploys zkOTPWallets with CREATE2, so a wallet's address is known before it exists.
+ *
+ * Each wallet is deployed with the factory as its temporary owner, gets its hashedSecretConfig,
+ * and is then handed to the requested owner, all in one transaction.
+ *
+ * The caller is mixed into the CREATE2 salt, so nobody else can deploy a wallet at an address
+ * another deployer computed.
+ */
+contract zkOTPWalletFactory {
+    /// @notice The verifier every wallet from this factory uses.
+    address public immutable verifier;
+
+    /// @notice Emitted when a wallet is deployed.
+    event WalletDeployed(
+        address indexed wallet,
+        address indexed deployer,
+        address indexed owner,
+        bytes32 salt
+    );
+
+    /**
+     * @param _verifier The verifier contract wallets will use.
+     */
+    constructor(address _verifier) {
+        require(_verifier != address(0), "Invalid verifier");
+        verifier = _verifier;
+    }
+
+    /**
+     * @notice Deploys a wallet and sets its hashed secret.
+     * @param _owner        Owner of the new wallet.
+     * @param _admin        Admin of the new wallet.
+     * @param _hashedSecret Poseidon hash of the user's TOTP secret.
+     * @param _salt         Caller-chosen salt, e.g. derived from the user id.
+     * @return wallet The address of the new wallet.
+     */
+    function deployWallet(
+        address _owner,
+        address _admin,
+        uint _hashedSecret,
+        bytes32 _salt
+    ) external returns (address wallet) {
+        require(_owner != address(0), "Invalid owner");
+
+        zkOTPWallet w = new zkOTPWallet{salt: _deploySalt(msg.sender, _owner, _admin, _salt)}(
+            address(this),
+            _admin,
+            verifier
+        );
+        w.setHashedSecretConfig(_hashedSecret);
+        w.setOwner(_owner);
+
+        wallet = address(w);
+        emit WalletDeployed(wallet, msg.sender, _owner, _salt);
+    }
+
+    /**
+     * @notice Computes the address deployWallet would deploy to.
+     * @param _deployer The account that will call deployWallet.
+     * @param _owner    Owner of the wallet.
+     * @param _admin    Admin of the wallet.
+     * @param _salt     Caller-chosen salt.
+     */
+    function computeAddress(
+        address _deployer,
+        address _owner,
+        address _admin,
+        bytes32 _salt
+    ) external view returns (address) {
+        bytes32 initCodeHash = keccak256(
+            abi.encodePacked(
+                type(zkOTPWallet).creationCode,
+                abi.encode(address(this), _admin, verifier)
+            )
+        );
+        bytes32 hash = keccak256(
+            abi.encodePacked(
+                bytes1(0xff),
+                address(this),
+                _deploySalt(_deployer, _owner, _admin, _salt),
+                initCodeHash
+            )
+        );
+        return address(uint160(uint256(hash)));
+    }
+
+    function _deploySalt(
+        address _deployer,
+        address _owner,
+        address _admin,
+        bytes32 _salt
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encode(_deployer, _owner, _admin, _salt));
+    }
+}
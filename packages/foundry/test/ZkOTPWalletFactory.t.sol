@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "forge-std/Test.sol";
+import "../src/zkOTPWalletFactory.sol";
+import "../src/VerifierMock.sol";
+
+contract ZkOTPWalletFactoryTest is Test {
+    zkOTPWalletFactory public factory;
+    VerifierMock public verifierMock;
+
+    address deployer = address(0xD00D);
+    address owner = address(0x1111);
+    address admin = address(0x2222);
+    address someUser = address(0x3333);
+    bytes32 salt = keccak256("user-1");
+
+    // zkOTPWallet storage slot of hashedSecretConfig (after owner, admin, verifier)
+    bytes32 constant HASHED_SECRET_SLOT = bytes32(uint256(3));
+
+    function setUp() public {
+        verifierMock = new VerifierMock();
+        factory = new zkOTPWalletFactory(address(verifierMock));
+    }
+
+    function testConstructor() public view {
+        assertEq(factory.verifier(), address(verifierMock), "Wrong verifier");
+    }
+
+    function test_RevertWhen_VerifierIsZero() public {
+        vm.expectRevert(bytes("Invalid verifier"));
+        new zkOTPWalletFactory(address(0));
+    }
+
+    // ─────────────────────────────
+    // Deployment
+    // ─────────────────────────────
+    function testDeployWalletAtComputedAddress() public {
+        address predicted = factory.computeAddress(deployer, owner, admin, salt);
+
+        vm.prank(deployer);
+        address wallet = factory.deployWallet(owner, admin, 123, salt);
+
+        assertEq(wallet, predicted, "Wallet not at the computed address");
+        assertTrue(wallet.code.length > 0, "Wallet has no code");
+    }
+
+    function testDeployWalletSetsOwnerAdminAndVerifier() public {
+        vm.prank(deployer);
+        zkOTPWallet wallet = zkOTPWallet(payable(factory.deployWallet(owner, admin, 123, salt)));
+
+        assertEq(wallet.owner(), owner, "Wrong owner");
+        assertEq(wallet.admin(), admin, "Wrong admin");
+        assertEq(address(wallet.verifier()), address(verifierMock), "Wrong verifier");
+    }
+
+    function testDeployWalletSetsHashedSecretConfig() public {
+        vm.prank(deployer);
+        address wallet = factory.deployWallet(owner, admin, 123, salt);
+
+        assertEq(uint256(vm.load(wallet, HASHED_SECRET_SLOT)), 123, "Hashed secret not set");
+    }
+
+    function testDeployedWalletExecutesWithProofFromBoundSecret() public {
+        vm.prank(deployer);
+        zkOTPWallet wallet = zkOTPWallet(payable(factory.deployWallet(owner, admin, 123, salt)));
+        vm.deal(address(wallet), 1 ether);
+
+        address to = someUser;
+        uint256 val = 100;
+        bytes memory data = "";
+        uint256 actionHashField = uint256(
+            keccak256(abi.encodePacked(block.chainid, address(wallet), to, val, data))
+        ) & wallet.ACTION_HASH_MASK();
+        uint256[2] memory a;
+        uint256[2][2] memory b;
+        uint256[2] memory c;
+
+        // A proof from any other secret is refused
+        uint256[5] memory otherInput = [uint256(456), 0, 0, actionHashField, 1];
+        vm.expectRevert(bytes("Invalid hashed secret"));
+        wallet.execute(to, val, data, a, b, c, otherInput);
+
+        // input[0] is the hashed secret the factory bound the wallet to
+        uint256[5] memory input = [uint256(123), 0, 0, actionHashField, 2];
+        wallet.execute(to, val, data, a, b, c, input);
+        assertEq(someUser.balance, val, "Call not executed");
+    }
+
+    function testFactoryDoesNotKeepOwnership() public {
+        vm.prank(deployer);
+        zkOTPWallet wallet = zkOTPWallet(payable(factory.deployWallet(owner, admin, 123, salt)));
+
+        // Only the new owner can change the hashed secret afterwards
+        vm.prank(address(factory));
+        vm.expectRevert(bytes("Not owner"));
+        wallet.setHashedSecretConfig(456);
+    }
+
+    function test_RevertWhen_SameSaltDeployedTwice() public {
+        vm.prank(deployer);
+        factory.deployWallet(owner, admin, 123, salt);
+
+        vm.prank(deployer);
+        vm.expectRevert();
+        factory.deployWallet(owner, admin, 456, salt);
+    }
+
+    function test_RevertWhen_OwnerIsZero() public {
+        vm.prank(deployer);
+        vm.expectRevert(bytes("Invalid owner"));
+        factory.deployWallet(address(0), admin, 123, salt);
+    }
+
+    // ─────────────────────────────
+    // Address squatting
+    // ─────────────────────────────
+    function testOtherDeployerCannotTakeComputedAddress() public {
+        address predicted = factory.computeAddress(deployer, owner, admin, salt);
+
+        // Same owner, admin and salt from another account lands elsewhere
+        vm.prank(someUser);
+        address squatted = factory.deployWallet(owner, admin, 999, salt);
+        assertTrue(squatted != predicted, "Other deployer took the computed address");
+
+        vm.prank(deployer);
+        address wallet = factory.deployWallet(owner, admin, 123, salt);
+        assertEq(wallet, predicted, "Wallet not at the computed address");
+    }
+}
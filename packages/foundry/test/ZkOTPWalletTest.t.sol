@@ -13,6 +13,18 @@ contract ZkOTPWalletTest is Test {
     address admin = address(0x2222);
     address someUser = address(0x3333);
 
+    // Order of the BN254 scalar field; public signals at or above it are reduced by the circuit
+    uint256 constant SNARK_SCALAR_FIELD =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
+
+    // zkOTPWallet storage slot of hashedSecretConfig (after owner, admin, verifier)
+    bytes32 constant HASHED_SECRET_SLOT = bytes32(uint256(3));
+
+    event HashedSecretConfigChanged(
+        uint indexed oldHashedSecretConfig,
+        uint indexed newHashedSecretConfig
+    );
+
     function setUp() public {
         // Deploy the verifier mock
         verifierMock = new VerifierMock();
@@ -83,6 +95,44 @@ contract ZkOTPWalletTest is Test {
         wallet.setHashedSecretConfig(999);
     }
 
+    function testSetHashedSecretConfigEmitsOldAndNewValue() public {
+        vm.prank(owner);
+        wallet.setHashedSecretConfig(1000);
+
+        vm.expectEmit(true, true, false, false, address(wallet));
+        emit HashedSecretConfigChanged(1000, 2000);
+        vm.prank(owner);
+        wallet.setHashedSecretConfig(2000);
+    }
+
+    function testWalletCanRebindHashedSecretThroughExecute() public {
+        verifierMock.setShouldVerify(true);
+        vm.prank(owner);
+        wallet.setHashedSecretConfig(1000);
+
+        // A proof from the configured (previous) secret whose action is wallet.setHashedSecretConfig(4000)
+        address to = address(wallet);
+        bytes memory data = abi.encodeWithSelector(wallet.setHashedSecretConfig.selector, 4000);
+        uint256 actionHashField = uint256(
+            keccak256(abi.encodePacked(block.chainid, address(wallet), to, uint256(0), data))
+        ) & wallet.ACTION_HASH_MASK();
+        uint256[2] memory a;
+        uint256[2][2] memory b;
+        uint256[2] memory c;
+
+        // Nobody else can re-bind the wallet
+        uint256[5] memory otherInput = [uint256(2000), 0, 0, actionHashField, 41];
+        vm.prank(someUser);
+        vm.expectRevert(bytes("Invalid hashed secret"));
+        wallet.execute(to, 0, data, a, b, c, otherInput);
+
+        uint256[5] memory input = [uint256(1000), 0, 0, actionHashField, 42];
+        vm.prank(someUser);
+        wallet.execute(to, 0, data, a, b, c, input);
+
+        assertEq(uint256(vm.load(address(wallet), HASHED_SECRET_SLOT)), 4000, "Hashed secret not rebound");
+    }
+
     // ─────────────────────────────
     // execute() tests
     // ─────────────────────────────
@@ -107,6 +157,8 @@ contract ZkOTPWalletTest is Test {
     function testExecuteNonceReplay() public {
         // Make the VerifierMock always return 'true' for verifyProof
         verifierMock.setShouldVerify(true);
+        vm.prank(owner);
+        wallet.setHashedSecretConfig(9999);
 
         // Prepare dummy proof data
         uint256[2] memory a = [uint256(1), uint256(2)];
@@ -117,16 +169,16 @@ contract ZkOTPWalletTest is Test {
         uint256[2] memory c = [uint256(7), uint256(8)];
 
         // We want to execute a call to (someUser, value=0, data="")
-        // The contract does: keccak256(abi.encodePacked(_to, _value, _data))
+        // The contract does: keccak256(abi.encodePacked(block.chainid, address(this), _to, _value, _data))
         address to = someUser;
         uint256 value = 0;
         bytes memory data = "";
 
         // Compute the correct action hash
         bytes32 computedActionHash = keccak256(
-            abi.encodePacked(to, value, data)
+            abi.encodePacked(block.chainid, address(wallet), to, value, data)
         );
-        uint256 computedActionHashField = uint256(computedActionHash);
+        uint256 computedActionHashField = uint256(computedActionHash) & wallet.ACTION_HASH_MASK();
 
         // Our input[3] must match computedActionHashField
         // input = [hashedSecret, unused1, unused2, action_hash, tx_nonce]
@@ -155,8 +207,8 @@ contract ZkOTPWalletTest is Test {
         vm.prank(owner);
         wallet.setHashedSecretConfig(777);
 
-        // If input[0] = hashedSecret = 777, it reverts "Invalid hashed secret"
-        uint256[5] memory input = [uint256(777), 0, 0, 1000, 42];
+        // A proof from any other secret (input[0] != 777) reverts "Invalid hashed secret"
+        uint256[5] memory input = [uint256(778), 0, 0, 1000, 42];
 
         uint256[2] memory a; // all zeros
         uint256[2][2] memory b;
@@ -170,12 +222,11 @@ contract ZkOTPWalletTest is Test {
     function testExecuteActionHashMismatch() public {
         verifierMock.setShouldVerify(true);
 
-        // hashedSecret != hashedSecretConfig
+        // hashedSecret == hashedSecretConfig, so only the action hash is wrong
         vm.prank(owner);
-        wallet.setHashedSecretConfig(1234);
-        // input[0] = 9999 => that passes
+        wallet.setHashedSecretConfig(9999);
 
-        // The contract does: keccak256(abi.encodePacked(_to, _value, _data))
+        // The contract does: keccak256(abi.encodePacked(block.chainid, address(this), _to, _value, _data))
         // We'll intentionally mismatch actionHash
         uint256[5] memory input = [uint256(9999), 0, 0, 999999, 42];
 
@@ -191,10 +242,9 @@ contract ZkOTPWalletTest is Test {
     function testExecuteSuccess() public {
         verifierMock.setShouldVerify(true);
 
-        // set hashedSecretConfig = something that won't match input
+        // The proof must come from the configured secret
         vm.prank(owner);
         wallet.setHashedSecretConfig(1000);
-        // We'll use hashedSecret=2000 => no revert
 
         vm.deal(address(wallet), 1 ether);
 
@@ -203,14 +253,16 @@ contract ZkOTPWalletTest is Test {
         uint256 val = 100;
         bytes memory data = hex"abc123";
 
-        // The contract does: keccak256(abi.encodePacked(_to, _value, _data))
-        bytes32 realActionHash = keccak256(abi.encodePacked(to, val, data));
-        uint256 realActionHashField = uint256(realActionHash);
+        // The contract does: keccak256(abi.encodePacked(block.chainid, address(this), _to, _value, _data))
+        bytes32 realActionHash = keccak256(
+            abi.encodePacked(block.chainid, address(wallet), to, val, data)
+        );
+        uint256 realActionHashField = uint256(realActionHash) & wallet.ACTION_HASH_MASK();
 
         // Build the input array:
         // [ hashed_secret, X, X, action_hash, tx_nonce ]
         uint256[5] memory input = [
-            uint256(2000),
+            uint256(1000),
             0,
             0,
             realActionHashField,
@@ -225,4 +277,257 @@ contract ZkOTPWalletTest is Test {
         // No revert expected
         wallet.execute(to, val, data, a, b, c, input);
     }
+
+    function testExecuteRejectsActionHashForOtherWallet() public {
+        verifierMock.setShouldVerify(true);
+
+        vm.prank(owner);
+        wallet.setHashedSecretConfig(1000);
+
+        // A second wallet with the same owner and verifier
+        zkOTPWallet otherWallet = new zkOTPWallet(owner, admin, address(verifierMock));
+
+        address to = someUser;
+        uint256 val = 0;
+        bytes memory data = "";
+
+        // Action hash computed for the other wallet must not authorize this one
+        uint256 otherActionHashField = uint256(
+            keccak256(abi.encodePacked(block.chainid, address(otherWallet), to, val, data))
+        ) & wallet.ACTION_HASH_MASK();
+        uint256[5] memory input = [uint256(1000), 0, 0, otherActionHashField, 555];
+
+        uint256[2] memory a;
+        uint256[2][2] memory b;
+        uint256[2] memory c;
+
+        vm.prank(someUser);
+        vm.expectRevert(bytes("Action hash mismatch"));
+        wallet.execute(to, val, data, a, b, c, input);
+    }
+
+    function testExecuteRejectsActionHashForOtherChain() public {
+        verifierMock.setShouldVerify(true);
+
+        vm.prank(owner);
+        wallet.setHashedSecretConfig(1000);
+
+        address to = someUser;
+        uint256 val = 0;
+        bytes memory data = "";
+
+        uint256 actionHashField = uint256(
+            keccak256(abi.encodePacked(block.chainid, address(wallet), to, val, data))
+        ) & wallet.ACTION_HASH_MASK();
+        uint256[5] memory input = [uint256(1000), 0, 0, actionHashField, 556];
+
+        uint256[2] memory a;
+        uint256[2][2] memory b;
+        uint256[2] memory c;
+
+        // Same proof inputs, replayed on a different chain
+        vm.chainId(block.chainid + 1);
+        vm.prank(someUser);
+        vm.expectRevert(bytes("Action hash mismatch"));
+        wallet.execute(to, val, data, a, b, c, input);
+    }
+
+    // ─────────────────────────────
+    // action_hash encoding tests
+    // ─────────────────────────────
+    function testFuzz_ActionHashMaskFitsSnarkField(bytes32 digest) public view {
+        assertLt(uint256(digest) & wallet.ACTION_HASH_MASK(), SNARK_SCALAR_FIELD, "Masked hash not a field element");
+    }
+
+    function testFuzz_ExecuteAcceptsMaskedActionHash(uint96 val, bytes memory data, uint256 nonce) public {
+        vm.prank(owner);
+        wallet.setHashedSecretConfig(1000);
+        vm.deal(address(wallet), uint256(val));
+
+        uint256 actionHashField = uint256(
+            keccak256(abi.encodePacked(block.chainid, address(wallet), someUser, uint256(val), data))
+        ) & wallet.ACTION_HASH_MASK();
+        uint256[5] memory input = [uint256(1000), 0, 0, actionHashField, nonce];
+
+        uint256[2] memory a;
+        uint256[2][2] memory b;
+        uint256[2] memory c;
+
+        vm.prank(someUser);
+        wallet.execute(someUser, val, data, a, b, c, input);
+
+        assertEq(someUser.balance, uint256(val), "Call not executed");
+    }
+
+    function testFuzz_ExecuteRejectsUnmaskedActionHash(uint96 val, bytes memory data) public {
+        vm.prank(owner);
+        wallet.setHashedSecretConfig(1000);
+
+        uint256 rawHash = uint256(
+            keccak256(abi.encodePacked(block.chainid, address(wallet), someUser, uint256(val), data))
+        );
+        // Only digests with one of the top 3 bits set differ from their masked form
+        vm.assume(rawHash > wallet.ACTION_HASH_MASK());
+        uint256[5] memory input = [uint256(1000), 0, 0, rawHash, 900];
+
+        uint256[2] memory a;
+        uint256[2][2] memory b;
+        uint256[2] memory c;
+
+        vm.prank(someUser);
+        vm.expectRevert(bytes("Action hash mismatch"));
+        wallet.execute(someUser, val, data, a, b, c, input);
+    }
+
+    // ─────────────────────────────
+    // executeBatch() tests
+    // ─────────────────────────────
+    function _batchActionHashField(
+        address[] memory to,
+        uint256[] memory values,
+        bytes[] memory data
+    ) internal view returns (uint256) {
+        return uint256(
+            keccak256(
+                abi.encode(
+                    wallet.BATCH_ACTION_TAG(),
+                    block.chainid,
+                    address(wallet),
+                    to,
+                    values,
+                    data
+                )
+            )
+        ) & wallet.ACTION_HASH_MASK();
+    }
+
+    function _twoTransfers()
+        internal
+        view
+        returns (address[] memory to, uint256[] memory values, bytes[] memory data)
+    {
+        to = new address[](2);
+        values = new uint256[](2);
+        data = new bytes[](2);
+        to[0] = someUser;
+        values[0] = 100;
+        to[1] = admin;
+        values[1] = 200;
+    }
+
+    function testExecuteBatchSuccess() public {
+        vm.prank(owner);
+        wallet.setHashedSecretConfig(1000);
+        vm.deal(address(wallet), 1 ether);
+
+        (address[] memory to, uint256[] memory values, bytes[] memory data) = _twoTransfers();
+        uint256[5] memory input = [uint256(1000), 0, 0, _batchActionHashField(to, values, data), 801];
+
+        uint256[2] memory a;
+        uint256[2][2] memory b;
+        uint256[2] memory c;
+
+        vm.prank(someUser);
+        wallet.executeBatch(to, values, data, a, b, c, input);
+
+        assertEq(someUser.balance, 100, "First call not executed");
+        assertEq(admin.balance, 200, "Second call not executed");
+        assertTrue(wallet.usedNonces(801), "Nonce not consumed");
+    }
+
+    function testExecuteBatchRejectsReorderedActions() public {
+        vm.prank(owner);
+        wallet.setHashedSecretConfig(1000);
+        vm.deal(address(wallet), 1 ether);
+
+        (address[] memory to, uint256[] memory values, bytes[] memory data) = _twoTransfers();
+        uint256[5] memory input = [uint256(1000), 0, 0, _batchActionHashField(to, values, data), 802];
+
+        // Swap the two calls
+        (to[0], to[1]) = (to[1], to[0]);
+        (values[0], values[1]) = (values[1], values[0]);
+
+        uint256[2] memory a;
+        uint256[2][2] memory b;
+        uint256[2] memory c;
+
+        vm.prank(someUser);
+        vm.expectRevert(bytes("Action hash mismatch"));
+        wallet.executeBatch(to, values, data, a, b, c, input);
+    }
+
+    function testExecuteBatchRejectsSingleActionHash() public {
+        vm.prank(owner);
+        wallet.setHashedSecretConfig(1000);
+
+        address[] memory to = new address[](1);
+        uint256[] memory values = new uint256[](1);
+        bytes[] memory data = new bytes[](1);
+        to[0] = someUser;
+
+        // A proof for execute(someUser, 0, "") must not authorize a batch of that call
+        uint256 singleHashField = uint256(
+            keccak256(abi.encodePacked(block.chainid, address(wallet), someUser, uint256(0), bytes("")))
+        ) & wallet.ACTION_HASH_MASK();
+        uint256[5] memory input = [uint256(1000), 0, 0, singleHashField, 803];
+
+        uint256[2] memory a;
+        uint256[2][2] memory b;
+        uint256[2] memory c;
+
+        vm.prank(someUser);
+        vm.expectRevert(bytes("Action hash mismatch"));
+        wallet.executeBatch(to, values, data, a, b, c, input);
+    }
+
+    function testExecuteBatchRevertsAllWhenOneCallFails() public {
+        vm.prank(owner);
+        wallet.setHashedSecretConfig(1000);
+        vm.deal(address(wallet), 1 ether);
+
+        (address[] memory to, uint256[] memory values, bytes[] memory data) = _twoTransfers();
+        // The second call hits a function the verifier mock does not have
+        to[1] = address(verifierMock);
+        values[1] = 0;
+        data[1] = hex"deadbeef";
+        uint256[5] memory input = [uint256(1000), 0, 0, _batchActionHashField(to, values, data), 804];
+
+        uint256[2] memory a;
+        uint256[2][2] memory b;
+        uint256[2] memory c;
+
+        vm.prank(someUser);
+        vm.expectRevert(bytes("Call failed"));
+        wallet.executeBatch(to, values, data, a, b, c, input);
+
+        assertEq(someUser.balance, 0, "First call not rolled back");
+        assertFalse(wallet.usedNonces(804), "Nonce consumed by a reverted batch");
+    }
+
+    function test_RevertWhen_BatchLengthsDiffer() public {
+        (address[] memory to, uint256[] memory values, ) = _twoTransfers();
+        bytes[] memory data = new bytes[](1);
+
+        uint256[5] memory input;
+        uint256[2] memory a;
+        uint256[2][2] memory b;
+        uint256[2] memory c;
+
+        vm.expectRevert(bytes("Batch length mismatch"));
+        wallet.executeBatch(to, values, data, a, b, c, input);
+    }
+
+    function test_RevertWhen_BatchIsEmpty() public {
+        address[] memory to = new address[](0);
+        uint256[] memory values = new uint256[](0);
+        bytes[] memory data = new bytes[](0);
+
+        uint256[5] memory input;
+        uint256[2] memory a;
+        uint256[2][2] memory b;
+        uint256[2] memory c;
+
+        vm.expectRevert(bytes("Invalid batch size"));
+        wallet.executeBatch(to, values, data, a, b, c, input);
+    }
 }
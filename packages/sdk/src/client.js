@@ -0,0 +1,217 @@
+/***************************************
+ * client.js
+ * Talks to the zkOTP API for client proving users: registers the hashed secret,
+ * downloads and checks circuit artifacts, reserves nonces and relays proofs. The
+ * secret itself is only ever passed to the local prover.
+ **************************************/
+import { ethers } from "ethers";
+
+import { computeActionHash, computeBatchActionHash, hashSecret } from "./hash.js";
+import { proveAction } from "./prover.js";
+import { DEFAULT_TOTP_PARAMS, sha256Hex, totpTimeStep } from "./totp.js";
+
+/**
+ * An error response from the API. `reason` is the machine-readable code of its error
+ * envelope, e.g. "otp_invalid" or "circuit_unknown".
+ */
+export class ApiError extends Error {
+    constructor(status, body) {
+        super(body?.message ?? `Request failed with status ${status}`);
+        this.name = "ApiError";
+        this.status = status;
+        this.reason = body?.reason ?? "http_error";
+        this.details = body;
+    }
+}
+
+/**
+ * Creates an API client.
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - The API's base URL.
+ * @param {() => Promise<string> | string} options.getIdToken - Returns the Firebase ID token of the signed-in user.
+ * @param {typeof fetch} [options.fetch=globalThis.fetch] - fetch implementation.
+ * @returns {Object} - The client.
+ */
+export function createZkOtpClient(options) {
+    const baseUrl = options.baseUrl.replace(/\/$/, "");
+    const fetchFn = options.fetch ?? globalThis.fetch;
+    // Artifact sets by circuit id; ids never change their artifacts
+    const circuitCache = new Map();
+
+    async function request(method, path, body, { auth = true } = {}) {
+        const headers = { "Content-Type": "application/json" };
+        if (auth) {
+            headers.Authorization = `Bearer ${await options.getIdToken()}`;
+        }
+        const response = await fetchFn(`${baseUrl}${path}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        const json = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new ApiError(response.status, json);
+        }
+        return json;
+    }
+
+    async function download(id, artifact, sha256) {
+        const response = await fetchFn(`${baseUrl}/circuits/${encodeURIComponent(id)}/${artifact}`);
+        if (!response.ok) {
+            throw new ApiError(response.status, await response.json().catch(() => null));
+        }
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        const digest = await sha256Hex(bytes);
+        if (digest !== sha256) {
+            throw new Error(`${id}: ${artifact} checksum mismatch (got ${digest})`);
+        }
+        return bytes;
+    }
+
+    return {
+        /**
+         * The circuits the API accepts proofs from.
+         *
+         * @returns {Promise<Array<{id: string, name: string, version: string, default: boolean, sha256: Object}>>}
+         */
+        async listCircuits() {
+            return (await request("GET", "/circuits", undefined, { auth: false })).circuits;
+        },
+
+        /**
+         * Downloads a circuit's artifacts and checks them against the checksums the API
+         * lists for it.
+         *
+         * @param {string} [id] - The circuit id; the API's default circuit if omitted.
+         * @returns {Promise<{id: string, name: string, wasm: Uint8Array, zkey: Uint8Array, verificationKey: Object}>}
+         */
+        async loadCircuit(id) {
+            const listed = await this.listCircuits();
+            const entry = id ? listed.find((c) => c.id === id) : listed.find((c) => c.default);
+            if (!entry) {
+                throw new Error(`Unknown circuit ${id}`);
+            }
+            if (!circuitCache.has(entry.id)) {
+                const [wasm, zkey, verificationKey] = await Promise.all([
+                    download(entry.id, "wasm", entry.sha256.wasm),
+                    download(entry.id, "zkey", entry.sha256.zkey),
+                    download(entry.id, "verificationKey", entry.sha256.verificationKey),
+                ]);
+                circuitCache.set(entry.id, {
+                    id: entry.id,
+                    name: entry.name,
+                    wasm,
+                    zkey,
+                    verificationKey: JSON.parse(new TextDecoder().decode(verificationKey)),
+                });
+            }
+            return circuitCache.get(entry.id);
+        },
+
+        /**
+         * Registers the signed-in user for client proving. Only the Poseidon hash of the
+         * secret is sent.
+         *
+         * @param {string} secret - The base32 secret, e.g. from generateSecret().
+         * @param {{digits: number, algorithm: string, period: number}} [totp=DEFAULT_TOTP_PARAMS]
+         * @returns {Promise<Object>}
+         */
+        async register(secret, totp = DEFAULT_TOTP_PARAMS) {
+            return request("POST", "/user/register/client", { hashedSecret: await hashSecret(secret), ...totp });
+        },
+
+        /**
+         * Moves an existing user from server to client proving. The OTP comes from the
+         * authenticator app of their current (server-side) secret; `secret` is the new one
+         * kept on this device. Wallets then need a /user/secret/rebind proof.
+         *
+         * @param {string} otp - An OTP from the current secret.
+         * @param {string} secret - The new base32 secret.
+         * @returns {Promise<Object>}
+         */
+        async switchToClientProving(otp, secret) {
+            return request("POST", "/user/proving-mode", { otp, mode: "client", hashedSecret: await hashSecret(secret) });
+        },
+
+        /**
+         * Proves an action on this device. The result has the same fields as the API's
+         * /proof/generate response and can be passed to relay().
+         *
+         * @param {Object} params
+         * @param {string} params.secret - The base32 secret.
+         * @param {Object} [params.totp=DEFAULT_TOTP_PARAMS] - Its TOTP parameters.
+         * @param {string} params.contract - The wallet to authorize the action on.
+         * @param {string | number} params.chainId - The wallet's chain.
+         * @param {string} [params.to] - Call target of a single action.
+         * @param {string | number} [params.value=0] - Wei sent with it.
+         * @param {string} [params.data="0x"] - Its calldata.
+         * @param {Array<{to: string, value: string | number, data: string}>} [params.actions] - A batch instead.
+         * @param {string} [params.circuit] - The circuit id; the API's default if omitted.
+         * @returns {Promise<Object>}
+         */
+        async prove(params) {
+            const totp = params.totp ?? DEFAULT_TOTP_PARAMS;
+            const reserved = await request("POST", "/proof/nonce", {
+                contract: params.contract,
+                chainId: params.chainId,
+                ...(params.circuit ? { circuit: params.circuit } : {}),
+            });
+            const circuit = await this.loadCircuit(reserved.circuitId);
+
+            const actions = params.actions?.map((a) => ({ to: a.to, value: String(a.value ?? 0), data: a.data ?? "0x" }));
+            const action = actions ? null : { to: params.to, value: String(params.value ?? 0), data: params.data ?? "0x" };
+            const actionHash = actions
+                ? computeBatchActionHash(actions, reserved.chainId, reserved.contract)
+                : computeActionHash(action.to, action.value, action.data, reserved.chainId, reserved.contract);
+
+            const timeStep = totpTimeStep(Date.now(), totp);
+            const proof = await proveAction(
+                { secret: params.secret, totp, timeStep, actionHash, txNonce: reserved.txNonce },
+                circuit
+            );
+            return {
+                status: "ok",
+                circuitId: circuit.id,
+                timeStep,
+                chainId: reserved.chainId,
+                contract: ethers.utils.getAddress(reserved.contract),
+                txNonce: reserved.txNonce,
+                actionHash,
+                ...(actions ? { actions } : { action }),
+                proof,
+            };
+        },
+
+        /**
+         * Relays a proof from prove() through the API's relayer.
+         *
+         * @param {Object} proved - The result of prove().
+         * @returns {Promise<Object>} - The relayed transaction.
+         */
+        async relay(proved) {
+            return request("POST", "/relay/execute", {
+                proof: proved.proof,
+                contract: proved.contract,
+                chainId: proved.chainId,
+                ...(proved.actions ? { actions: proved.actions } : proved.action),
+            });
+        },
+
+        /**
+         * Checks a proof with the API, against the key of the circuit it was made with.
+         *
+         * @param {Object} proved - The result of prove().
+         * @param {{period: number}} [totp=DEFAULT_TOTP_PARAMS]
+         * @returns {Promise<Object>}
+         */
+        async verify(proved, totp = DEFAULT_TOTP_PARAMS) {
+            return request(
+                "POST",
+                "/proof/verify",
+                { ...proved.proof, circuit: proved.circuitId, period: totp.period },
+                { auth: false }
+            );
+        },
+    };
+}
@@ -0,0 +1,118 @@
+/***************************************
+ * hash.js
+ * The field encodings and hashes a proof commits to. Each function mirrors the one of
+ * the same name in packages/api/utils/utils.js (and, for action hashes, zkOTPWallet), so
+ * proofs made here are accepted by the same wallets as proofs made by the API.
+ **************************************/
+import * as circomlibjs from "circomlibjs";
+import { ethers } from "ethers";
+
+import { base32Decode } from "./totp.js";
+
+/**
+ * Order of the BN254 scalar field the circuits work in.
+ */
+export const BN254_PRIME = BigInt(
+    "21888242871839275222246405745257275088548364400416034343698204186575808495617"
+);
+
+/**
+ * Keeps the low 253 bits of a keccak256 digest (zkOTPWallet.ACTION_HASH_MASK), which
+ * makes it a field element the circuit does not reduce.
+ */
+export const ACTION_HASH_MASK = (1n << 253n) - 1n;
+
+/**
+ * Domain tag of batch action hashes: keccak256("zkOTPWallet.executeBatch").
+ */
+export const BATCH_ACTION_TAG = ethers.utils.id("zkOTPWallet.executeBatch");
+
+// Building Poseidon compiles its constants into wasm, so do it once
+let poseidonPromise = null;
+
+/**
+ * Poseidon hash of field elements, as a decimal string.
+ *
+ * @param {...(number | string | bigint)} fields
+ * @returns {Promise<string>}
+ */
+export async function computePoseidonHash(...fields) {
+    poseidonPromise ??= circomlibjs.buildPoseidon();
+    const poseidon = await poseidonPromise;
+    return poseidon.F.toObject(poseidon(fields)).toString();
+}
+
+/**
+ * Decodes a base32 secret into its raw bytes and the field element the circuits hash
+ * (the big-endian integer reduced mod BN254_PRIME).
+ *
+ * @param {string} base32Secret
+ * @returns {{secretBytes: Uint8Array, secretField: bigint}}
+ */
+export function secretToField(base32Secret) {
+    const secretBytes = base32Decode(base32Secret);
+    const secretField = secretBytes.reduce((acc, byte) => (acc << 8n) | BigInt(byte), 0n) % BN254_PRIME;
+    return { secretBytes, secretField };
+}
+
+/**
+ * The hashed secret a wallet is bound to, to register with the API.
+ *
+ * @param {string} base32Secret
+ * @returns {Promise<string>} - Poseidon(secret), as a decimal string.
+ */
+export async function hashSecret(base32Secret) {
+    return computePoseidonHash(secretToField(base32Secret).secretField);
+}
+
+/**
+ * Encodes a keccak256 digest as the field element used as `action_hash`.
+ *
+ * @param {string} digest - A 32-byte hex digest.
+ * @returns {string} - The masked digest as a 32-byte hex string.
+ */
+export function toActionHashField(digest) {
+    return ethers.utils.hexZeroPad(ethers.BigNumber.from(BigInt(digest) & ACTION_HASH_MASK).toHexString(), 32);
+}
+
+/**
+ * Action hash of a single call, as zkOTPWallet.execute recomputes it:
+ *   keccak256(abi.encodePacked(block.chainid, address(this), _to, _value, _data)) & ACTION_HASH_MASK
+ *
+ * @param {string} to - The call target.
+ * @param {string | number | bigint} value - Wei sent with the call.
+ * @param {string} data - The calldata, 0x-prefixed hex.
+ * @param {string | number} chainId - The wallet's chain.
+ * @param {string} wallet - The wallet address.
+ * @returns {string} - 32-byte hex string.
+ */
+export function computeActionHash(to, value, data, chainId, wallet) {
+    const digest = ethers.utils.solidityKeccak256(
+        ["uint256", "address", "address", "uint256", "bytes"],
+        [chainId.toString(), wallet, to, value.toString(), data]
+    );
+    return toActionHashField(digest);
+}
+
+/**
+ * Action hash of an ordered batch of calls, as zkOTPWallet.executeBatch recomputes it.
+ *
+ * @param {Array<{to: string, value: string | number | bigint, data: string}>} actions
+ * @param {string | number} chainId - The wallet's chain.
+ * @param {string} wallet - The wallet address.
+ * @returns {string} - 32-byte hex string.
+ */
+export function computeBatchActionHash(actions, chainId, wallet) {
+    const encoded = ethers.utils.defaultAbiCoder.encode(
+        ["bytes32", "uint256", "address", "address[]", "uint256[]", "bytes[]"],
+        [
+            BATCH_ACTION_TAG,
+            chainId.toString(),
+            wallet,
+            actions.map((a) => a.to),
+            actions.map((a) => a.value.toString()),
+            actions.map((a) => a.data),
+        ]
+    );
+    return toActionHashField(ethers.utils.keccak256(encoded));
+}
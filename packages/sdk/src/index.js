@@ -0,0 +1,17 @@
+/***************************************
+ * index.js
+ * zkOTP client SDK: keeps the TOTP secret on the user's device and proves actions
+ * locally, so the API only ever stores Poseidon(secret).
+ *
+ *   import { createZkOtpClient, generateSecret, otpauthUrl } from "zkotp-sdk";
+ *
+ *   const client = createZkOtpClient({ baseUrl, getIdToken: () => user.getIdToken() });
+ *   const secret = generateSecret();          // store it on the device, show otpauthUrl() as a QR code
+ *   await client.register(secret);
+ *   const proved = await client.prove({ secret, contract, chainId, to, value, data });
+ *   await client.relay(proved);
+ **************************************/
+export * from "./totp.js";
+export * from "./hash.js";
+export * from "./prover.js";
+export * from "./client.js";
@@ -0,0 +1,77 @@
+/***************************************
+ * prover.js
+ * Groth16 proving with snarkjs on the user's device. Builds the same circuit input as
+ * generateZKProof() in packages/api/utils/utils.js and returns the same
+ * {a, b, c, publicInput} shape, ready for zkOTPWallet.execute or /relay/execute.
+ **************************************/
+import * as snarkjs from "snarkjs";
+
+import { computePoseidonHash, secretToField } from "./hash.js";
+import { computeTOTP, DEFAULT_TOTP_PARAMS } from "./totp.js";
+
+// Key length the totp_hmac circuit is compiled for
+const HMAC_CIRCUIT_KEY_BYTES = 32;
+
+/**
+ * Proves knowledge of the secret for one action hash and tx_nonce.
+ *
+ * @param {Object} input
+ * @param {string} input.secret - The base32 TOTP secret.
+ * @param {{digits: number, algorithm: string, period: number}} [input.totp=DEFAULT_TOTP_PARAMS]
+ * @param {number} input.timeStep - The TOTP time step to prove for.
+ * @param {string} input.actionHash - From computeActionHash() or computeBatchActionHash().
+ * @param {string} input.txNonce - From the API's /proof/nonce.
+ * @param {{name: string, wasm: Uint8Array, zkey: Uint8Array, verificationKey: Object}} circuit -
+ *        The artifact set, e.g. from client.loadCircuit().
+ * @returns {Promise<{a: string[], b: string[][], c: string[], publicInput: string[]}>}
+ * @throws {Error} - If proving fails or the proof does not verify.
+ */
+export async function proveAction(input, circuit) {
+    const totp = input.totp ?? DEFAULT_TOTP_PARAMS;
+    const { secretBytes, secretField } = secretToField(input.secret);
+    const otp = await computeTOTP(secretBytes, input.timeStep, totp);
+
+    const circuitInput = {
+        secret: secretField.toString(),
+        otp_code: otp.toString(),
+        hashed_secret: await computePoseidonHash(secretField),
+        hashed_otp: await computePoseidonHash(BigInt(otp)),
+        time_step: input.timeStep.toString(),
+        action_hash: BigInt(input.actionHash).toString(),
+        tx_nonce: input.txNonce.toString(),
+    };
+
+    // The HMAC circuit recomputes the OTP from the raw key bytes instead of taking the secret as a field
+    if (circuit.name === "totp_hmac") {
+        if (secretBytes.length !== HMAC_CIRCUIT_KEY_BYTES) {
+            throw new Error(`The totp_hmac circuit requires a ${HMAC_CIRCUIT_KEY_BYTES}-byte secret`);
+        }
+        if (totp.digits !== 6 || totp.algorithm !== "sha1") {
+            throw new Error("The totp_hmac circuit only proves 6-digit HMAC-SHA1 codes");
+        }
+        delete circuitInput.secret;
+        circuitInput.secret_bytes = Array.from(secretBytes, (b) => b.toString());
+    }
+
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(circuitInput, circuit.wasm, circuit.zkey);
+    if (!(await snarkjs.groth16.verify(circuit.verificationKey, publicSignals, proof))) {
+        throw new Error("Proof verification failed.");
+    }
+    return toCallData(await snarkjs.groth16.exportSolidityCallData(proof, publicSignals));
+}
+
+/**
+ * Splits snarkjs' Solidity call data string into {a, b, c, publicInput}.
+ */
+function toCallData(calldata) {
+    const tokens = calldata.replace(/["[\]\s]/g, "").split(",");
+    return {
+        a: [tokens[0], tokens[1]],
+        b: [
+            [tokens[2], tokens[3]],
+            [tokens[4], tokens[5]],
+        ],
+        c: [tokens[6], tokens[7]],
+        publicInput: tokens.slice(8),
+    };
+}
@@ -0,0 +1,171 @@
+/***************************************
+ * totp.js
+ * RFC 6238 TOTP on Web Crypto, so it runs the same in browsers and in Node. Mirrors
+ * computeTOTP() and friends in packages/api/utils/utils.js.
+ **************************************/
+
+/**
+ * HMAC algorithms accepted for TOTP, as named in otpauth URLs (lowercased).
+ */
+export const TOTP_ALGORITHMS = ["sha1", "sha256", "sha512"];
+
+/**
+ * RFC 6238 defaults. `period` is in seconds.
+ */
+export const DEFAULT_TOTP_PARAMS = Object.freeze({ digits: 6, algorithm: "sha1", period: 30 });
+
+const WEB_CRYPTO_HASHES = { sha1: "SHA-1", sha256: "SHA-256", sha512: "SHA-512" };
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function subtle() {
+    if (!globalThis.crypto?.subtle) {
+        throw new Error("Web Crypto is not available; use a browser or Node 20+");
+    }
+    return globalThis.crypto.subtle;
+}
+
+/**
+ * Generates a new TOTP secret on this device.
+ *
+ * @param {number} [byteLength=20] - Secret length in bytes (20 is what authenticators expect).
+ * @returns {string} - The secret, base32 without padding.
+ */
+export function generateSecret(byteLength = 20) {
+    return base32Encode(globalThis.crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * The otpauth:// URL authenticator apps import a secret from (usually as a QR code).
+ *
+ * @param {string} secret - The base32 secret.
+ * @param {Object} options
+ * @param {string} options.label - Account label, e.g. the user's email.
+ * @param {string} [options.issuer="zkOTP"] - The issuer shown by the app.
+ * @param {{digits: number, algorithm: string, period: number}} [options.totp=DEFAULT_TOTP_PARAMS]
+ * @returns {string}
+ */
+export function otpauthUrl(secret, { label, issuer = "zkOTP", totp = DEFAULT_TOTP_PARAMS }) {
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: totp.algorithm.toUpperCase(),
+        digits: String(totp.digits),
+        period: String(totp.period),
+    });
+    return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${params}`;
+}
+
+/**
+ * Encodes bytes as base32 (RFC 4648) without padding.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let out = "";
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return out;
+}
+
+/**
+ * Decodes a base32 secret (case-insensitive, padding and spaces ignored).
+ *
+ * @param {string} secret - The base32 secret.
+ * @returns {Uint8Array} - The raw secret bytes.
+ * @throws {Error} - If the secret has characters outside the base32 alphabet.
+ */
+export function base32Decode(secret) {
+    const clean = secret.replace(/[\s=]/g, "").toUpperCase();
+    const out = [];
+    let bits = 0;
+    let value = 0;
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            out.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return new Uint8Array(out);
+}
+
+/**
+ * The TOTP time step a moment falls in.
+ *
+ * @param {number} [now=Date.now()] - Epoch milliseconds.
+ * @param {{period: number}} [params=DEFAULT_TOTP_PARAMS] - TOTP parameters (period in seconds).
+ * @returns {number}
+ */
+export function totpTimeStep(now = Date.now(), params = DEFAULT_TOTP_PARAMS) {
+    return Math.floor(now / (params.period * 1000));
+}
+
+/**
+ * Computes a TOTP (RFC 6238) for the given secret bytes and time step.
+ *
+ * @param {Uint8Array} secretBytes - The raw secret.
+ * @param {number} timeStep - The time step.
+ * @param {{digits: number, algorithm: string}} [params=DEFAULT_TOTP_PARAMS] - TOTP parameters.
+ * @returns {Promise<number>} - The TOTP code (without leading zeros).
+ */
+export async function computeTOTP(secretBytes, timeStep, params = DEFAULT_TOTP_PARAMS) {
+    const hash = WEB_CRYPTO_HASHES[params.algorithm];
+    if (!hash) {
+        throw new RangeError(`algorithm must be one of ${TOTP_ALGORITHMS.join(", ")}`);
+    }
+
+    const msg = new DataView(new ArrayBuffer(8));
+    msg.setBigUint64(0, BigInt(timeStep));
+    const key = await subtle().importKey("raw", secretBytes, { name: "HMAC", hash }, false, ["sign"]);
+    const digest = new Uint8Array(await subtle().sign("HMAC", key, msg.buffer));
+
+    // Dynamic truncation (RFC 4226 section 5.3)
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binCode =
+        ((digest[offset] & 0x7f) << 24) |
+        ((digest[offset + 1] & 0xff) << 16) |
+        ((digest[offset + 2] & 0xff) << 8) |
+        (digest[offset + 3] & 0xff);
+
+    return binCode % 10 ** params.digits;
+}
+
+/**
+ * Computes a 6-digit HMAC-SHA1 TOTP, the only kind the totp_hmac circuit can prove.
+ *
+ * @param {Uint8Array} secretBytes - The raw secret.
+ * @param {number} timeStep - The time step.
+ * @returns {Promise<number>}
+ */
+export function computeTOTP6(secretBytes, timeStep) {
+    return computeTOTP(secretBytes, timeStep, DEFAULT_TOTP_PARAMS);
+}
+
+/**
+ * SHA-256 of some bytes, as lowercase hex; used to check downloaded circuit artifacts.
+ *
+ * @param {ArrayBuffer | Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(bytes) {
+    const digest = new Uint8Array(await subtle().digest("SHA-256", bytes));
+    return Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+}